@@ -1,29 +1,143 @@
-const { TwitterApi } = require("twitter-api-v2");
+#!/usr/bin/env node
 const cliProgress = require("cli-progress");
+const EventEmitter = require("events");
 const fs = require("fs").promises;
+const { existsSync } = require("fs");
+const os = require("os");
 const path = require("path");
 const readline = require("readline");
-require("dotenv").config();
-
-class TweetDeleter {
-  constructor() {
-    this.client = new TwitterApi({
-      appKey: process.env.TWITTER_API_KEY,
-      appSecret: process.env.TWITTER_API_SECRET,
-      accessToken: process.env.TWITTER_ACCESS_TOKEN,
-      accessSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+const { loadArchive } = require("./lib/archive");
+const { DeletionQueue, ItemStatus, JobStatus, ALREADY_DELETED } = require("./lib/queue");
+const { applyRule, DEFAULT_RULES } = require("./lib/filters");
+const { RuleStore } = require("./lib/rules");
+const { ProtectList } = require("./lib/protect");
+const { getPlan } = require("./lib/plans");
+const { RateLimitScheduler, Endpoints, budgetTimes } = require("./lib/scheduler");
+const { RetentionDaemon } = require("./lib/retention");
+const { TweetBackup, EXPORT_TYPES } = require("./lib/backup");
+const { createBackend } = require("./lib/backend");
+const { AccountRegistry, accountPaths, defaultAccount } = require("./lib/accounts");
+const { JobControl, ControlState } = require("./lib/job-control");
+const { ContentType, CONTENT_TYPES, getContentType } = require("./lib/content-types");
+const { AuditLog } = require("./lib/audit-log");
+const { ThreadGuard, orderLeafFirst } = require("./lib/threads");
+const { JobEngine } = require("./lib/job-engine");
+const { ErrorKind, classifyError, retryPolicy, AuthRevokedError } = require("./lib/retry");
+const { progressBarReporter, sseReporter, logFileReporter, notificationReporter } = require("./lib/reporters");
+const { Notifier, NotificationEvent } = require("./lib/notifications");
+const { SensitiveScanner } = require("./lib/scanner");
+const { ExitCode, CliError, UsageError, parseArgs, exitCodeFor, HELP } = require("./lib/cli");
+
+// Settings that name a file or folder. Relative ones in .env are relative to the .env
+// file, so the CLI and `serve` find the same stores from whatever directory they run in.
+const PATH_SETTINGS = [
+  "DELETION_QUEUE_FILE", "RATE_BUDGET_FILE", "TWEET_PROTECT_FILE", "TWEET_RULES_FILE", "TWEET_BACKUP_DIR",
+  "ACCOUNTS_FILE", "ACCOUNTS_DIR", "TWITTER_TOKEN_FILE", "AUDIT_LOG_FILE", "NOTIFICATIONS_FILE",
+  "SCAN_CONFIG_FILE", "TWEET_ARCHIVE_PATH"
+];
+
+// The .env in the current directory, else the one next to this file
+function loadEnvFile() {
+  const envFile = [path.resolve(".env"), path.join(__dirname, ".env")].find(file => existsSync(file));
+  if (!envFile) {
+    return;
+  }
+  const { parsed = {} } = require("dotenv").config({ path: envFile });
+  PATH_SETTINGS
+    .filter(name => parsed[name] && process.env[name] === parsed[name]) // Not overridden by the real environment
+    .forEach(name => {
+      process.env[name] = path.resolve(path.dirname(envFile), parsed[name]);
     });
+}
+loadEnvFile();
+
+const TWEET_PARAMS = {
+  "tweet.fields": [
+    "created_at", "author_id", "public_metrics", "lang", "attachments", "entities",
+    "referenced_tweets", "in_reply_to_user_id", "conversation_id"
+  ],
+  expansions: ["attachments.media_keys"],
+  "media.fields": ["type", "url", "preview_image_url"]
+};
+
+function isTruthy(value) {
+  return ["1", "true", "yes"].includes(String(value).toLowerCase());
+}
+
+// Who is running this process, for the audit log
+function localUser() {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return "unknown";
+  }
+}
+
+// Resolve media keys against the response's includes so tweets carry their media URLs
+function attachMedia(tweets, media = []) {
+  const mediaByKey = new Map(media.map(item => [item.media_key, item]));
+  return tweets.map(tweet => {
+    const keys = (tweet.attachments && tweet.attachments.media_keys) || [];
+    if (keys.length === 0) {
+      return tweet;
+    }
+    return {
+      ...tweet,
+      media: keys.filter(key => mediaByKey.has(key)).map(key => {
+        const item = mediaByKey.get(key);
+        return { type: item.type, url: item.url || item.preview_image_url };
+      })
+    };
+  });
+}
 
-    // Free tier conservative settings
-    this.tweetsPerBatch = parseInt(process.env.TWEETS_PER_BATCH) || 5; // Much smaller batches
-    this.batchDelayMinutes = parseInt(process.env.BATCH_DELAY_MINUTES) || 90; // 90 minutes between batches
+class TweetDeleter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    // Each account has its own credentials, rate budget, queue, keep-list, backups and log
+    this.account = options.account || defaultAccount();
+    this.paths = accountPaths(this.account);
+
+    // Plan profile (free/basic/pro/custom) drives every limit and delay below
+    // `pacing` overrides its batch size and delays ({ batchSize, batchDelayMinutes, minDelaySeconds })
+    this.plan = getPlan(options.plan || this.account.plan || process.env.TWITTER_PLAN, options.pacing);
+    this.scheduler = new RateLimitScheduler(this.plan, this.paths.budget);
+
+    // `backend` is "twitter", "mock" or a factory ({ plugins }) => client; `client`
+    // injects a ready-made one. Either way it should feed the scheduler plugin.
+    this.client = options.client || createBackend(options.backend || this.account.backend, {
+      plugins: [this.scheduler.plugin()],
+      credentials: this.account.credentials,
+      accountId: this.account.id
+    });
+
+    this.tweetsPerBatch = this.plan.deletions.batchSize;
+    this.batchDelayMinutes = this.plan.deletions.batchDelayMinutes;
     this.deletedTweets = [];
-    this.maxDeletionsPerDay = 15; // Conservative daily limit for free tier
+    this.maxDeletionsPerDay = this.plan.deletions.perDay;
+    this.queue = new DeletionQueue(this.paths.queue);
+    this.rules = new RuleStore();
+    this.protectList = new ProtectList(this.paths.protect);
+    this.knownTweets = new Map(); // Tweets seen this session, for protect-list checks by ID
+    this.timelineTweets = new Map(); // Tweets listed from the timeline or an archive, which "top N" ranks
+    this.timelineFetched = false; // Whether rankTimeline has fetched the timeline itself
+    this.backup = new TweetBackup(this.paths.backups);
+    this.logFile = this.paths.log || path.join(__dirname, "deleted_tweets.json");
+    this.audit = new AuditLog(this.paths.audit);
+    this.dryRun = options.dryRun ?? isTruthy(process.env.DRY_RUN);
+    this.control = null; // JobControl of the job being run, if any
+    // How often and how patiently transient failures are retried (lib/retry.js)
+    this.retryPolicy = options.retryPolicy || retryPolicy();
+    // How jobs run by deleteTweetsInBatches report progress (lib/reporters.js)
+    this.reporters = options.reporters || [progressBarReporter()];
+    this.userId = null;
   }
 
   async validateCredentials() {
     try {
       const user = await this.client.v2.me();
+      this.userId = user.data.id;
       console.log(`✅ Connected as @${user.data.username}`);
       return true;
     } catch (error) {
@@ -32,35 +146,77 @@ class TweetDeleter {
     }
   }
 
-  async fetchUserTweets(maxResults = 100) {
+  // Id of the authenticated user, which the unlike and unretweet calls need
+  async currentUserId() {
+    if (!this.userId) {
+      this.userId = (await this.client.v2.me()).data.id;
+    }
+    return this.userId;
+  }
+
+  // Walk the timeline (or likes, or bookmarks) page by page, yielding each page as soon as it arrives.
+  // `since` and `until` limit the timeline to tweets posted in between; `until` makes it start
+  // there and go back, instead of starting from the newest tweet.
+  async *fetchTimelinePages({ maxTweets = this.plan.timeline.maxTweets, since, until, type = ContentType.TWEETS } = {}) {
+    const contentType = getContentType(type);
+    const user = await this.client.v2.me({ "user.fields": ["pinned_tweet_id"] });
+    this.userId = user.data.id;
+    this.protectList.setPinnedTweet(user.data.pinned_tweet_id);
+
+    // The timeline accepts between 5 and 100 results per page, liked tweets between 10 and 100
+    const pageSize = count => Math.max(contentType.minPageSize, Math.min(this.plan.timeline.pageSize, count, 100));
+    // Likes and bookmarks are other people's tweets; tag them so they stay out of protection ranking
+    const tag = contentType.listEndpoint === Endpoints.USER_TIMELINE ? tweet => tweet : tweet => ({ ...tweet, content_type: type });
+
+    await this.scheduler.acquire(contentType.listEndpoint, { wait: this.waitUntil.bind(this) });
+    let paginator = await contentType.list(this.client, user.data.id, {
+      max_results: pageSize(maxTweets),
+      ...TWEET_PARAMS,
+      // Only the timeline can be limited by date
+      ...(since && contentType.listEndpoint === Endpoints.USER_TIMELINE && { start_time: new Date(since).toISOString() }),
+      ...(until && contentType.listEndpoint === Endpoints.USER_TIMELINE && { end_time: new Date(until).toISOString() })
+    });
+    let fetched = 0;
+    let page = 1;
+
+    while (true) {
+      const pageTweets = attachMedia(paginator.data.data || [], paginator.includes.media).map(tag);
+      const tweets = pageTweets.slice(0, maxTweets - fetched);
+      fetched += tweets.length;
+      yield { page, tweets };
+
+      if (paginator.done || fetched >= maxTweets) {
+        return;
+      }
+
+      await this.scheduler.acquire(contentType.listEndpoint, { wait: this.waitUntil.bind(this) });
+      paginator = await paginator.next(pageSize(maxTweets - fetched));
+      page++;
+    }
+  }
+
+  // `options.type` fetches replies, retweets, likes or bookmarks instead of tweets;
+  // `options.since` and `options.until` limit the timeline by date (see fetchTimelinePages)
+  async fetchUserTweets(maxTweets = this.plan.timeline.maxTweets, rule, options = {}) {
+    const filteredTweets = [];
+    let fetchedCount = 0;
+    rule = this.selectionRule(rule, options.type);
+
     try {
-      const user = await this.client.v2.me();
-      
-      // Free tier: much smaller request to avoid hitting monthly post cap
-      const freetierMaxResults = Math.min(maxResults, 10); // Very conservative
-      
-      const tweets = await this.client.v2.userTimeline(user.data.id, {
-        max_results: freetierMaxResults,
-        "tweet.fields": ["created_at", "public_metrics"]
-      });
+      for await (const { page, tweets } of this.fetchTimelinePages({ maxTweets, since: options.since, until: options.until, type: options.type })) {
+        fetchedCount += tweets.length;
+        console.log(`📊 Fetched page ${page} (${fetchedCount} tweets so far)`);
+        await this.refreshProtection(tweets);
 
-      const allTweets = tweets._realData?.data || [];
-      console.log(`📊 Fetched ${allTweets.length} tweets`);
-      
-      // Filter out replies (tweets that start with @) and retweets
-      const originalTweets = allTweets.filter(tweet => {
-        return !tweet.text.startsWith('@') && !tweet.text.startsWith('RT @');
-      });
-      
-      console.log(`📊 ${originalTweets.length} original posts after filtering`);
-      
-      // Limit to daily deletion quota for free tier
-      const limitedTweets = originalTweets.slice(0, this.maxDeletionsPerDay);
-      if (limitedTweets.length < originalTweets.length) {
-        console.log(`⚠️  Limited to ${this.maxDeletionsPerDay} tweets due to Free tier daily limits`);
+        const pageTweets = this.filterTweets(tweets, rule);
+        filteredTweets.push(...pageTweets);
+        if (options.onPage) {
+          await options.onPage(pageTweets, page);
+        }
       }
-      
-      return limitedTweets;
+
+      console.log(`📊 ${filteredTweets.length} of ${fetchedCount} tweets after filtering`);
+      return filteredTweets;
     } catch (error) {
       if (error.code === 429) {
         console.error("❌ Rate limit exceeded!");
@@ -75,10 +231,120 @@ class TweetDeleter {
       } else {
         console.error("❌ Error fetching tweets:", error.message);
       }
-      return [];
+      // Keep whatever pages arrived before the failure
+      return filteredTweets;
+    }
+  }
+
+  // Archives hold authored tweets only, so `type` can be tweets, replies or retweets
+  async loadTweetsFromArchive(archivePath, rule, type = ContentType.TWEETS) {
+    if (getContentType(type).listEndpoint !== Endpoints.USER_TIMELINE) {
+      throw new Error(`Archives don't list ${type}; fetch them from the API instead`);
+    }
+    rule = this.selectionRule(rule, type);
+    const allTweets = await loadArchive(archivePath, { authorId: await this.currentUserId() });
+    console.log(`📦 Loaded ${allTweets.length} tweets from archive`);
+    await this.refreshProtection(allTweets);
+
+    const filteredTweets = this.filterTweets(allTweets, rule);
+    console.log(`📊 ${filteredTweets.length} tweets after filtering`);
+
+    return filteredTweets;
+  }
+
+  // Apply a selection rule (see lib/filters.js); defaults to original posts only
+  filterTweets(tweets, rule = DEFAULT_RULES["original-posts"]) {
+    return applyRule(tweets, rule);
+  }
+
+  // The rule a content type's items are picked with: replies and retweets are
+  // picked out of the timeline first, then narrowed down by `rule` if given.
+  // Tweets keep the original-posts default; likes and bookmarks default to all.
+  selectionRule(rule, type = ContentType.TWEETS) {
+    const { select } = getContentType(type);
+    if (!select) {
+      return rule || (type === ContentType.TWEETS ? DEFAULT_RULES["original-posts"] : { and: [] });
+    }
+    return rule ? { and: [select, rule] } : select;
+  }
+
+  // Reload protect.json and re-rank "top N by engagement" over every timeline tweet seen so far.
+  // Bare ids and looked-up tweets are only part of the timeline, so they don't count.
+  async refreshProtection(tweets = []) {
+    await this.protectList.load();
+    tweets.forEach(tweet => {
+      this.knownTweets.set(tweet.id, tweet);
+      if (tweet.public_metrics && !tweet.content_type) {
+        this.timelineTweets.set(tweet.id, tweet);
+      }
+    });
+    this.protectList.rankTweets(Array.from(this.timelineTweets.values()));
+
+    // fetchUserTweets records the pinned tweet for free; other sources need a lookup
+    if (this.protectList.config.protectPinned && this.protectList.pinnedTweetId === undefined) {
+      try {
+        const user = await this.client.v2.me({ "user.fields": ["pinned_tweet_id"] });
+        this.protectList.setPinnedTweet(user.data.pinned_tweet_id);
+      } catch (error) {
+        console.error("⚠️  Could not look up pinned tweet:", error.message);
+      }
     }
   }
 
+  // Jobs that only have ids (delete --ids, resumed jobs, retries) haven't listed the
+  // timeline, so fetch it once to rank against. Without it "top N" is skipped rather
+  // than ranking the job's own tweets against each other.
+  async rankTimeline() {
+    if (this.timelineFetched || this.timelineTweets.size > 0 || !(this.protectList.config.topByEngagement > 0)) {
+      return;
+    }
+    this.timelineFetched = true;
+    try {
+      for await (const { tweets } of this.fetchTimelinePages()) {
+        tweets.forEach(tweet => {
+          this.knownTweets.set(tweet.id, tweet);
+          this.timelineTweets.set(tweet.id, tweet);
+        });
+      }
+    } catch (error) {
+      console.error("⚠️  Could not fetch the timeline to rank by engagement:", error.message);
+    }
+    if (this.timelineTweets.size === 0) {
+      console.error(`⚠️  No timeline to rank, so "top ${this.protectList.config.topByEngagement} by engagement" protects nothing this run`);
+    }
+    this.protectList.rankTweets(Array.from(this.timelineTweets.values()));
+  }
+
+  protectionReason(tweet) {
+    return this.protectList.reason(this.knownTweets.get(tweet.id) || tweet);
+  }
+
+  // Mark protected tweets so front ends can badge them
+  annotateProtection(tweets) {
+    return tweets.map(tweet => {
+      const reason = this.protectionReason(tweet);
+      return reason ? { ...tweet, protected: reason } : tweet;
+    });
+  }
+
+  // Used as the scheduler's wait hook. Short pacing waits are silent;
+  // anything longer gets a progress bar. Emits "wait" so a UI can count down.
+  async waitUntil(time, reason) {
+    const ms = time - Date.now();
+    if (ms <= 0) {
+      return;
+    }
+    this.emit("wait", { until: new Date(time).toISOString(), reason });
+
+    if (ms < 60 * 1000 || ms <= this.plan.deletions.minDelaySeconds * 1000) {
+      await this.delay(ms);
+      return;
+    }
+
+    console.log(`\n⏳ Waiting for ${reason} until ${time.toLocaleString()}`);
+    await this.sleep(Math.ceil(ms / (1000 * 60)));
+  }
+
   async sleep(minutes) {
     const progressBar = new cliProgress.SingleBar({
       format: "Waiting |{bar}| {percentage}% | {value}/{total} minutes",
@@ -88,117 +354,243 @@ class TweetDeleter {
 
     progressBar.start(minutes, 0);
 
-    for (let i = 0; i < minutes; i++) {
-      await new Promise((resolve) => setTimeout(resolve, 60000)); // 1 minute
-      progressBar.update(i + 1);
+    try {
+      for (let i = 0; i < minutes; i++) {
+        await this.delay(60000); // 1 minute
+        progressBar.update(i + 1);
+      }
+    } finally {
+      progressBar.stop();
     }
+  }
 
-    progressBar.stop();
+  // Every wait inside a job goes through here, so cancelling the job cuts it short
+  delay(ms) {
+    return this.control ? this.control.delay(ms) : new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // The tweet as fully as we can know it: seen this session, else looked up,
+  // else what the queue stored when it was picked
+  async resolveTweet(tweetId, stored) {
+    const known = this.knownTweets.get(tweetId);
+    if (known && known.text) {
+      return known;
+    }
+    const found = await this.lookupTweet(tweetId);
+    return found || known || (stored && stored.text ? stored : { id: tweetId });
+  }
+
+  async lookupTweet(tweetId) {
+    try {
+      const result = await this.client.v2.singleTweet(tweetId, TWEET_PARAMS);
+      const [tweet] = attachMedia([result.data], result.includes && result.includes.media);
+      this.knownTweets.set(tweet.id, tweet);
+      return tweet;
+    } catch (error) {
+      console.error(`⚠️  Could not look up tweet ${tweetId}:`, error.message);
+      return null;
+    }
   }
 
-  async deleteTweet(tweetId) {
+  // Delete a tweet, or with `type` unlike, unretweet or un-bookmark it (see lib/content-types.js).
+  // `threads` is the job's ThreadGuard: a tweet is kept while a reply below it
+  // stays up. `stored` is what the queue kept of the tweet, for when it can't be looked up.
+  // A failure comes back with its `kind` (lib/retry.js); retrying is up to the caller.
+  async deleteTweet(tweetId, type = ContentType.TWEETS, { threads, stored } = {}) {
+    const contentType = getContentType(type);
+
+    // Dry runs go through simulateDeletion; this is the backstop in case anything slips past
+    if (this.dryRun) {
+      throw new Error(`Refusing to ${contentType.verb} tweet ${tweetId} during a dry run`);
+    }
+
+    if (contentType.authored) {
+      // Every deletion path comes through here, so this is the one place the keep-list is enforced.
+      // Jobs that only have ids (delete --ids, resumed jobs, retries) look the tweet up first,
+      // so its keywords and engagement count as well.
+      await this.rankTimeline();
+      const tweet = await this.resolveTweet(tweetId, stored);
+      const reason = this.protectionReason(tweet);
+      if (reason) {
+        console.log(`🛡️  Skipping protected tweet ${tweetId}: ${reason}`);
+        return { success: false, skipped: true, id: tweetId, reason };
+      }
+
+      const threadReason = threads && threads.reason(tweetId);
+      if (threadReason) {
+        console.log(`🧵 Keeping tweet ${tweetId} so its thread stays whole: ${threadReason}`);
+        return { success: false, skipped: true, id: tweetId, reason: threadReason };
+      }
+
+      // Never delete anything we haven't been able to back up
+      try {
+        await this.backup.append(tweet);
+      } catch (error) {
+        console.error(`❌ Not deleting tweet ${tweetId}, backup failed:`, error.message);
+        return { success: false, id: tweetId, error: `Backup failed: ${error.message}`, kind: ErrorKind.PERMANENT };
+      }
+    }
+
+    // Unretweeting needs the retweet itself for the original's id; after a restart we look it up
+    const tweet = this.knownTweets.get(tweetId) ||
+      (type === ContentType.RETWEETS && await this.lookupTweet(tweetId)) ||
+      { id: tweetId };
+
+    // Waits for the rate limit, pacing and daily budget shared with every other process
+    await this.scheduler.acquire(contentType.removeEndpoint, { budget: contentType.bucket, wait: this.waitUntil.bind(this) });
+
+    const userId = contentType.authored ? null : await this.currentUserId();
+    const sentAt = Date.now();
     try {
-      const result = await this.client.v2.deleteTweet(tweetId);
-      return { success: true, id: tweetId };
+      await contentType.remove(this.client, userId, tweet);
+      return { success: true, id: tweetId, durationMs: Date.now() - sentAt };
     } catch (error) {
       if (error.code === 429) {
+        // The scheduler holds the next attempt until the limit resets
+        await this.scheduler.recordRateLimited(contentType.removeEndpoint, error);
         throw error; // Re-throw rate limit errors to handle at batch level
       }
-      console.error(`❌ Failed to delete tweet ${tweetId}:`, error.message);
-      return { success: false, id: tweetId, error: error.message };
+      const kind = classifyError(error);
+      console.error(`❌ Failed to ${contentType.verb} tweet ${tweetId} (${kind}):`, error.message);
+      return { success: false, id: tweetId, error: error.message, code: error.code, kind, durationMs: Date.now() - sentAt };
+    }
+  }
+
+  // Open an audit-log run for processing `job`; who, where from and which rule come from the job
+  async startAuditRun(job, total) {
+    return this.audit.startRun({
+      account: this.account.id,
+      source: job.source,
+      startedBy: job.started_by,
+      rule: job.rule,
+      contentType: job.type || ContentType.TWEETS,
+      jobId: job.id,
+      total
+    });
+  }
+
+  async auditItem(runId, tweet, outcome, details = {}) {
+    const known = this.knownTweets.get(tweet.id) || {};
+    return this.audit.recordItem(runId, { id: tweet.id, text: tweet.text || known.text, outcome, ...details });
+  }
+
+  // A ThreadGuard for `job`, knowing what earlier runs of it left standing
+  threadGuard(job) {
+    const threads = new ThreadGuard(job.items);
+    job.items
+      .filter(item => [ItemStatus.FAILED, ItemStatus.CANCELLED, ItemStatus.SKIPPED].includes(item.status) && item.reason !== ALREADY_DELETED)
+      .forEach(item => threads.keep(item.id));
+    return threads;
+  }
+
+  // Run a job on the JobEngine, reporting with this deleter's reporters (the
+  // console by default). `control` pauses, cancels or stops it from outside
+  // (keypresses in the CLI); a stopped job stays queued as paused and is resumed
+  // on the next run. Without a job, one is created for `tweets` that removes
+  // `type`; a resumed job remembers its own.
+  async deleteTweetsInBatches(tweets, job = null, control = new JobControl(), type = ContentType.TWEETS) {
+    // Record the work on disk first so it can be resumed after a restart
+    if (!job) {
+      job = await this.queue.createJob(tweets, "cli", { type, startedBy: localUser() });
     }
+    return new JobEngine(this, job, { control, tweets, reporters: this.reporters }).start();
   }
 
-  async deleteTweetsInBatches(tweets) {
-    const totalTweets = tweets.length;
-    let deletedCount = 0;
-    let failedCount = 0;
+  // Walk the same protection, batching and scheduling logic as deleteTweetsInBatches,
+  // on a simulated clock, without calling the API. Returns what would happen and when.
+  async simulateDeletion(tweets, type = ContentType.TWEETS) {
+    const contentType = getContentType(type);
+    tweets = orderLeafFirst(tweets); // The order a job would queue them in
+    await this.refreshProtection(tweets);
+    if (contentType.authored) {
+      await this.rankTimeline();
+    }
+    const state = await this.scheduler.read();
+    const startedAt = Date.now();
+    let clock = startedAt;
+    const items = [];
+    let order = 0;
 
-    console.log(`📊 Processing ${totalTweets} tweets (Free tier: max ${this.maxDeletionsPerDay}/day)`);
-    
     for (let i = 0; i < tweets.length; i += this.tweetsPerBatch) {
       const batch = tweets.slice(i, i + this.tweetsPerBatch);
       const batchNumber = Math.floor(i / this.tweetsPerBatch) + 1;
-      const totalBatches = Math.ceil(tweets.length / this.tweetsPerBatch);
-
-      console.log(`\n🔄 Batch ${batchNumber}/${totalBatches} (${batch.length} tweets)`);
-
-      const progressBar = new cliProgress.SingleBar({
-        format: "Deleting |{bar}| {percentage}% | {value}/{total} tweets",
-        barCompleteChar: "\u2588",
-        barIncompleteChar: "\u2591",
-      });
 
-      progressBar.start(batch.length, 0);
-
-      for (let j = 0; j < batch.length; j++) {
-        const tweet = batch[j];
-        try {
-          const result = await this.deleteTweet(tweet.id);
-          
-          if (result.success) {
-            deletedCount++;
-            this.deletedTweets.push({
-              id: tweet.id,
-              text: tweet.text,
-              created_at: tweet.created_at,
-              deleted_at: new Date().toISOString()
-            });
-          } else {
-            failedCount++;
-          }
-
-          progressBar.update(j + 1);
-          
-          // Much longer delay between individual deletions for free tier
-          await new Promise(resolve => setTimeout(resolve, 300000)); // 5 minutes
-          
-        } catch (error) {
-          if (error.code === 429) {
-            progressBar.stop();
-            console.log(`\n⚠️  Rate limit hit - waiting for reset...`);
-            
-            if (error.rateLimit?.reset) {
-              const resetTime = new Date(error.rateLimit.reset * 1000);
-              const minutesUntilReset = Math.ceil((resetTime - new Date()) / (1000 * 60));
-              console.log(`⏰ Rate limit resets in ${minutesUntilReset} minutes`);
-              await this.sleep(minutesUntilReset + 5); // Add 5 minute buffer
-            } else {
-              await this.sleep(24 * 60); // Wait 24 hours for daily reset
-            }
-            
-            // Retry this tweet
-            j--;
-            progressBar.start(batch.length, j + 1);
-            continue;
-          }
-          
-          failedCount++;
-          progressBar.update(j + 1);
+      for (const tweet of batch) {
+        const summary = { id: tweet.id, text: tweet.text, created_at: tweet.created_at, batch: batchNumber };
+        const reason = contentType.authored && this.protectionReason(tweet);
+        if (reason) {
+          items.push({ ...summary, action: "skip", reason });
+          continue;
         }
-      }
 
-      progressBar.stop();
+        const slot = this.scheduler.nextSendTime(state, contentType.removeEndpoint, { budget: contentType.bucket, now: clock });
+        clock = slot.at.getTime();
+        budgetTimes(state, contentType.bucket).push(clock);
+        items.push({
+          ...summary,
+          action: "delete",
+          order: ++order,
+          estimatedAt: new Date(clock).toISOString(),
+          waitingFor: slot.reason
+        });
+      }
 
-      // Wait between batches (except for the last batch)
       if (i + this.tweetsPerBatch < tweets.length) {
-        await this.sleep(this.batchDelayMinutes);
+        clock += this.batchDelayMinutes * 60 * 1000;
       }
     }
 
-    console.log(`\n✅ Completed: ${deletedCount} deleted, ${failedCount} failed`);
-    
-    if (deletedCount >= this.maxDeletionsPerDay) {
-      console.log(`⚠️  Daily limit reached. Wait 24 hours before running again.`);
+    return {
+      dryRun: true,
+      type,
+      plan: this.plan.name,
+      generatedAt: new Date(startedAt).toISOString(),
+      total: tweets.length,
+      toDelete: order,
+      protected: items.length - order,
+      batches: Math.ceil(tweets.length / this.tweetsPerBatch),
+      estimatedCompletion: new Date(clock).toISOString(),
+      items
+    };
+  }
+
+  // Pick up jobs left unfinished by a crash or restart, or stopped to resume later
+  async resumeUnfinishedJobs(source = "cli", control = new JobControl()) {
+    const jobs = await this.queue.getUnfinishedJobs(source);
+    const totals = { deleted: 0, failed: 0, skipped: 0, jobs: jobs.length, interrupted: null };
+
+    for (const job of jobs) {
+      const pending = DeletionQueue.pendingItems(job);
+      const paused = job.status === JobStatus.PAUSED ? "paused " : "";
+      console.log(`\n♻️  Resuming ${paused}job ${job.id} (${pending.length} tweets pending)`);
+
+      const results = await this.deleteTweetsInBatches(pending, job, control);
+      totals.deleted += results.deleted;
+      totals.failed += results.failed;
+      totals.skipped += results.skipped;
+      if (results.interrupted) {
+        totals.interrupted = results.interrupted;
+        break;
+      }
     }
-    
-    return { deleted: deletedCount, failed: failedCount };
+
+    return totals;
   }
 
+  // Adds this session's entries to deleted_tweets.json, which keeps every run's
+  // (the audit log has the full per-run detail)
   async saveDeletionLog() {
-    const logFile = path.join(__dirname, "deleted_tweets.json");
-    await fs.writeFile(logFile, JSON.stringify(this.deletedTweets, null, 2));
-    console.log(`📝 Log saved: ${logFile}`);
+    let previous = [];
+    try {
+      previous = JSON.parse(await fs.readFile(this.logFile, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+    await fs.writeFile(this.logFile, JSON.stringify([...previous, ...this.deletedTweets], null, 2));
+    this.deletedTweets = [];
+    console.log(`📝 Log saved: ${this.logFile}`);
   }
 
   async askConfirmation(message) {
@@ -216,64 +608,606 @@ class TweetDeleter {
   }
 }
 
-async function main() {
-  console.log("🐦 Twitter Tweet Deleter");
-  console.log("========================\n");
+// Keyboard control for an interactive run: p pauses/resumes, c cancels the
+// remaining tweets, q (or Ctrl+C) stops and keeps them queued for the next run.
+// Returns a function that gives the terminal back.
+function watchKeys(control) {
+  if (!process.stdin.isTTY) {
+    return () => {};
+  }
+
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  process.stdin.resume();
+  console.log("⌨️  Press p to pause/resume, c to cancel, q to stop and resume later");
+
+  const onKey = (text, key = {}) => {
+    if (key.name === "p") {
+      control.paused ? control.resume() : control.pause();
+    } else if (key.name === "c") {
+      if (control.cancel()) console.log("\n🛑 Cancelling...");
+    } else if (key.name === "q" || (key.ctrl && key.name === "c")) {
+      if (control.stop()) console.log("\n⏹️  Stopping after the current tweet...");
+    }
+  };
+  process.stdin.on("keypress", onKey);
+
+  return () => {
+    process.stdin.removeListener("keypress", onKey);
+    process.stdin.setRawMode(false);
+    process.stdin.pause();
+  };
+}
+
+async function printDryRunReport(report) {
+  console.log(`\n🧪 DRY RUN - nothing will be deleted (${report.plan} plan)`);
+
+  report.items.forEach(item => {
+    const text = (item.text || "").substring(0, 60);
+    if (item.action === "skip") {
+      console.log(`   🛡️  skip   ${item.id}  ${text} (${item.reason})`);
+    } else {
+      const at = new Date(item.estimatedAt).toLocaleString();
+      console.log(`   ${String(item.order).padStart(4)}. ${at}  ${item.id}  ${text}`);
+    }
+  });
+
+  const { verb } = getContentType(report.type);
+  console.log(`\n📈 Would ${verb} ${report.toDelete} tweets in ${report.batches} batches, skipping ${report.protected} protected`);
+  console.log(`⏰ Estimated completion: ${new Date(report.estimatedCompletion).toLocaleString()}`);
+
+  const reportFile = path.join(__dirname, "dry_run_report.json");
+  await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+  console.log(`📝 Report saved: ${reportFile}`);
+}
+
+// With --json the result is the only thing on stdout, as one JSON document;
+// everything printed along the way moves to stderr
+function printResult(options, result, printHuman = () => {}) {
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    printHuman(result);
+  }
+}
+
+function pacingOptions(options) {
+  return { batchSize: options.batchSize, batchDelayMinutes: options.batchDelay, minDelaySeconds: options.delay };
+}
+
+// Job notifications (lib/notifications.js) from every command; main waits for
+// the last ones to go out before the process exits
+const notifier = new Notifier();
+
+// The console and notifications always; --log-file adds a JSON line per job event
+function reporterOptions(options) {
+  const reporters = [progressBarReporter(), notificationReporter(notifier)];
+  if (options.logFile) {
+    reporters.push(logFileReporter(path.resolve(options.logFile)));
+  }
+  return reporters;
+}
+
+// --account picks one of the accounts in accounts.json; the .env one otherwise
+async function openAccount(options) {
+  try {
+    return await new AccountRegistry().get(options.account || process.env.TWITTER_ACCOUNT);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
 
-  const deleter = new TweetDeleter();
+// --type replies|retweets|likes|bookmarks cleans those up instead of tweets
+function contentTypeOption(options) {
+  try {
+    return getContentType(options.type || ContentType.TWEETS);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+// A deleter for the account, with its credentials checked against the API
+async function connect(options, account) {
+  let deleter;
+  try {
+    deleter = new TweetDeleter({
+      account,
+      plan: options.plan,
+      pacing: pacingOptions(options),
+      dryRun: options.dryRun || undefined,
+      reporters: reporterOptions(options)
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
 
-  // Validate credentials
   if (!(await deleter.validateCredentials())) {
-    console.log("Please check your .env file and ensure all credentials are correct.");
-    process.exit(1);
+    throw new CliError("Please check your .env file and ensure all credentials are correct.", ExitCode.AUTH);
+  }
+  return deleter;
+}
+
+// Selection rule by name, from rules.json or the built-in defaults. With
+// `useDefault`, tweets fall back to TWEET_RULE or original posts; other content
+// types take every item of their type unless a rule is given.
+async function selectionRule(deleter, options, contentType, useDefault) {
+  const ruleName = options.rule || (useDefault
+    ? process.env.TWEET_RULE || (contentType.name === ContentType.TWEETS ? "original-posts" : null)
+    : null);
+  if (!ruleName) {
+    return { ruleName: null, rule: undefined };
+  }
+
+  try {
+    const rule = await deleter.rules.get(ruleName);
+    console.log(`📐 Using selection rule "${ruleName}"`);
+    return { ruleName, rule };
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+// The tweets a command works on: --ids as given, or those matching the rule in
+// an offline archive or the live timeline
+async function selectTweets(deleter, options, contentType, rule) {
+  if (options.ids) {
+    return options.ids.map(id => ({ id }));
   }
 
-  console.log("\n⚠️  FREE TIER LIMITATIONS:");
-  console.log("   • Only 17 tweet deletions per 24 hours");
-  console.log("   • Process will be VERY slow (5+ minutes between deletions)");
+  const archivePath = options.archive || process.env.TWEET_ARCHIVE_PATH;
+  if (archivePath) {
+    console.log(`📦 Reading tweets from archive: ${archivePath}`);
+    try {
+      return await deleter.loadTweetsFromArchive(archivePath, rule, contentType.name);
+    } catch (error) {
+      throw new CliError(`Failed to read archive: ${error.message}`);
+    }
+  }
+
+  const limit = options.limit || deleter.plan.timeline.maxTweets;
+  const { since } = options;
+  console.log(`📥 Fetching up to ${limit} ${contentType.label.toLowerCase()} (${deleter.plan.name} plan)${since ? ` since ${since}` : ""}...`);
+  return deleter.fetchUserTweets(limit, rule, { since, type: contentType.name });
+}
+
+// --yes skips the prompt; without a terminal there is nobody to ask
+async function confirmDeletion(deleter, options) {
+  if (options.yes) {
+    return true;
+  }
+  if (!process.stdin.isTTY) {
+    throw new UsageError("Not on a terminal, so there is nobody to confirm the deletion: pass --yes to proceed");
+  }
+  return deleter.askConfirmation("Are you sure you want to proceed?");
+}
+
+async function resumeJobs(deleter) {
+  const control = new JobControl();
+  const releaseKeys = watchKeys(control);
+  let resumed;
+  try {
+    resumed = await deleter.resumeUnfinishedJobs("cli", control);
+  } finally {
+    releaseKeys();
+  }
+
+  if (resumed.jobs > 0) {
+    console.log(`\n🎉 Resumed ${resumed.jobs} unfinished job(s): ${resumed.deleted} deleted, ${resumed.failed} failed`);
+  }
+  return resumed;
+}
+
+async function listCommand(options) {
+  const account = await openAccount(options);
+  const contentType = contentTypeOption(options);
+  const deleter = await connect(options, account);
+  const { ruleName, rule } = await selectionRule(deleter, options, contentType, true);
+  const tweets = deleter.annotateProtection(await selectTweets(deleter, options, contentType, rule));
+
+  printResult(options, { account: account.id, type: contentType.name, rule: ruleName, count: tweets.length, tweets }, () => {
+    console.log("");
+    tweets.forEach(tweet => {
+      const date = tweet.created_at ? tweet.created_at.slice(0, 10) : "";
+      const text = (tweet.text || "").replace(/\s+/g, " ").substring(0, 80);
+      console.log(`${tweet.id}  ${date.padEnd(10)}  ${text}${tweet.protected ? `  🛡️  ${tweet.protected}` : ""}`);
+    });
+    console.log(`\n${tweets.length} ${contentType.label.toLowerCase()}`);
+  });
+  return ExitCode.OK;
+}
+
+// Tweets that could embarrass the account, scored by lib/scanner.js; deletes nothing
+async function scanCommand(options) {
+  const account = await openAccount(options);
+  const contentType = contentTypeOption(options);
+  const deleter = await connect(options, account);
+  const { ruleName, rule } = await selectionRule(deleter, options, contentType, true);
+  const tweets = deleter.annotateProtection(await selectTweets(deleter, options, contentType, rule));
+
+  const scanner = new SensitiveScanner();
+  await scanner.load();
+  const report = scanner.scan(tweets, { minScore: options.minScore, sentiment: options.sentiment || undefined });
+
+  printResult(options, { account: account.id, type: contentType.name, rule: ruleName, ...report }, () => {
+    const label = contentType.label.toLowerCase();
+    console.log(`\n🚩 ${report.flagged.length} of ${report.scanned} ${label} suggested for deletion (score ${report.minScore} or more)\n`);
+    report.flagged.forEach(tweet => {
+      const date = tweet.created_at ? tweet.created_at.slice(0, 10) : "";
+      const text = (tweet.text || "").replace(/\s+/g, " ").substring(0, 80);
+      console.log(`${String(tweet.score).padStart(3)}  ${tweet.id}  ${date.padEnd(10)}  ${text}${tweet.protected ? `  🛡️  ${tweet.protected}` : ""}`);
+      console.log(`     ${tweet.reason}`);
+    });
+    const deletable = report.flagged.filter(tweet => !tweet.protected).map(tweet => tweet.id);
+    if (deletable.length > 0) {
+      console.log(`\nTo delete them: tweet-deleter delete --type ${contentType.name} --ids ${deletable.join(",")}`);
+    }
+  });
+  return ExitCode.OK;
+}
+
+// delete and import-archive. Without a command (options.legacy) this is the
+// original flow: resume unfinished jobs first, then delete by the default rule.
+async function deleteCommand(options) {
+  const account = await openAccount(options);
+  const contentType = contentTypeOption(options);
+  const deleter = await connect(options, account);
+  const { label, verb } = contentType;
+
+  // Finish interrupted work before starting anything new (but never in a dry run)
+  if (options.legacy && !deleter.dryRun) {
+    const resumed = await resumeJobs(deleter);
+    if (resumed.jobs > 0) {
+      printResult(options, resumed);
+      return exitCodeFor(resumed);
+    }
+  }
+
+  const { deletions } = deleter.plan;
+  const budget = await deleter.scheduler.status({ endpoint: contentType.removeEndpoint, bucket: contentType.bucket });
+  console.log(`\n⚠️  ${deleter.plan.name.toUpperCase()} PLAN LIMITATIONS:`);
+  console.log(`   • Only ${deletions.perDay} tweet deletions per 24 hours (${budget.remainingToday} left right now)`);
+  console.log(`   • At least ${Math.round(deletions.minDelaySeconds / 60 * 10) / 10} minutes between deletions`);
   console.log("   • Consider upgrading at: https://developer.twitter.com/en/portal/dashboard\n");
 
-  // Fetch tweets
-  console.log("📥 Fetching your tweets...");
-  const tweets = await deleter.fetchUserTweets();
+  const { ruleName, rule } = await selectionRule(deleter, options, contentType, !options.ids);
+  const tweets = await selectTweets(deleter, options, contentType, rule);
 
   if (!Array.isArray(tweets) || tweets.length === 0) {
-    console.log("No tweets found to delete.");
-    process.exit(0);
+    console.log(`No ${label.toLowerCase()} found to ${verb}.`);
+    printResult(options, { deleted: 0, failed: 0, skipped: 0, interrupted: null, jobId: null });
+    return ExitCode.OK;
+  }
+
+  const protectedCount = deleter.annotateProtection(tweets).filter(tweet => tweet.protected).length;
+  if (protectedCount > 0) {
+    console.log(`\n🛡️  ${protectedCount} protected tweets will be skipped (see protect.json)`);
   }
 
-  console.log(`\nFound ${tweets.length} tweets to delete:`);
+  console.log(`\nFound ${tweets.length} ${label.toLowerCase()} to ${verb}:`);
   tweets.slice(0, 5).forEach((tweet, index) => {
     const tweetText = tweet.text || "No text available";
     console.log(`${index + 1}. ${tweetText.substring(0, 80)}...`);
   });
 
-  console.log("\n⚠️  This will permanently delete tweets from your account!");
+  if (deleter.dryRun) {
+    const report = await deleter.simulateDeletion(tweets, contentType.name);
+    if (options.json) {
+      printResult(options, report);
+    } else {
+      await printDryRunReport(report);
+    }
+    return ExitCode.OK;
+  }
 
-  const confirm = await deleter.askConfirmation("Are you sure you want to proceed?");
+  console.log(contentType.authored
+    ? "\n⚠️  This will permanently delete tweets from your account!"
+    : `\n⚠️  This will ${verb} ${tweets.length} tweets on your account!`);
 
-  if (!confirm) {
+  if (!(await confirmDeletion(deleter, options))) {
     console.log("Operation cancelled.");
-    process.exit(0);
+    printResult(options, { deleted: 0, failed: 0, skipped: 0, interrupted: ControlState.CANCELLED, jobId: null });
+    return ExitCode.INTERRUPTED;
   }
 
   console.log("\n🚀 Starting deletion process...");
   
-  const results = await deleter.deleteTweetsInBatches(tweets);
-  
-  // Save deletion log
-  await deleter.saveDeletionLog();
+  const control = new JobControl();
+  const releaseKeys = watchKeys(control);
+  let results;
+  try {
+    const job = await deleter.queue.createJob(tweets, "cli", {
+      type: contentType.name,
+      startedBy: localUser(),
+      rule: ruleName || undefined
+    });
+    results = await deleter.deleteTweetsInBatches(tweets, job, control);
+  } finally {
+    releaseKeys();
+  }
   
-  console.log("\n🎉 Process completed!");
-  console.log(`📈 Summary: ${results.deleted} deleted, ${results.failed} failed`);
+  console.log(results.interrupted ? "\n👋 Process interrupted" : "\n🎉 Process completed!");
+  console.log(`📈 Summary: ${results.deleted} deleted, ${results.failed} failed, ${results.skipped} protected`);
+  if (results.failed > 0) {
+    console.log(`🔁 The failed ones are in the retry queue: tweet-deleter retry${contentType.name === ContentType.TWEETS ? "" : ` --type ${contentType.name}`}`);
+  }
   
   if (results.deleted >= deleter.maxDeletionsPerDay) {
     console.log(`⏰ Daily limit reached. Wait 24 hours before running again.`);
   }
+
+  printResult(options, results);
+  return exitCodeFor(results);
+}
+
+async function importArchiveCommand(options, [archivePath]) {
+  return deleteCommand({ ...options, archive: archivePath || options.archive });
+}
+
+async function resumeCommand(options) {
+  if (options.dryRun) {
+    throw new UsageError("Unfinished jobs are never resumed in a dry run");
+  }
+  const deleter = await connect(options, await openAccount(options));
+  const resumed = await resumeJobs(deleter);
+  printResult(options, resumed, () => {
+    if (resumed.jobs === 0) console.log("Nothing to resume.");
+  });
+  return exitCodeFor(resumed);
+}
+
+// Runs the retry queue: every failed tweet of --type (default tweets) in a new job
+async function retryCommand(options) {
+  if (options.dryRun) {
+    throw new UsageError("Failed tweets are never retried in a dry run");
+  }
+  const contentType = contentTypeOption(options);
+  const deleter = await connect(options, await openAccount(options));
+
+  const failed = await deleter.queue.failedItems(contentType.name);
+  if (failed.length === 0) {
+    console.log(`No failed ${contentType.label.toLowerCase()} to retry.`);
+    printResult(options, { deleted: 0, failed: 0, skipped: 0, interrupted: null, jobId: null });
+    return ExitCode.OK;
+  }
+
+  console.log(`\n🔁 ${failed.length} failed ${contentType.label.toLowerCase()} to try again:`);
+  failed.slice(0, 5).forEach(item => console.log(`   ${item.id}  ${item.error || ""}`));
+  if (!(await confirmDeletion(deleter, options))) {
+    console.log("Operation cancelled.");
+    printResult(options, { deleted: 0, failed: 0, skipped: 0, interrupted: ControlState.CANCELLED, jobId: null });
+    return ExitCode.INTERRUPTED;
+  }
+
+  const control = new JobControl();
+  const releaseKeys = watchKeys(control);
+  let results;
+  try {
+    const job = await deleter.queue.retryFailed(contentType.name, "cli", { startedBy: localUser(), rule: "retry failed" });
+    results = await deleter.deleteTweetsInBatches([], job, control);
+  } finally {
+    releaseKeys();
+  }
+
+  printResult(options, results, () => {
+    console.log(`📈 Retried: ${results.deleted} deleted, ${results.failed} failed again, ${results.skipped} protected`);
+  });
+  return exitCodeFor(results);
+}
+
+// Reads only local state, so it needs no credentials and makes no API calls
+async function statusCommand(options) {
+  const account = await openAccount(options);
+  const paths = accountPaths(account);
+  let plan;
+  try {
+    plan = getPlan(options.plan || account.plan || process.env.TWITTER_PLAN, pacingOptions(options));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const scheduler = new RateLimitScheduler(plan, paths.budget);
+  const budgets = {};
+  for (const type of Object.values(CONTENT_TYPES)) {
+    budgets[type.bucket] = budgets[type.bucket] || await scheduler.status({ endpoint: type.removeEndpoint, bucket: type.bucket });
+  }
+
+  const jobs = (await new DeletionQueue(paths.queue).getUnfinishedJobs()).map(job => ({
+    id: job.id,
+    source: job.source,
+    type: job.type || ContentType.TWEETS,
+    status: job.status,
+    createdAt: job.created_at,
+    ...DeletionQueue.summarize(job)
+  }));
+  const queue = new DeletionQueue(paths.queue);
+  const retryQueue = {};
+  for (const type of Object.keys(CONTENT_TYPES)) {
+    retryQueue[type] = (await queue.failedItems(type)).length;
+  }
+  const [lastRun] = await new AuditLog(paths.audit).history({ limit: 1 });
+  const status = {
+    account: account.id,
+    plan: { name: plan.name, ...plan.deletions },
+    budgets,
+    unfinishedJobs: jobs,
+    retryQueue,
+    lastRun: lastRun ? { ...lastRun, items: undefined } : null
+  };
+
+  printResult(options, status, () => {
+    const { deletions } = plan;
+    console.log(`👤 Account: ${account.id}`);
+    console.log(`📋 Plan: ${plan.name} (${deletions.batchSize} per batch, ${deletions.batchDelayMinutes} min between batches, ${deletions.minDelaySeconds} s between deletions)`);
+    console.log("\n📊 Budgets for the last 24 hours:");
+    Object.entries(budgets).forEach(([bucket, budget]) => {
+      const next = budget.waitingFor ? `next at ${new Date(budget.nextDeletionAt).toLocaleString()} (${budget.waitingFor})` : "available now";
+      console.log(`   ${bucket.padEnd(10)} ${budget.usedToday}/${budget.perDay} used, ${next}`);
+    });
+
+    console.log(jobs.length > 0 ? "\n♻️  Unfinished jobs (run resume to finish them):" : "\n♻️  No unfinished jobs");
+    jobs.forEach(job => {
+      console.log(`   ${job.id}  ${job.source}  ${job.type}  ${job.status}  ${job.pending} of ${job.total} pending`);
+    });
+
+    const failed = Object.entries(retryQueue).filter(([, count]) => count > 0);
+    console.log(failed.length > 0 ? "\n🔁 Failed, waiting to be retried (run retry --type <type>):" : "\n🔁 Nothing failed waiting to be retried");
+    failed.forEach(([type, count]) => console.log(`   ${type.padEnd(10)} ${count}`));
+
+    if (lastRun) {
+      const summary = lastRun.summary ? `: ${lastRun.summary.deleted} deleted, ${lastRun.summary.failed} failed, ${lastRun.summary.skipped} skipped` : "";
+      console.log(`\n🕑 Last run: ${new Date(lastRun.startedAt).toLocaleString()} from ${lastRun.source}, ${lastRun.status}${summary}`);
+    }
+  });
+  return ExitCode.OK;
+}
+
+// Export the local backup of deleted tweets; needs no credentials
+async function exportCommand(options) {
+  const account = await openAccount(options);
+  const format = options.format || options.export || "json";
+  if (!EXPORT_TYPES[format]) {
+    throw new UsageError(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_TYPES).join(", ")})`);
+  }
+
+  const backup = new TweetBackup(accountPaths(account).backups);
+  const target = options.out || path.join(backup.dir, `deleted_tweets.${format}`);
+  try {
+    const content = await backup.export(format);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+  } catch (error) {
+    throw new CliError(`Export failed: ${error.message}`);
+  }
+
+  console.log(`📦 Backup exported: ${target}`);
+  printResult(options, { format, file: target });
+  return ExitCode.OK;
+}
+
+// Standing retention policy: no prompts, runs on RETENTION_SCHEDULE
+async function retentionCommand(options) {
+  const deleter = await connect(options, await openAccount(options));
+  const ruleName = options.rule || process.env.RETENTION_RULE;
+  let daemon;
+
+  try {
+    daemon = new RetentionDaemon(deleter, {
+      schedule: options.schedule,
+      rule: ruleName ? await deleter.rules.get(ruleName) : undefined,
+      stateFile: deleter.paths.retentionState,
+      lockFile: deleter.paths.retentionLock
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (deleter.dryRun) {
+    const report = await daemon.preview();
+    if (options.json) {
+      printResult(options, report);
+    } else {
+      await printDryRunReport(report);
+    }
+    return ExitCode.OK;
+  }
+
+  if (options.once) {
+    // For system cron: a single pass, still guarded by the lockfile
+    const lastRun = await daemon.withLock(() => daemon.runOnce());
+    printResult(options, lastRun);
+    return lastRun.error ? ExitCode.ERROR : exitCodeFor(lastRun);
+  }
+
+  console.log(`🗓️  Retention mode: ${ruleName ? `rule "${ruleName}"` : "RETENTION_DAYS policy"} on "${daemon.schedule}"`);
+  await daemon.start();
+  return ExitCode.OK;
+}
+
+// Sends a test notification on every configured channel; needs no credentials
+async function notifyTestCommand(options) {
+  const results = await notifier.notify(NotificationEvent.TEST);
+  printResult(options, { results }, () => {
+    if (results.length === 0) {
+      console.log("No notification channel configured (set NOTIFY_WEBHOOK_URL, SMTP_HOST and NOTIFY_EMAIL_TO, or NOTIFY_COMMAND).");
+    }
+    results.forEach(({ channel, ok, error }) => console.log(ok ? `✅ ${channel}: sent` : `❌ ${channel}: ${error}`));
+  });
+  return results.length > 0 && results.every(result => result.ok) ? ExitCode.OK : ExitCode.ERROR;
+}
+
+// Keeps running until the process is stopped
+function serveCommand(options) {
+  require("./web-server").startServer(options.port, options.host);
+  return null;
+}
+
+const COMMAND_HANDLERS = {
+  list: listCommand,
+  scan: scanCommand,
+  delete: deleteCommand,
+  "import-archive": importArchiveCommand,
+  status: statusCommand,
+  resume: resumeCommand,
+  retry: retryCommand,
+  export: exportCommand,
+  "notify-test": notifyTestCommand,
+  serve: serveCommand,
+  retention: retentionCommand
+};
+
+// Runs one command line and resolves to the exit code, or null for the
+// commands that keep the process running (serve, the retention daemon)
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(HELP);
+    return ExitCode.USAGE;
+  }
+
+  const { command, args, options } = parsed;
+  if (command === "help") {
+    console.log(HELP);
+    return ExitCode.OK;
+  }
+
+  if (options.json) {
+    console.log = console.error;
+  } else {
+    console.log("🐦 Twitter Tweet Deleter");
+    console.log("========================\n");
+  }
+
+  try {
+    return await COMMAND_HANDLERS[command](options, args);
+  } catch (error) {
+    let exitCode = error instanceof CliError ? error.exitCode : ExitCode.ERROR;
+    if (error instanceof AuthRevokedError) {
+      exitCode = ExitCode.AUTH;
+    }
+    console.error("❌", error.message);
+    printResult(options, { error: error.message, exitCode });
+    return exitCode;
+  } finally {
+    await notifier.settle();
+  }
 }
 
 if (require.main === module) {
-  main().catch(console.error);
+  main().then(exitCode => {
+    if (exitCode !== null) {
+      process.exit(exitCode);
+    }
+  });
 }
 
 module.exports = TweetDeleter;
+module.exports.printDryRunReport = printDryRunReport;
+module.exports.main = main;
+module.exports.JobEngine = JobEngine;
+module.exports.progressBarReporter = progressBarReporter;
+module.exports.sseReporter = sseReporter;
+module.exports.logFileReporter = logFileReporter;
+module.exports.notificationReporter = notificationReporter;
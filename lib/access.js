@@ -0,0 +1,157 @@
+const crypto = require("crypto");
+
+const SESSION_COOKIE = "deletweet_session";
+const CSRF_HEADER = "x-csrf-token";
+const SESSION_IDLE_MS = 12 * 60 * 60 * 1000;
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1"];
+
+function randomToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+// Constant-time comparison that doesn't leak the secret's length either
+function safeEqual(a, b) {
+  const hash = value => crypto.createHash("sha256").update(String(value)).digest();
+  return typeof a === "string" && typeof b === "string" && crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function parseCookies(header = "") {
+  const cookies = {};
+  header.split(";").forEach(part => {
+    const index = part.indexOf("=");
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+function isLoopback(host) {
+  return LOOPBACK_HOSTS.includes(host);
+}
+
+// Origins allowed to call the API from another site (CORS_ORIGINS, comma separated).
+// By default none are: the web UI is served from the same origin and needs no CORS.
+function corsOptions(allowlist = (process.env.CORS_ORIGINS || "").split(",").map(origin => origin.trim()).filter(Boolean)) {
+  return {
+    origin: (origin, callback) => callback(null, Boolean(origin) && allowlist.includes(origin)),
+    credentials: true
+  };
+}
+
+// Local access control for the web server. Everyone must log in with the admin
+// password (WEB_ADMIN_PASSWORD) or admin token (WEB_ADMIN_TOKEN, generated at
+// startup when neither is set). Browsers get a session cookie plus a CSRF token
+// that every mutating request must echo in X-CSRF-Token; scripts can send the
+// admin token as "Authorization: Bearer <token>" instead, which no other site
+// can forge.
+class AccessControl {
+  constructor(options = {}) {
+    this.password = options.password ?? process.env.WEB_ADMIN_PASSWORD ?? null;
+    this.token = options.token ?? process.env.WEB_ADMIN_TOKEN ?? null;
+    this.generatedToken = !this.password && !this.token;
+    if (this.generatedToken) {
+      this.token = randomToken();
+    }
+    this.sessions = new Map(); // session id -> { csrfToken, lastSeen }
+  }
+
+  checkSecret(secret) {
+    return Boolean(secret) && (
+      (this.password !== null && safeEqual(secret, this.password)) ||
+      (this.token !== null && safeEqual(secret, this.token))
+    );
+  }
+
+  createSession() {
+    const id = randomToken();
+    const session = { id, csrfToken: randomToken(), lastSeen: Date.now() };
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  sessionFor(req) {
+    const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = id && this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    if (session.lastSeen + SESSION_IDLE_MS < Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  setSessionCookie(req, res, session) {
+    res.cookie(SESSION_COOKIE, session.id, {
+      httpOnly: true,
+      sameSite: "lax", // Lax, not Strict, so the redirect back from Sign in with X keeps the session
+      secure: req.secure,
+      path: "/"
+    });
+  }
+
+  // Login, logout and session routes
+  routes(router) {
+    router.post("/auth/login", (req, res) => {
+      if (!this.checkSecret(req.body && (req.body.password || req.body.token))) {
+        return res.status(401).json({ error: "Wrong password or token" });
+      }
+      const session = this.createSession();
+      this.setSessionCookie(req, res, session);
+      res.json({ authenticated: true, csrfToken: session.csrfToken });
+    });
+
+    // The link printed at startup: http://localhost:3000/login?token=...
+    router.get("/login", (req, res) => {
+      if (!this.checkSecret(req.query.token)) {
+        return res.redirect("/");
+      }
+      this.setSessionCookie(req, res, this.createSession());
+      res.redirect("/");
+    });
+
+    router.post("/auth/logout", (req, res) => {
+      const session = this.sessionFor(req);
+      if (session) {
+        this.sessions.delete(session.id);
+      }
+      res.clearCookie(SESSION_COOKIE, { path: "/" });
+      res.json({ authenticated: false });
+    });
+
+    router.get("/auth/session", (req, res) => {
+      const session = this.sessionFor(req);
+      res.json(session
+        ? { authenticated: true, csrfToken: session.csrfToken }
+        : { authenticated: false, passwordLogin: this.password !== null });
+    });
+  }
+
+  // Middleware for everything that needs a logged-in user. Sets req.auth to
+  // how the request got in ("token" or "session"), for the audit log.
+  requireAuth() {
+    return (req, res, next) => {
+      const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+      if (bearer && this.token !== null && safeEqual(bearer[1], this.token)) {
+        req.auth = { via: "token" };
+        return next();
+      }
+
+      const session = this.sessionFor(req);
+      if (!session) {
+        return res.status(401).json({ error: "Login required" });
+      }
+      if (!SAFE_METHODS.includes(req.method) && !safeEqual(req.headers[CSRF_HEADER], session.csrfToken)) {
+        return res.status(403).json({ error: "Missing or invalid CSRF token" });
+      }
+      req.auth = { via: "session" };
+      next();
+    };
+  }
+}
+
+module.exports = { AccessControl, corsOptions, isLoopback, parseCookies, CSRF_HEADER };
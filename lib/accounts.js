@@ -0,0 +1,124 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEFAULT_ACCOUNTS_FILE = path.join(__dirname, "..", "accounts.json");
+const DEFAULT_ACCOUNTS_DIR = path.join(__dirname, "..", "accounts");
+const DEFAULT_ACCOUNT_ID = "default";
+const ACCOUNT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const CREDENTIAL_KEYS = ["appKey", "appSecret", "accessToken", "accessSecret"];
+
+// The account configured with TWITTER_* in .env. It keeps the original file
+// locations, so a single-account setup behaves exactly as before.
+function defaultAccount() {
+  return { id: DEFAULT_ACCOUNT_ID, name: process.env.TWITTER_ACCOUNT_NAME || "Default (.env)" };
+}
+
+// Where an account keeps its own rate budget, queue, keep-list, backups and logs.
+// Undefined entries mean "use the store's usual default".
+function accountPaths(account, accountsDir = process.env.ACCOUNTS_DIR || DEFAULT_ACCOUNTS_DIR) {
+  if (!account || account.id === DEFAULT_ACCOUNT_ID) {
+    return {};
+  }
+
+  const dir = path.join(accountsDir, account.id);
+  return {
+    dir,
+    queue: path.join(dir, "deletion_queue.json"),
+    budget: path.join(dir, "rate_budget.json"),
+    protect: path.join(dir, "protect.json"),
+    backups: path.join(dir, "tweet_backups"),
+    log: path.join(dir, "deleted_tweets.json"),
+    audit: path.join(dir, "audit_log.jsonl"),
+    retentionState: path.join(dir, "retention_state.json"),
+    retentionLock: path.join(dir, "retention.lock")
+  };
+}
+
+// What the web UI may see: everything except the credentials
+function publicAccount(account) {
+  const { credentials, ...rest } = account;
+  return { ...rest, hasCredentials: Boolean(credentials) };
+}
+
+function validateAccount(account) {
+  if (!account || typeof account !== "object") {
+    throw new Error("account must be an object");
+  }
+  if (!ACCOUNT_ID_PATTERN.test(account.id || "")) {
+    throw new Error("account id must be 1-40 lowercase letters, digits, - or _");
+  }
+  if (account.id === DEFAULT_ACCOUNT_ID) {
+    throw new Error(`"${DEFAULT_ACCOUNT_ID}" is configured through .env, not the account registry`);
+  }
+  if ((account.backend || "twitter") === "twitter") {
+    const missing = CREDENTIAL_KEYS.filter(key => !(account.credentials && account.credentials[key]));
+    if (missing.length > 0) {
+      throw new Error(`account ${account.id} is missing credentials: ${missing.join(", ")}`);
+    }
+  }
+}
+
+// Registry of the accounts this installation manages, stored as { "<id>": account }
+// in accounts.json. The .env account is always available as "default".
+class AccountRegistry {
+  constructor(filePath = process.env.ACCOUNTS_FILE || DEFAULT_ACCOUNTS_FILE) {
+    this.filePath = filePath;
+  }
+
+  async readSaved() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async list() {
+    const saved = await this.readSaved();
+    return [defaultAccount(), ...Object.values(saved)];
+  }
+
+  async get(id = DEFAULT_ACCOUNT_ID) {
+    if (id === DEFAULT_ACCOUNT_ID) {
+      return defaultAccount();
+    }
+    const account = (await this.readSaved())[id];
+    if (!account) {
+      throw new Error(`Unknown account "${id}"`);
+    }
+    return account;
+  }
+
+  async save(account) {
+    validateAccount(account);
+    const { dir } = accountPaths(account);
+    await fs.mkdir(dir, { recursive: true });
+
+    const accounts = await this.readSaved();
+    accounts[account.id] = {
+      id: account.id,
+      name: account.name || account.id,
+      plan: account.plan,
+      backend: account.backend,
+      credentials: account.credentials
+    };
+    await fs.writeFile(this.filePath, JSON.stringify(accounts, null, 2), { mode: 0o600 });
+    return accounts[account.id];
+  }
+
+  // Forgets the account; its data directory is left in place
+  async remove(id) {
+    const accounts = await this.readSaved();
+    if (!accounts[id]) {
+      return false;
+    }
+    delete accounts[id];
+    await fs.writeFile(this.filePath, JSON.stringify(accounts, null, 2), { mode: 0o600 });
+    return true;
+  }
+}
+
+module.exports = { AccountRegistry, DEFAULT_ACCOUNT_ID, accountPaths, publicAccount, defaultAccount };
@@ -0,0 +1,118 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// Archive files are JS, not JSON: `window.YTD.tweets.part0 = [ ... ]`
+const ARCHIVE_PREFIX = /^\s*window\.YTD\.[\w.]+\s*=\s*/;
+const ARCHIVE_FILE = /^tweets?(-part\d+)?\.js$/;
+
+// Archives hold only the account's own tweets; `authorId` (the authenticated
+// user) lets replies to ourselves count as threads, as they do from the API
+function parseArchive(content, { authorId } = {}) {
+  const json = content.replace(ARCHIVE_PREFIX, "").trim().replace(/;$/, "");
+  const entries = JSON.parse(json);
+
+  if (!Array.isArray(entries)) {
+    throw new Error("Archive file does not contain a list of tweets");
+  }
+
+  return sortNewestFirst(entries.map(entry => normalizeArchiveTweet(entry, authorId)));
+}
+
+// Newest first, matching the timeline order
+function sortNewestFirst(tweets) {
+  return tweets.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+// Tweet ids are numeric strings; an archive is user-supplied, so anything else is refused
+function tweetId(id) {
+  if (!/^\d+$/.test(id)) {
+    throw new Error("Archive contains a tweet with an invalid id");
+  }
+  return id;
+}
+
+// Convert an archive entry into the same shape v2.userTimeline returns
+function normalizeArchiveTweet(entry, authorId) {
+  const tweet = entry.tweet || entry;
+  const media = (tweet.extended_entities || tweet.entities || {}).media || [];
+
+  const referencedTweets = [];
+  if (tweet.in_reply_to_status_id_str) {
+    referencedTweets.push({ type: "replied_to", id: tweetId(tweet.in_reply_to_status_id_str) });
+  }
+  if (tweet.quoted_status_id_str) {
+    referencedTweets.push({ type: "quoted", id: tweetId(tweet.quoted_status_id_str) });
+  }
+
+  const normalized = {
+    id: tweetId(tweet.id_str || String(tweet.id)),
+    text: tweet.full_text || tweet.text || "",
+    created_at: new Date(tweet.created_at).toISOString(),
+    lang: tweet.lang,
+    entities: tweet.entities,
+    public_metrics: {
+      retweet_count: parseInt(tweet.retweet_count) || 0,
+      reply_count: 0, // Not included in archives
+      like_count: parseInt(tweet.favorite_count) || 0,
+      quote_count: 0 // Not included in archives
+    }
+  };
+
+  if (authorId) {
+    normalized.author_id = authorId;
+  }
+  if (tweet.in_reply_to_user_id_str) {
+    normalized.in_reply_to_user_id = tweet.in_reply_to_user_id_str;
+  }
+  if (referencedTweets.length > 0) {
+    normalized.referenced_tweets = referencedTweets;
+  }
+  if (media.length > 0) {
+    normalized.attachments = { media_keys: media.map(item => item.id_str) };
+    normalized.media = media.map(item => ({ type: item.type, url: item.media_url_https }));
+  }
+
+  return normalized;
+}
+
+async function isDirectory(dirPath) {
+  try {
+    return (await fs.stat(dirPath)).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Accepts data/tweets.js itself, the data/ folder or the unzipped archive root
+async function resolveArchiveFiles(archivePath) {
+  if (!(await isDirectory(archivePath))) {
+    return [archivePath];
+  }
+
+  const dataDir = (await isDirectory(path.join(archivePath, "data")))
+    ? path.join(archivePath, "data")
+    : archivePath;
+
+  const files = (await fs.readdir(dataDir)).filter(name => ARCHIVE_FILE.test(name)).sort();
+  if (files.length === 0) {
+    throw new Error(`No tweets.js found in ${archivePath}`);
+  }
+
+  return files.map(name => path.join(dataDir, name));
+}
+
+async function loadArchive(archivePath, options = {}) {
+  const files = await resolveArchiveFiles(archivePath);
+  const tweetsById = new Map();
+
+  for (const file of files) {
+    const content = await fs.readFile(file, "utf8");
+    for (const tweet of parseArchive(content, options)) {
+      tweetsById.set(tweet.id, tweet);
+    }
+  }
+
+  return sortNewestFirst(Array.from(tweetsById.values()));
+}
+
+module.exports = { parseArchive, loadArchive, normalizeArchiveTweet };
@@ -0,0 +1,110 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, "..", "audit_log.jsonl");
+
+// Append-only record of every deletion run (JSON Lines). A run writes a
+// "run-started" line, one "item" line per tweet as its outcome is known, and
+// a "run-finished" line, so a crash leaves everything up to the last tweet.
+//
+//   { event: "run-started", runId, at, source, startedBy, rule, contentType, jobId, total }
+//   { event: "item", runId, at, id, text, outcome, reason, error, kind, code, durationMs }
+//   { event: "run-finished", runId, at, summary, interrupted, error }
+class AuditLog {
+  constructor(filePath = process.env.AUDIT_LOG_FILE || DEFAULT_AUDIT_FILE) {
+    this.filePath = filePath;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  // Lines are written one at a time so they never interleave
+  append(record) {
+    const result = this.pendingWrite.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const line = { ...record, at: record.at || new Date().toISOString() };
+      await fs.appendFile(this.filePath, JSON.stringify(line) + "\n");
+      return line;
+    });
+    this.pendingWrite = result.catch(() => {});
+    return result;
+  }
+
+  async startRun(details) {
+    const runId = crypto.randomUUID();
+    await this.append({ event: "run-started", runId, ...details });
+    return runId;
+  }
+
+  async recordItem(runId, item) {
+    return this.append({ event: "item", runId, ...item });
+  }
+
+  async finishRun(runId, details) {
+    return this.append({ event: "run-finished", runId, ...details });
+  }
+
+  async readRecords() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    // A line cut short by a crash is skipped rather than failing the whole history
+    return content.split("\n").filter(line => line.trim()).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+
+  // Runs newest first, each with its items. Filters: `source` (cli, web,
+  // schedule), `status` (running, completed, cancelled, stopped, error),
+  // `outcome` (runs with at least one such item) and `search`, matched against
+  // the run's rule and starter and its items' ids, text and errors.
+  async history({ source, status, outcome, search, limit = 50 } = {}) {
+    const runs = new Map();
+    (await this.readRecords()).forEach(record => {
+      if (record.event === "run-started") {
+        const { event, ...details } = record;
+        runs.set(record.runId, { ...details, startedAt: record.at, status: "running", items: [] });
+        return;
+      }
+
+      const run = runs.get(record.runId);
+      if (!run) return;
+      if (record.event === "item") {
+        const { event, runId, ...item } = record;
+        run.items.push(item);
+      } else if (record.event === "run-finished") {
+        run.finishedAt = record.at;
+        run.summary = record.summary;
+        run.error = record.error;
+        run.status = record.error ? "error" : record.interrupted || "completed";
+      }
+    });
+
+    const query = search ? search.toLowerCase() : null;
+    const matchesSearch = run => {
+      const fields = [run.startedBy, JSON.stringify(run.rule || ""), run.error];
+      run.items.forEach(item => fields.push(item.id, item.text, item.error, item.reason));
+      return fields.some(field => field && String(field).toLowerCase().includes(query));
+    };
+
+    return Array.from(runs.values())
+      .filter(run => !source || run.source === source)
+      .filter(run => !status || run.status === status)
+      .filter(run => !outcome || run.items.some(item => item.outcome === outcome))
+      .filter(run => !query || matchesSearch(run))
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+module.exports = { AuditLog, DEFAULT_AUDIT_FILE };
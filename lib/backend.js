@@ -0,0 +1,33 @@
+const { TwitterApi } = require("twitter-api-v2");
+const { MockTwitterBackend } = require("./mock-backend");
+const { OAuth2Backend } = require("./oauth2");
+
+// TweetDeleter talks to "a backend": anything exposing the slice of the
+// twitter-api-v2 client it uses (v2.me, v2.userTimeline, v2.singleTweet,
+// v2.deleteTweet, plus the likes, retweets and bookmarks calls in
+// lib/content-types.js). TWITTER_BACKEND=mock swaps in the offline fake.
+// `credentials` ({ appKey, appSecret, accessToken, accessSecret }) default to .env;
+// "oauth2" accounts use the tokens stored for `accountId` by Sign in with X.
+function createBackend(name = process.env.TWITTER_BACKEND || "twitter", { plugins = [], credentials, accountId } = {}) {
+  if (typeof name === "function") {
+    return name({ plugins }); // Custom factory
+  }
+
+  switch (name) {
+    case "twitter":
+      return new TwitterApi(credentials || {
+        appKey: process.env.TWITTER_API_KEY,
+        appSecret: process.env.TWITTER_API_SECRET,
+        accessToken: process.env.TWITTER_ACCESS_TOKEN,
+        accessSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+      }, { plugins });
+    case "oauth2":
+      return new OAuth2Backend(accountId, { plugins });
+    case "mock":
+      return new MockTwitterBackend({ plugins });
+    default:
+      throw new Error(`Unknown backend "${name}" (expected twitter, oauth2 or mock)`);
+  }
+}
+
+module.exports = { createBackend };
@@ -0,0 +1,160 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEFAULT_BACKUP_DIR = path.join(__dirname, "..", "tweet_backups");
+const CSV_COLUMNS = [
+  "id", "created_at", "text", "like_count", "retweet_count", "reply_count", "quote_count",
+  "conversation_id", "in_reply_to_user_id", "media_urls", "backed_up_at"
+];
+
+// Everything we know about a tweet, taken just before it is deleted
+function toSnapshot(tweet) {
+  return {
+    id: tweet.id,
+    text: tweet.text,
+    created_at: tweet.created_at,
+    lang: tweet.lang,
+    public_metrics: tweet.public_metrics,
+    entities: tweet.entities,
+    media: tweet.media || [],
+    conversation_id: tweet.conversation_id,
+    in_reply_to_user_id: tweet.in_reply_to_user_id,
+    referenced_tweets: tweet.referenced_tweets,
+    backed_up_at: new Date().toISOString()
+  };
+}
+
+// Spreadsheets run a cell starting with = + - or @ as a formula, so such text
+// (a tweet can say anything) is prefixed with ' to keep it plain text
+function csvCell(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(tweets) {
+  const rows = tweets.map(tweet => {
+    const metrics = tweet.public_metrics || {};
+    return [
+      tweet.id, tweet.created_at, tweet.text, metrics.like_count, metrics.retweet_count,
+      metrics.reply_count, metrics.quote_count, tweet.conversation_id, tweet.in_reply_to_user_id,
+      (tweet.media || []).map(item => item.url).filter(Boolean).join(" "), tweet.backed_up_at
+    ].map(csvCell).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? "" : text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Self-contained page with a search box, so the backup can be browsed offline
+function toHtml(tweets) {
+  const cards = tweets.map(tweet => {
+    const metrics = tweet.public_metrics || {};
+    const media = (tweet.media || [])
+      .filter(item => item.url)
+      .map(item => `<a href="${escapeHtml(item.url)}">${escapeHtml(item.type || "media")}</a>`)
+      .join(" ");
+
+    return `    <div class="tweet">
+      <div class="text">${escapeHtml(tweet.text)}</div>
+      <div class="meta">📅 ${escapeHtml(new Date(tweet.created_at).toLocaleString())} · ❤️ ${metrics.like_count || 0} 🔄 ${metrics.retweet_count || 0} · #${escapeHtml(tweet.id)}${media ? ` · ${media}` : ""}</div>
+    </div>`;
+  }).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Deleted tweets backup</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }
+    input { width: 100%; padding: 10px; font-size: 16px; margin-bottom: 20px; }
+    .tweet { border: 2px solid #e1e8ed; border-radius: 15px; padding: 15px; margin-bottom: 10px; }
+    .text { white-space: pre-wrap; margin-bottom: 8px; }
+    .meta { color: #657786; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>🐦 Deleted tweets backup (${tweets.length})</h1>
+  <input type="search" placeholder="Search..." oninput="filter(this.value)">
+  <div id="tweets">
+${cards}
+  </div>
+  <script>
+    function filter(query) {
+      query = query.toLowerCase();
+      document.querySelectorAll('.tweet').forEach(function (el) {
+        el.style.display = el.textContent.toLowerCase().includes(query) ? '' : 'none';
+      });
+    }
+  </script>
+</body>
+</html>
+`;
+}
+
+// Append-only store of every tweet we are about to delete (JSON Lines)
+class TweetBackup {
+  constructor(dir = process.env.TWEET_BACKUP_DIR || DEFAULT_BACKUP_DIR) {
+    this.dir = dir;
+    this.filePath = path.join(dir, "archive.jsonl");
+  }
+
+  async append(tweet) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const snapshot = toSnapshot(tweet);
+    await fs.appendFile(this.filePath, JSON.stringify(snapshot) + "\n");
+    return snapshot;
+  }
+
+  // Newest snapshot per tweet, newest tweets first
+  async readAll() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const byId = new Map();
+    content.split("\n").filter(line => line.trim()).forEach(line => {
+      const tweet = JSON.parse(line);
+      byId.set(tweet.id, tweet);
+    });
+
+    return Array.from(byId.values()).sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  async export(format = "json") {
+    const tweets = await this.readAll();
+    switch (format) {
+      case "json":
+        return JSON.stringify(tweets, null, 2);
+      case "csv":
+        return toCsv(tweets);
+      case "html":
+        return toHtml(tweets);
+      default:
+        throw new Error(`Unknown export format "${format}" (expected json, csv or html)`);
+    }
+  }
+}
+
+const EXPORT_TYPES = {
+  json: "application/json",
+  csv: "text/csv",
+  html: "text/html"
+};
+
+module.exports = { TweetBackup, EXPORT_TYPES, toSnapshot, toCsv, toHtml };
@@ -0,0 +1,214 @@
+// Command-line parsing for index.js. Everything here is pure so it can be
+// tested without credentials; the commands themselves live in index.js.
+
+// What the process exits with, so cron jobs and CI can tell outcomes apart
+const ExitCode = {
+  OK: 0,
+  ERROR: 1,        // Something unexpected went wrong
+  USAGE: 2,        // Bad command, flag or value (or a confirmation that can't be asked)
+  AUTH: 3,         // The account's credentials were rejected
+  PARTIAL: 4,      // The run finished but some tweets could not be removed
+  INTERRUPTED: 5   // Declined at the prompt, cancelled, or stopped with tweets left queued
+};
+
+// An error that ends the command with a specific exit code
+class CliError extends Error {
+  constructor(message, exitCode = ExitCode.ERROR) {
+    super(message);
+    this.name = "CliError";
+    this.exitCode = exitCode;
+  }
+}
+
+class UsageError extends CliError {
+  constructor(message) {
+    super(message, ExitCode.USAGE);
+    this.name = "UsageError";
+  }
+}
+
+const COMMANDS = ["list", "scan", "delete", "import-archive", "status", "resume", "retry", "export", "notify-test", "serve", "retention", "help"];
+
+// Flag name -> how its value is read. Every command accepts every flag; the
+// ones that don't apply to it are ignored.
+const OPTIONS = {
+  account: "string",
+  plan: "string",
+  type: "string",
+  rule: "string",
+  ids: "list",
+  archive: "string",
+  limit: "count",
+  since: "date",
+  "batch-size": "count",
+  "batch-delay": "number",   // Minutes between batches
+  delay: "number",           // Seconds between deletions
+  format: "string",
+  out: "string",
+  "log-file": "string",
+  "min-score": "number",
+  port: "count",
+  host: "string",
+  schedule: "string",
+  yes: "boolean",
+  json: "boolean",
+  "dry-run": "boolean",
+  once: "boolean",
+  sentiment: "boolean",
+  help: "boolean",
+  // From before there were subcommands: --daemon, --once and --export <format>
+  daemon: "boolean",
+  export: "string"
+};
+
+const ALIASES = { y: "yes", h: "help" };
+
+const camelCase = name => name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+function readValue(name, type, value) {
+  switch (type) {
+    case "list": {
+      const items = value.split(",").map(item => item.trim()).filter(Boolean);
+      if (items.length === 0) {
+        throw new UsageError(`--${name} needs at least one value`);
+      }
+      return items;
+    }
+    case "count": {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        throw new UsageError(`--${name} must be a whole number above 0, got "${value}"`);
+      }
+      return number;
+    }
+    case "number": {
+      const number = Number(value);
+      if (value === "" || !Number.isFinite(number) || number < 0) {
+        throw new UsageError(`--${name} must be a number of 0 or more, got "${value}"`);
+      }
+      return number;
+    }
+    case "date":
+      if (Number.isNaN(Date.parse(value))) {
+        throw new UsageError(`--${name} must be a date like 2023-01-31, got "${value}"`);
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+// argv without "node index.js" -> { command, args, options }. Flags may come
+// before or after the command, as "--name value" or "--name=value".
+// Without a command the old interactive flow runs: resume unfinished jobs,
+// then delete by the default rule.
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.replace(/^--?/, "").split(/=(.*)/s);
+    // Own properties only, so --constructor or --toString are unknown like any other typo
+    const name = Object.prototype.hasOwnProperty.call(ALIASES, flag) ? ALIASES[flag] : flag;
+    const type = Object.prototype.hasOwnProperty.call(OPTIONS, name) ? OPTIONS[name] : null;
+    if (!type) {
+      throw new UsageError(`Unknown option "${arg}"`);
+    }
+
+    if (type === "boolean") {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`--${name} takes no value`);
+      }
+      options[camelCase(name)] = true;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || (inlineValue === undefined && value.startsWith("--"))) {
+      throw new UsageError(`--${name} needs a value`);
+    }
+    options[camelCase(name)] = readValue(name, type, value);
+  }
+
+  let [command, ...args] = positionals;
+  if (options.help) {
+    command = "help";
+  } else if (!command) {
+    command = options.daemon || options.once ? "retention" : options.export ? "export" : "delete";
+    options.legacy = command === "delete";
+  }
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(`Unknown command "${command}" (expected one of: ${COMMANDS.join(", ")})`);
+  }
+
+  if (command === "delete" && !options.legacy && !options.ids && !options.rule && !options.archive) {
+    throw new UsageError("delete needs --ids <id,id,...> or --rule <name>");
+  }
+  if (command === "import-archive" && !args[0] && !options.archive) {
+    throw new UsageError("import-archive needs the path to the archive");
+  }
+  if (options.ids && options.rule) {
+    throw new UsageError("--ids and --rule can't be combined");
+  }
+
+  return { command, args, options };
+}
+
+// Exit code for the totals of a deletion run
+function exitCodeFor(results) {
+  if (results.interrupted) {
+    return ExitCode.INTERRUPTED;
+  }
+  return results.failed > 0 ? ExitCode.PARTIAL : ExitCode.OK;
+}
+
+const HELP = `Usage: tweet-deleter <command> [options]
+
+Commands:
+  list                       Show the tweets a deletion would pick (by --rule)
+  scan                       Suggest tweets to delete: profanity, personal data, dead links, scan.json terms
+  delete --ids <id,...>      Delete these tweets
+  delete --rule <name>       Delete the tweets matching a rule from rules.json or a built-in
+  import-archive <path>      Delete tweets read from a Twitter/X archive (filtered by --rule)
+  status                     Plan, remaining daily budget, unfinished jobs and the last run
+  resume                     Finish jobs left unfinished by an earlier run
+  retry                      Try the tweets that failed in earlier runs again (by --type)
+  export                     Write the backup of deleted tweets (--format json|csv|html, --out <file>)
+  notify-test                Send a test notification on every configured channel
+  serve                      Start the web interface (--port, --host)
+  retention                  Run the retention policy on its schedule (--once for a single pass)
+
+Options:
+  --account <id>             Account from accounts.json (default: the .env credentials)
+  --type <type>              tweets, replies, retweets, likes or bookmarks (default: tweets)
+  --plan <plan>              free, basic, pro or custom
+  --batch-size <n>           Tweets per batch
+  --batch-delay <minutes>    Pause between batches
+  --delay <seconds>          Minimum time between two deletions
+  --limit <n>                Fetch at most this many tweets from the timeline
+  --since <date>             Only fetch tweets from this date on
+  --archive <path>           Read tweets from an archive instead of the timeline
+  --dry-run                  Show the schedule without deleting anything
+  --log-file <path>          Also append every step of a deletion to this file, as JSON lines
+  --min-score <n>            scan: only report tweets scoring at least this (default 20, out of 100)
+  --sentiment                scan: also score each tweet's tone
+  -y, --yes                  Don't ask for confirmation (required when not on a terminal)
+  --json                     Print the result as JSON on stdout; progress goes to stderr
+  -h, --help                 Show this help
+
+Exit codes:
+  0 done, 1 error, 2 bad usage, 3 credentials rejected,
+  4 some tweets failed, 5 declined, cancelled or stopped
+`;
+
+module.exports = { ExitCode, CliError, UsageError, COMMANDS, OPTIONS, parseArgs, exitCodeFor, HELP };
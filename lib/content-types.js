@@ -0,0 +1,98 @@
+const { Endpoints } = require("./scheduler");
+
+const ContentType = {
+  TWEETS: "tweets",
+  REPLIES: "replies",
+  RETWEETS: "retweets",
+  LIKES: "likes",
+  BOOKMARKS: "bookmarks"
+};
+
+function retweetedId(tweet) {
+  const reference = (tweet.referenced_tweets || []).find(ref => ref.type === "retweeted");
+  return reference ? reference.id : null;
+}
+
+// Everything the tool can clean up. Each type says where its items come from
+// (`list`, paged like the timeline, at least `minPageSize` per page), how one
+// is removed (`remove`) and which API endpoints and daily budget (`bucket`)
+// that uses. Timeline types also pick their items out of the timeline with
+// `select` (a lib/filters.js rule).
+//
+// Tweets and replies are the same API call, so they share the endpoint's limit
+// and the deletion budget. Only authored tweets are backed up and checked
+// against the keep-list: unliking or un-bookmarking loses nothing.
+const CONTENT_TYPES = {
+  [ContentType.TWEETS]: {
+    label: "Tweets",
+    verb: "delete",
+    listEndpoint: Endpoints.USER_TIMELINE,
+    list: (client, userId, params) => client.v2.userTimeline(userId, params),
+    minPageSize: 5,
+    select: null, // The selection rule decides (original posts by default)
+    removeEndpoint: Endpoints.DELETE_TWEET,
+    remove: (client, userId, tweet) => client.v2.deleteTweet(tweet.id),
+    bucket: "tweets",
+    authored: true
+  },
+  [ContentType.REPLIES]: {
+    label: "Replies",
+    verb: "delete",
+    listEndpoint: Endpoints.USER_TIMELINE,
+    list: (client, userId, params) => client.v2.userTimeline(userId, params),
+    minPageSize: 5,
+    select: { type: "isReply", value: true },
+    removeEndpoint: Endpoints.DELETE_TWEET,
+    remove: (client, userId, tweet) => client.v2.deleteTweet(tweet.id),
+    bucket: "tweets",
+    authored: true
+  },
+  [ContentType.RETWEETS]: {
+    label: "Retweets",
+    verb: "unretweet",
+    listEndpoint: Endpoints.USER_TIMELINE,
+    list: (client, userId, params) => client.v2.userTimeline(userId, params),
+    minPageSize: 5,
+    select: { type: "isRetweet", value: true },
+    removeEndpoint: Endpoints.UNRETWEET,
+    // The timeline lists the retweet; unretweeting takes the original tweet's id
+    remove: (client, userId, tweet) => client.v2.unretweet(userId, retweetedId(tweet) || tweet.id),
+    bucket: "retweets",
+    authored: false
+  },
+  [ContentType.LIKES]: {
+    label: "Likes",
+    verb: "unlike",
+    listEndpoint: Endpoints.LIKED_TWEETS,
+    list: (client, userId, params) => client.v2.userLikedTweets(userId, params),
+    minPageSize: 10,
+    select: null,
+    removeEndpoint: Endpoints.UNLIKE,
+    remove: (client, userId, tweet) => client.v2.unlike(userId, tweet.id),
+    bucket: "likes",
+    authored: false
+  },
+  [ContentType.BOOKMARKS]: {
+    label: "Bookmarks",
+    verb: "remove bookmark",
+    listEndpoint: Endpoints.BOOKMARKS,
+    // Bookmarks need an OAuth 2.0 user token (Sign in with X)
+    list: (client, userId, params) => client.v2.bookmarks(params),
+    minPageSize: 1,
+    select: null,
+    removeEndpoint: Endpoints.DELETE_BOOKMARK,
+    remove: (client, userId, tweet) => client.v2.deleteBookmark(tweet.id),
+    bucket: "bookmarks",
+    authored: false
+  }
+};
+
+function getContentType(name = ContentType.TWEETS) {
+  const type = Object.prototype.hasOwnProperty.call(CONTENT_TYPES, name) ? CONTENT_TYPES[name] : null;
+  if (!type) {
+    throw new Error(`Unknown content type "${name}" (expected one of: ${Object.keys(CONTENT_TYPES).join(", ")})`);
+  }
+  return { name, ...type };
+}
+
+module.exports = { ContentType, CONTENT_TYPES, getContentType, retweetedId };
@@ -0,0 +1,97 @@
+// Minimal 5-field cron expressions: "minute hour day-of-month month day-of-week",
+// with *, lists (1,15), ranges (1-5) and steps (*/6, 0-30/10). Times are local.
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 6 }
+];
+
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *"
+};
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+    let [start, end] = range === "*" ? [field.min, field.max] : range.split("-").map(Number);
+    if (end === undefined) {
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if ([start, end, step].some(Number.isNaN) || step < 1 || start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid ${field.name} "${part}" in schedule`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const source = ALIASES[expression.trim()] || expression;
+  const parts = source.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Schedule "${expression}" must have 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  return {
+    expression,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Classic cron: when both day fields are restricted, either one may match
+    anyDay: parts[2] !== "*" && parts[4] !== "*"
+  };
+}
+
+function dayMatches(schedule, date) {
+  const dom = schedule.daysOfMonth.has(date.getDate());
+  const dow = schedule.daysOfWeek.has(date.getDay());
+  return schedule.anyDay ? dom || dow : dom && dow;
+}
+
+// First matching minute strictly after `from`
+function nextRun(expression, from = new Date()) {
+  const schedule = typeof expression === "string" ? parseCron(expression) : expression;
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from);
+  limit.setFullYear(limit.getFullYear() + 5);
+
+  while (date < limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Schedule "${schedule.expression}" never runs`);
+}
+
+module.exports = { parseCron, nextRun };
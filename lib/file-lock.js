@@ -0,0 +1,80 @@
+const fs = require("fs").promises;
+const crypto = require("crypto");
+
+const LOCK_TIMEOUT_MS = 30 * 1000;
+const EMPTY_LOCK_STALE_MS = 10 * 1000; // A lock with no owner yet is being created, unless it's this old
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM"; // Alive, just not ours to signal
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A lock left behind by a process that no longer exists
+async function isStale(lockFile) {
+  try {
+    const owner = parseInt(await fs.readFile(lockFile, "utf8"));
+    if (owner) {
+      return !isProcessAlive(owner);
+    }
+    const { mtimeMs } = await fs.stat(lockFile);
+    return Date.now() - mtimeMs > EMPTY_LOCK_STALE_MS;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return false; // Released meanwhile; just try again
+    }
+    throw error;
+  }
+}
+
+// Runs `fn` while holding `<filePath>.lock`, created with O_EXCL, so
+// read-modify-write cycles on a file shared by several processes (the CLI and
+// the web server) don't interleave. Waits up to `timeoutMs` for the lock.
+async function withFileLock(filePath, fn, { timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+  const lockFile = `${filePath}.lock`;
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    try {
+      await fs.writeFile(lockFile, String(process.pid), { flag: "wx" });
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+    if (await isStale(lockFile)) {
+      await fs.unlink(lockFile).catch(() => {});
+    } else if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${lockFile}`);
+    } else {
+      await sleep(5 + Math.random() * 20);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.unlink(lockFile).catch(() => {});
+  }
+}
+
+// Write to a temp file of our own first, then rename over the target, so a
+// crash mid-write can't corrupt it and two writers never share a temp file
+async function writeFileAtomic(filePath, content, options) {
+  const tmpFile = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    await fs.writeFile(tmpFile, content, options);
+    await fs.rename(tmpFile, filePath);
+  } catch (error) {
+    await fs.unlink(tmpFile).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = { withFileLock, writeFileAtomic, isProcessAlive };
@@ -0,0 +1,154 @@
+// Tweet selection rules shared by the CLI, the web server and the browser.
+//
+// A rule is either a combinator or a condition:
+//   { "and": [rule, ...] }   every sub-rule must match
+//   { "or": [rule, ...] }    at least one sub-rule must match
+//   { "not": rule }          the sub-rule must not match
+//   { "type": "...", ... }   a single condition, see CONDITIONS below
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TweetFilters = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function referencedType(tweet, type) {
+    return (tweet.referenced_tweets || []).some(ref => ref.type === type);
+  }
+
+  // Continuing one of our own threads
+  function isSelfReply(tweet) {
+    return Boolean(tweet.author_id) && tweet.in_reply_to_user_id === tweet.author_id;
+  }
+
+  // A reply to someone else; the rest of a self-thread counts as original posts
+  function isReply(tweet) {
+    if (isSelfReply(tweet)) {
+      return false;
+    }
+    return Boolean(tweet.in_reply_to_user_id) || referencedType(tweet, "replied_to") ||
+      (tweet.text || "").startsWith("@");
+  }
+
+  function isRetweet(tweet) {
+    return referencedType(tweet, "retweeted") || (tweet.text || "").startsWith("RT @");
+  }
+
+  function isQuote(tweet) {
+    return referencedType(tweet, "quoted");
+  }
+
+  function hasMedia(tweet) {
+    return Boolean(tweet.attachments && tweet.attachments.media_keys && tweet.attachments.media_keys.length);
+  }
+
+  function metric(tweet, name) {
+    return (tweet.public_metrics && tweet.public_metrics[name]) || 0;
+  }
+
+  function inRange(value, rule) {
+    if (rule.min !== undefined && value < rule.min) return false;
+    if (rule.max !== undefined && value > rule.max) return false;
+    return true;
+  }
+
+  function containsAny(text, keywords) {
+    const haystack = text.toLowerCase();
+    return keywords.some(keyword => haystack.includes(String(keyword).toLowerCase()));
+  }
+
+  const CONDITIONS = {
+    // { from?: date, to?: date }
+    dateRange: (tweet, rule) => {
+      const created = new Date(tweet.created_at);
+      if (rule.from && created < new Date(rule.from)) return false;
+      if (rule.to && created > new Date(rule.to)) return false;
+      return true;
+    },
+    // { days: n }
+    olderThan: (tweet, rule, now) => now - new Date(tweet.created_at) > rule.days * DAY_MS,
+    // { include?: [words], exclude?: [words] }, case-insensitive
+    keyword: (tweet, rule) => {
+      const text = tweet.text || "";
+      if (rule.include && rule.include.length && !containsAny(text, rule.include)) return false;
+      if (rule.exclude && rule.exclude.length && containsAny(text, rule.exclude)) return false;
+      return true;
+    },
+    // { pattern: "regex", flags?: "i", exclude?: true }
+    regex: (tweet, rule) => {
+      const matched = new RegExp(rule.pattern, rule.flags || "i").test(tweet.text || "");
+      return rule.exclude ? !matched : matched;
+    },
+    // { min?: n, max?: n }
+    likes: (tweet, rule) => inRange(metric(tweet, "like_count"), rule),
+    retweets: (tweet, rule) => inRange(metric(tweet, "retweet_count"), rule),
+    // { value: true|false }
+    hasMedia: (tweet, rule) => hasMedia(tweet) === (rule.value !== false),
+    isReply: (tweet, rule) => isReply(tweet) === (rule.value !== false),
+    isRetweet: (tweet, rule) => isRetweet(tweet) === (rule.value !== false),
+    isQuote: (tweet, rule) => isQuote(tweet) === (rule.value !== false),
+    // { languages: ["en", ...] }
+    language: (tweet, rule) => (rule.languages || []).includes(tweet.lang)
+  };
+
+  function validateRule(rule, location = "rule") {
+    if (!rule || typeof rule !== "object") {
+      throw new Error(`${location} must be an object`);
+    }
+
+    if (rule.and || rule.or) {
+      const children = rule.and || rule.or;
+      if (!Array.isArray(children)) {
+        throw new Error(`${location}.${rule.and ? "and" : "or"} must be a list of rules`);
+      }
+      children.forEach((child, i) => validateRule(child, `${location}[${i}]`));
+    } else if (rule.not) {
+      validateRule(rule.not, `${location}.not`);
+    } else if (!CONDITIONS[rule.type]) {
+      throw new Error(`${location} has unknown type "${rule.type}"`);
+    } else if (rule.type === "regex") {
+      new RegExp(rule.pattern, rule.flags || "i"); // Throws on an invalid pattern
+    }
+
+    return rule;
+  }
+
+  function matchesRule(tweet, rule, now = new Date()) {
+    if (rule.and) return rule.and.every(child => matchesRule(tweet, child, now));
+    if (rule.or) return rule.or.some(child => matchesRule(tweet, child, now));
+    if (rule.not) return !matchesRule(tweet, rule.not, now);
+    return CONDITIONS[rule.type](tweet, rule, now);
+  }
+
+  function applyRule(tweets, rule, now = new Date()) {
+    if (!rule) return tweets;
+    validateRule(rule);
+    return tweets.filter(tweet => matchesRule(tweet, rule, now));
+  }
+
+  // The filter the tool has always applied: original posts only
+  const DEFAULT_RULES = {
+    "original-posts": {
+      and: [
+        { type: "isReply", value: false },
+        { type: "isRetweet", value: false }
+      ]
+    },
+    "older-than-1-year": { type: "olderThan", days: 365 }
+  };
+
+  return {
+    CONDITION_TYPES: Object.keys(CONDITIONS),
+    DEFAULT_RULES,
+    validateRule,
+    matchesRule,
+    applyRule,
+    isReply,
+    isSelfReply,
+    isRetweet,
+    isQuote,
+    hasMedia
+  };
+});
@@ -0,0 +1,95 @@
+const EventEmitter = require("events");
+
+const ControlState = {
+  RUNNING: "running",
+  PAUSED: "paused",
+  CANCELLED: "cancelled", // Drop the remaining tweets
+  STOPPED: "stopped"      // Leave them queued as a paused job, to resume on a later run
+};
+
+// Thrown out of a job's waits and checkpoints once it is cancelled or stopped
+class JobInterruptedError extends Error {
+  constructor(state) {
+    super(state === ControlState.CANCELLED ? "Job cancelled" : "Job stopped");
+    this.name = "JobInterruptedError";
+    this.state = state;
+  }
+}
+
+// Pause/resume/cancel switch for a running deletion job. The job calls
+// checkpoint() before each tweet and waits through delay(), so a pause takes
+// effect after the current tweet and a cancel also cuts any wait short.
+class JobControl extends EventEmitter {
+  constructor(state = ControlState.RUNNING) {
+    super();
+    this.state = state;
+  }
+
+  get paused() {
+    return this.state === ControlState.PAUSED;
+  }
+
+  get interrupted() {
+    return this.state === ControlState.CANCELLED || this.state === ControlState.STOPPED;
+  }
+
+  setState(state) {
+    // Cancelled and stopped are final
+    if (this.interrupted || this.state === state) {
+      return false;
+    }
+    this.state = state;
+    this.emit("change", state);
+    return true;
+  }
+
+  pause() {
+    return this.setState(ControlState.PAUSED);
+  }
+
+  resume() {
+    return this.setState(ControlState.RUNNING);
+  }
+
+  cancel() {
+    return this.setState(ControlState.CANCELLED);
+  }
+
+  stop() {
+    return this.setState(ControlState.STOPPED);
+  }
+
+  // Resolves once the job may go on; throws if it was cancelled or stopped
+  async checkpoint() {
+    while (this.paused) {
+      await new Promise(resolve => this.once("change", resolve));
+    }
+    if (this.interrupted) {
+      throw new JobInterruptedError(this.state);
+    }
+  }
+
+  // setTimeout that a cancel or stop interrupts
+  delay(ms) {
+    if (this.interrupted) {
+      return Promise.reject(new JobInterruptedError(this.state));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onChange = () => {
+        if (this.interrupted) {
+          clearTimeout(timer);
+          this.removeListener("change", onChange);
+          reject(new JobInterruptedError(this.state));
+        }
+      };
+      const timer = setTimeout(() => {
+        this.removeListener("change", onChange);
+        resolve();
+      }, ms);
+      this.on("change", onChange);
+    });
+  }
+}
+
+module.exports = { JobControl, JobInterruptedError, ControlState };
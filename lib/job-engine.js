@@ -0,0 +1,235 @@
+const EventEmitter = require("events");
+const { DeletionQueue, ItemStatus, JobStatus } = require("./queue");
+const { JobControl, JobInterruptedError, ControlState } = require("./job-control");
+const { ContentType, getContentType } = require("./content-types");
+const { ErrorKind, classifyError, backoffDelay, AuthRevokedError } = require("./retry");
+
+const ALREADY_GONE = "Already gone";
+
+// Runs one queued deletion job for a TweetDeleter: batches and the waits
+// between them, retries, the queue, the audit log and the deletion log. The
+// CLI, the retention daemon and the web server all run jobs through it and
+// show its progress with reporters (lib/reporters.js).
+//
+// Events, each with one details object (or none):
+//   job-started { jobId, contentType, pending }   grace { until }
+//   batch { batch, totalBatches, size }            batch-sleep { batch, until }
+//   started { id }    deleted { id, text, alreadyGone }    skipped { id, reason }
+//   failed { id, error, kind }    retrying { id, attempt, error, until }
+//   rate-limited { id, until }    waiting { until, reason }    paused    resumed
+//   finished { deleted, failed, skipped, interrupted, jobId, error }
+class JobEngine extends EventEmitter {
+  // `control` pauses, cancels or stops the job from outside; a stopped job
+  // stays queued as paused, to be resumed later. `tweets` are the full tweets
+  // behind the job's items, when the caller has them, so engagement-based
+  // protection can rank them. `retry` is the policy for transient failures
+  // (lib/retry.js). `reporters` are called with the engine before it starts.
+  constructor(deleter, job, { control = new JobControl(), tweets = [], retry = deleter.retryPolicy, reporters = [] } = {}) {
+    super();
+    this.deleter = deleter;
+    this.job = job;
+    this.type = job.type || ContentType.TWEETS;
+    this.control = control;
+    this.tweets = tweets;
+    this.retry = retry;
+    this.removed = new Set(); // Items taken back out of the job while it runs
+    this.counts = { deleted: 0, failed: 0, skipped: 0 };
+    reporters.forEach(reporter => reporter(this));
+  }
+
+  pause() {
+    return this.control.pause();
+  }
+
+  resume() {
+    return this.control.resume();
+  }
+
+  cancel() {
+    return this.control.cancel();
+  }
+
+  // Pass over these items (already cancelled in the queue) when their turn comes
+  remove(ids) {
+    ids.forEach(id => this.removed.add(id));
+  }
+
+  // Works through the job's pending items, which the queue keeps in deletion
+  // order (a thread's replies before the tweets they reply to). Resolves with
+  // the totals; an unexpected error is recorded, then rethrown.
+  async start() {
+    const { deleter, job, control } = this;
+    const items = DeletionQueue.pendingItems(job);
+    const threads = deleter.threadGuard(job);
+    let runId = null;
+    let interrupted = null;
+
+    // Keep the queue's job status in step, so a paused job survives a restart as paused
+    const onControl = state => {
+      if (state === ControlState.PAUSED || state === ControlState.RUNNING) {
+        deleter.queue.setJobStatus(job.id, state).catch(() => {});
+        this.emit(state === ControlState.PAUSED ? "paused" : "resumed");
+      }
+    };
+    const onWait = wait => this.emit("waiting", wait);
+    control.on("change", onControl);
+    deleter.on("wait", onWait);
+    deleter.control = control;
+
+    try {
+      await deleter.queue.setJobStatus(job.id, control.paused ? JobStatus.PAUSED : JobStatus.RUNNING);
+      runId = await deleter.startAuditRun(job, items.length);
+      this.emit("job-started", { jobId: job.id, contentType: this.type, pending: items.length });
+      if (control.paused) {
+        this.emit("paused");
+      }
+
+      // Grace period: nothing is deleted before not_before
+      const graceMs = job.not_before ? Date.parse(job.not_before) - Date.now() : 0;
+      if (graceMs > 0) {
+        this.emit("grace", { until: job.not_before });
+        await control.delay(graceMs);
+      }
+      await deleter.refreshProtection(this.tweets);
+
+      const batchSize = deleter.tweetsPerBatch;
+      const totalBatches = Math.ceil(items.length / batchSize);
+      for (let i = 0; i < items.length; i += batchSize) {
+        const batch = items.slice(i, i + batchSize);
+        const batchNumber = i / batchSize + 1;
+        this.emit("batch", { batch: batchNumber, totalBatches, size: batch.length });
+
+        for (const item of batch) {
+          await control.checkpoint();
+          if (this.removed.has(item.id)) {
+            threads.keep(item.id);
+            continue;
+          }
+          await this.deleteItem(item, runId, threads);
+        }
+
+        // Wait between batches (except after the last one)
+        if (i + batchSize < items.length) {
+          const until = new Date(Date.now() + deleter.batchDelayMinutes * 60 * 1000).toISOString();
+          this.emit("batch-sleep", { batch: batchNumber, until });
+          await deleter.sleep(deleter.batchDelayMinutes);
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof JobInterruptedError)) {
+        await this.fail(runId, error);
+        throw error;
+      }
+      interrupted = error.state;
+    } finally {
+      control.removeListener("change", onControl);
+      deleter.removeListener("wait", onWait);
+      deleter.control = null;
+    }
+
+    if (interrupted === ControlState.CANCELLED) {
+      await deleter.queue.cancelJob(job.id);
+    } else if (interrupted === ControlState.STOPPED) {
+      await deleter.queue.setJobStatus(job.id, JobStatus.PAUSED);
+    } else {
+      await deleter.queue.completeJob(job.id);
+    }
+    await deleter.audit.finishRun(runId, { summary: { ...this.counts }, interrupted });
+    await deleter.saveDeletionLog();
+
+    const results = { ...this.counts, interrupted, jobId: job.id };
+    this.emit("finished", results);
+    return results;
+  }
+
+  // One item. After a 429 it is tried again for as long as it takes (deleteTweet
+  // has told the scheduler, which holds the next attempt until the limit
+  // resets); after a transient failure up to the policy's attempts, backing off.
+  // A tweet that is already gone counts as deleted; revoked access stops the job.
+  async deleteItem(item, runId, threads) {
+    const { deleter } = this;
+    let result;
+    for (let attempt = 1; ; attempt++) {
+      this.emit("started", { id: item.id });
+      try {
+        result = await deleter.deleteTweet(item.id, this.type, { threads, stored: item });
+      } catch (error) {
+        if (error instanceof JobInterruptedError) {
+          throw error;
+        }
+        if (error.code === 429) {
+          const { removeEndpoint, bucket } = getContentType(this.type);
+          const { nextDeletionAt } = await deleter.scheduler.status({ endpoint: removeEndpoint, bucket });
+          this.emit("rate-limited", { id: item.id, until: nextDeletionAt });
+          await this.control.checkpoint();
+          attempt--; // Not the tweet's fault
+          continue;
+        }
+        result = { success: false, id: item.id, error: error.message, code: error.code, kind: classifyError(error) };
+      }
+
+      if (result.kind !== ErrorKind.TRANSIENT || attempt >= this.retry.maxAttempts) {
+        break;
+      }
+      const waitMs = backoffDelay(attempt, this.retry);
+      this.emit("retrying", { id: item.id, attempt, error: result.error, until: new Date(Date.now() + waitMs).toISOString() });
+      await this.control.delay(waitMs);
+      await this.control.checkpoint();
+    }
+
+    if (result.kind === ErrorKind.AUTH_REVOKED) {
+      throw new AuthRevokedError(result.error); // The item stays pending
+    }
+    if (result.kind === ErrorKind.ALREADY_GONE) {
+      result = { success: true, id: item.id, alreadyGone: true, durationMs: result.durationMs };
+    }
+    if (!result.success) {
+      threads.keep(item.id); // It stays up, and so must the tweets above it
+    }
+    await this.record(item, result, runId);
+  }
+
+  // Count the outcome and write it to the queue, the audit log and the deletion log
+  async record(item, result, runId) {
+    const { deleter, job } = this;
+    const known = deleter.knownTweets.get(item.id) || item;
+    const entry = { id: item.id, text: known.text, created_at: known.created_at };
+
+    if (result.skipped) {
+      this.counts.skipped++;
+      deleter.deletedTweets.push({ ...entry, skipped: true, reason: result.reason, skipped_at: new Date().toISOString() });
+      await deleter.queue.updateItem(job.id, item.id, ItemStatus.SKIPPED, { reason: result.reason });
+      await deleter.auditItem(runId, item, ItemStatus.SKIPPED, { reason: result.reason });
+      this.emit("skipped", { id: item.id, reason: result.reason });
+    } else if (result.success) {
+      this.counts.deleted++;
+      const reason = result.alreadyGone ? ALREADY_GONE : undefined;
+      deleter.deletedTweets.push({ ...entry, deleted_at: new Date().toISOString(), reason });
+      await deleter.queue.updateItem(job.id, item.id, ItemStatus.DELETED, { reason });
+      await deleter.auditItem(runId, item, ItemStatus.DELETED, { reason, durationMs: result.durationMs });
+      this.emit("deleted", { id: item.id, text: known.text, alreadyGone: result.alreadyGone });
+    } else {
+      this.counts.failed++;
+      const kind = result.kind || ErrorKind.PERMANENT;
+      await deleter.queue.updateItem(job.id, item.id, ItemStatus.FAILED, { error: result.error, kind });
+      await deleter.auditItem(runId, item, ItemStatus.FAILED, { error: result.error, kind, code: result.code, durationMs: result.durationMs });
+      this.emit("failed", { id: item.id, error: result.error, kind });
+    }
+  }
+
+  // The job stays in the queue to be resumed, paused if access was revoked;
+  // what was done so far is kept
+  async fail(runId, error) {
+    const { deleter } = this;
+    if (error instanceof AuthRevokedError) {
+      await deleter.queue.setJobStatus(this.job.id, JobStatus.PAUSED).catch(() => {});
+    }
+    if (runId) {
+      await deleter.audit.finishRun(runId, { summary: { ...this.counts }, error: error.message }).catch(() => {});
+    }
+    await deleter.saveDeletionLog().catch(() => {});
+    this.emit("finished", { ...this.counts, interrupted: null, jobId: this.job.id, error: error.message });
+  }
+}
+
+module.exports = { JobEngine };
@@ -0,0 +1,254 @@
+// In-memory stand-in for the parts of twitter-api-v2's client that TweetDeleter
+// uses, so everything can run offline: tests, demos (TWITTER_BACKEND=mock) and
+// dry runs against a fake account.
+const API_ROOT = "https://api.twitter.com";
+const WINDOW_MS = 15 * 60 * 1000;
+
+// Same shape as twitter-api-v2's ApiResponseError where our code looks at it
+class MockApiError extends Error {
+  constructor(code, message, rateLimit) {
+    super(message);
+    this.name = "ApiResponseError";
+    this.code = code;
+    this.rateLimit = rateLimit;
+    this.data = { title: message, status: code };
+  }
+}
+
+// Every 7th tweet (from the 4th) is a reply and every 7th (from the 6th) a retweet
+function generateTweets(count, { userId = "1000", now = Date.now(), idBase = 1700000000000000000n } = {}) {
+  return Array.from({ length: count }, (_, i) => {
+    const id = String(idBase + BigInt(count - i));
+    const tweet = {
+      id,
+      text: i % 7 === 3 ? `@friend reply number ${i}` : `Mock tweet number ${i}`,
+      created_at: new Date(now - i * 12 * 60 * 60 * 1000).toISOString(),
+      author_id: userId,
+      lang: "en",
+      conversation_id: id,
+      public_metrics: { retweet_count: i % 5, reply_count: i % 3, like_count: (i * 7) % 40, quote_count: 0 }
+    };
+    if (i % 7 === 5) {
+      const original = String(1500000000000000000n + BigInt(i));
+      return { ...tweet, text: `RT @friend: Retweeted number ${i}`, referenced_tweets: [{ type: "retweeted", id: original }] };
+    }
+    return tweet;
+  });
+}
+
+// A self-thread of `length` tweets, newest (the end of the thread) first
+function generateThread(length, { userId = "1000", now = Date.now(), idBase = 1710000000000000000n } = {}) {
+  const rootId = String(idBase + 1n);
+  return Array.from({ length }, (_, i) => {
+    const id = String(idBase + BigInt(i + 1));
+    const tweet = {
+      id,
+      text: i === 0 ? `A thread 🧵 1/${length}` : `Thread part ${i + 1}/${length}`,
+      created_at: new Date(now - (length - i) * 60 * 1000).toISOString(),
+      author_id: userId,
+      lang: "en",
+      conversation_id: rootId,
+      public_metrics: { retweet_count: 0, reply_count: i < length - 1 ? 1 : 0, like_count: length - i, quote_count: 0 }
+    };
+    if (i === 0) {
+      return tweet;
+    }
+    const parent = String(idBase + BigInt(i));
+    return { ...tweet, in_reply_to_user_id: userId, referenced_tweets: [{ type: "replied_to", id: parent }] };
+  }).reverse();
+}
+
+// Pages of the timeline, likes or bookmarks; `source` says which
+class MockTimelinePaginator {
+  constructor(backend, source, tweets, offset, pageSize, rateLimit) {
+    this.backend = backend;
+    this.source = source;
+    this.allTweets = tweets;
+    this.offset = offset;
+    this.pageSize = pageSize;
+    this.rateLimit = rateLimit;
+    this.includes = { media: [] };
+  }
+
+  get data() {
+    const page = this.allTweets.slice(this.offset, this.offset + this.pageSize);
+    return {
+      data: page,
+      meta: { result_count: page.length, next_token: this.done ? undefined : `offset-${this.offset + this.pageSize}` }
+    };
+  }
+
+  get done() {
+    return this.offset + this.pageSize >= this.allTweets.length;
+  }
+
+  async next(maxResults = this.pageSize) {
+    return this.backend.listPage(this.source, this.allTweets, this.offset + this.pageSize, maxResults);
+  }
+}
+
+class MockTwitterBackend {
+  constructor(options = {}) {
+    this.user = options.user || { id: "1000", username: "mockuser", name: "Mock User" };
+    this.tweets = options.tweets || generateTweets(options.tweetCount || 25, { userId: this.user.id });
+    if (options.threadLength) {
+      // A self-thread, posted just now, on top of the timeline
+      this.tweets = generateThread(options.threadLength, { userId: this.user.id }).concat(this.tweets);
+    }
+    // Other people's tweets the user liked or bookmarked
+    this.likes = options.likes || generateTweets(options.likeCount || 0, { userId: "2000", idBase: 1600000000000000000n });
+    this.bookmarked = options.bookmarks || generateTweets(options.bookmarkCount || 0, { userId: "3000", idBase: 1650000000000000000n });
+    this.plugins = options.plugins || [];
+    this.limits = { timeline: options.timelineLimit || 900, delete: options.deleteLimit || 50 };
+
+    this.calls = [];
+    this.deleted = [];
+    this.unliked = [];
+    this.unretweeted = [];     // Ids of the original tweets
+    this.unbookmarked = [];
+    this.failures = new Map();   // tweet id -> { code, message, times }
+    this.rateLimited = [];       // queued 429s: { endpoint, reset }
+    this.windows = {};
+
+    this.v2 = {
+      me: params => this.me(params),
+      userTimeline: (userId, params) => this.userTimeline(userId, params),
+      singleTweet: (tweetId, params) => this.singleTweet(tweetId, params),
+      deleteTweet: tweetId => this.deleteTweet(tweetId),
+      userLikedTweets: (userId, params) => this.userLikedTweets(userId, params),
+      unlike: (userId, tweetId) => this.unlike(userId, tweetId),
+      unretweet: (userId, tweetId) => this.unretweet(userId, tweetId),
+      bookmarks: params => this.bookmarks(params),
+      deleteBookmark: tweetId => this.deleteBookmark(tweetId)
+    };
+  }
+
+  // --- Test controls ---
+
+  // Make deleting (or unliking, unretweeting, un-bookmarking) `tweetId` fail with `code`, `times` times (default: always)
+  failTweet(tweetId, { code = 403, message = "You are not allowed to delete this Tweet", times = Infinity } = {}) {
+    this.failures.set(tweetId, { code, message, times });
+  }
+
+  // Make the next call to `endpoint` ("deleteTweet", "userTimeline", "unlike", ...) answer 429
+  rateLimitNext(endpoint, { resetInSeconds = 1, includeReset = true } = {}) {
+    this.rateLimited.push({ endpoint, resetInSeconds, includeReset });
+  }
+
+  // --- Internals ---
+
+  rateLimitFor(name, limit) {
+    const now = Date.now();
+    let window = this.windows[name];
+    if (!window || window.reset * 1000 <= now) {
+      window = this.windows[name] = { limit, remaining: limit, reset: Math.ceil((now + WINDOW_MS) / 1000) };
+    }
+    window.remaining = Math.max(0, window.remaining - 1);
+    return { ...window };
+  }
+
+  async respond(endpoint, method, urlPath, limit, produce) {
+    this.calls.push({ endpoint, method, path: urlPath });
+
+    const queued = this.rateLimited.findIndex(entry => entry.endpoint === endpoint);
+    if (queued !== -1) {
+      const [entry] = this.rateLimited.splice(queued, 1);
+      const reset = Math.ceil(Date.now() / 1000) + entry.resetInSeconds;
+      throw new MockApiError(429, "Too Many Requests",
+        entry.includeReset ? { limit, remaining: 0, reset } : undefined);
+    }
+
+    const data = await produce();
+    const rateLimit = this.rateLimitFor(endpoint, limit);
+    for (const plugin of this.plugins) {
+      if (plugin.onAfterRequest) {
+        await plugin.onAfterRequest({ url: new URL(API_ROOT + urlPath), params: { method }, response: { data, rateLimit } });
+      }
+    }
+    return { data, rateLimit };
+  }
+
+  async me() {
+    const { data } = await this.respond("me", "GET", "/2/users/me", 75, () => ({
+      ...this.user,
+      pinned_tweet_id: this.user.pinned_tweet_id
+    }));
+    return { data };
+  }
+
+  async userTimeline(userId, params = {}) {
+    let tweets = this.tweets.filter(tweet => !this.deleted.includes(tweet.id) && !this.isUnretweeted(tweet));
+    if (params.start_time) {
+      tweets = tweets.filter(tweet => new Date(tweet.created_at) >= new Date(params.start_time));
+    }
+    if (params.end_time) {
+      tweets = tweets.filter(tweet => new Date(tweet.created_at) < new Date(params.end_time));
+    }
+    const source = { endpoint: "userTimeline", path: `/2/users/${userId}/tweets`, limit: this.limits.timeline };
+    return this.listPage(source, tweets, 0, params.max_results || 10);
+  }
+
+  async userLikedTweets(userId, params = {}) {
+    const tweets = this.likes.filter(tweet => !this.unliked.includes(tweet.id));
+    const source = { endpoint: "userLikedTweets", path: `/2/users/${userId}/liked_tweets`, limit: 75 };
+    return this.listPage(source, tweets, 0, params.max_results || 10);
+  }
+
+  async bookmarks(params = {}) {
+    const tweets = this.bookmarked.filter(tweet => !this.unbookmarked.includes(tweet.id));
+    const source = { endpoint: "bookmarks", path: `/2/users/${this.user.id}/bookmarks`, limit: 180 };
+    return this.listPage(source, tweets, 0, params.max_results || 10);
+  }
+
+  async listPage(source, tweets, offset, pageSize) {
+    const { rateLimit } = await this.respond(source.endpoint, "GET", source.path, source.limit, () => null);
+    return new MockTimelinePaginator(this, source, tweets, offset, pageSize, rateLimit);
+  }
+
+  isUnretweeted(tweet) {
+    const reference = (tweet.referenced_tweets || []).find(ref => ref.type === "retweeted");
+    return Boolean(reference) && this.unretweeted.includes(reference.id);
+  }
+
+  async singleTweet(tweetId) {
+    const { data } = await this.respond("singleTweet", "GET", `/2/tweets/${tweetId}`, 900, () => {
+      const tweet = this.tweets.find(t => t.id === tweetId && !this.deleted.includes(t.id));
+      if (!tweet) {
+        throw new MockApiError(404, "Not Found Error");
+      }
+      return tweet;
+    });
+    return { data, includes: { media: [] } };
+  }
+
+  async deleteTweet(tweetId) {
+    return this.remove("deleteTweet", `/2/tweets/${tweetId}`, tweetId, this.deleted, { deleted: true });
+  }
+
+  async unlike(userId, tweetId) {
+    return this.remove("unlike", `/2/users/${userId}/likes/${tweetId}`, tweetId, this.unliked, { liked: false });
+  }
+
+  async unretweet(userId, tweetId) {
+    return this.remove("unretweet", `/2/users/${userId}/retweets/${tweetId}`, tweetId, this.unretweeted, { retweeted: false });
+  }
+
+  async deleteBookmark(tweetId) {
+    return this.remove("deleteBookmark", `/2/users/${this.user.id}/bookmarks/${tweetId}`, tweetId, this.unbookmarked, { bookmarked: false });
+  }
+
+  async remove(endpoint, urlPath, tweetId, removed, result) {
+    const { data } = await this.respond(endpoint, "DELETE", urlPath, this.limits.delete, () => {
+      const failure = this.failures.get(tweetId);
+      if (failure && failure.times > 0) {
+        failure.times--;
+        throw new MockApiError(failure.code, failure.message);
+      }
+      removed.push(tweetId);
+      return result;
+    });
+    return { data };
+  }
+}
+
+module.exports = { MockTwitterBackend, MockApiError, generateTweets, generateThread };
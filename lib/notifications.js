@@ -0,0 +1,272 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { spawn } = require("child_process");
+const { sendMail } = require("./smtp");
+
+const DEFAULT_NOTIFICATIONS_FILE = path.join(__dirname, "..", "notifications.json");
+
+// What a notification can be about. TEST is sent on request, whatever is enabled.
+const NotificationEvent = {
+  JOB_STARTED: "job-started",
+  DAILY_LIMIT: "daily-limit",
+  RATE_LIMITED: "rate-limited",
+  JOB_COMPLETED: "job-completed",
+  JOB_FAILED: "job-failed",
+  TEST: "test"
+};
+const JOB_EVENTS = Object.values(NotificationEvent).filter(event => event !== NotificationEvent.TEST);
+
+// Settings that can come from .env and be changed from the web UI
+const ENV_SETTINGS = {
+  webhookUrl: "NOTIFY_WEBHOOK_URL",
+  emailTo: "NOTIFY_EMAIL_TO",
+  emailFrom: "NOTIFY_EMAIL_FROM",
+  smtpHost: "SMTP_HOST",
+  smtpPort: "SMTP_PORT",
+  smtpSecure: "SMTP_SECURE",
+  smtpUser: "SMTP_USER",
+  smtpPass: "SMTP_PASS"
+};
+
+const SEND_TIMEOUT_MS = 30000;
+
+// Notification settings: .env first, then what was saved from the web UI in
+// notifications.json. The command hook is only ever read from NOTIFY_COMMAND,
+// so the web UI can't be used to run commands on the server.
+class NotificationSettings {
+  constructor(filePath = process.env.NOTIFICATIONS_FILE || DEFAULT_NOTIFICATIONS_FILE, env = process.env) {
+    this.filePath = filePath;
+    this.env = env;
+  }
+
+  async load() {
+    const { env } = this;
+    const fromEnv = {
+      events: env.NOTIFY_EVENTS ? env.NOTIFY_EVENTS.split(",").map(event => event.trim()).filter(Boolean) : JOB_EVENTS
+    };
+    for (const [key, name] of Object.entries(ENV_SETTINGS)) {
+      fromEnv[key] = env[name] || "";
+    }
+    const settings = { ...fromEnv, ...(await this.readSaved()), command: env.NOTIFY_COMMAND || "" };
+    settings.smtpPort = Number(settings.smtpPort) || 587;
+    settings.smtpSecure = settings.smtpSecure === "" ? settings.smtpPort === 465 : [true, "true"].includes(settings.smtpSecure);
+    return settings;
+  }
+
+  // A blank password keeps the one already set
+  async save(changes) {
+    const saved = await this.readSaved();
+    for (const key of ["events", ...Object.keys(ENV_SETTINGS)]) {
+      if (changes[key] === undefined || (key === "smtpPass" && !changes[key])) {
+        continue;
+      }
+      saved[key] = typeof changes[key] === "string" ? changes[key].trim() : changes[key];
+    }
+    validateSettings(saved);
+    await fs.writeFile(this.filePath, JSON.stringify(saved, null, 2));
+    return this.load();
+  }
+
+  async readSaved() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      throw error;
+    }
+  }
+}
+
+function validateSettings(settings) {
+  if (settings.events !== undefined) {
+    if (!Array.isArray(settings.events)) {
+      throw new Error("events must be a list");
+    }
+    const unknown = settings.events.filter(event => !JOB_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown notification event "${unknown[0]}" (expected ${JOB_EVENTS.join(", ")})`);
+    }
+  }
+  if (settings.webhookUrl && !/^https?:\/\/\S+$/i.test(settings.webhookUrl)) {
+    throw new Error("The webhook URL must start with http:// or https://");
+  }
+  for (const key of ["emailTo", "emailFrom"]) {
+    if (settings[key] && !String(settings[key]).split(",").every(address => /^[^@\s]+@[^@\s]+$/.test(address.trim()))) {
+      throw new Error(`${key === "emailTo" ? "To" : "From"} must be an email address`);
+    }
+  }
+  const port = Number(settings.smtpPort);
+  if (settings.smtpPort && !(Number.isInteger(port) && port > 0 && port < 65536)) {
+    throw new Error("The SMTP port must be a number between 1 and 65535");
+  }
+}
+
+// Settings as the web UI gets them: the SMTP password is never sent back
+function publicSettings(settings, senders = SENDERS) {
+  const { smtpPass, ...rest } = settings;
+  return {
+    ...rest,
+    hasSmtpPass: Boolean(smtpPass),
+    channels: Object.keys(senders).filter(channel => senders[channel].configured(settings)),
+    availableEvents: JOB_EVENTS
+  };
+}
+
+// Title and one-line text for an event
+function describe(event, details = {}) {
+  const account = details.account ? ` on account ${details.account}` : "";
+  const job = details.jobId ? `Job ${details.jobId}${account}` : `The deletion${account}`;
+  switch (event) {
+    case NotificationEvent.JOB_STARTED:
+      return { title: "Deletion job started", text: `${job} started with ${details.pending} ${details.contentType || "tweets"} to delete.` };
+    case NotificationEvent.DAILY_LIMIT:
+      return { title: "Daily deletion limit reached", text: `${job} reached its ${details.reason || "daily limit"} and continues at ${details.until}.` };
+    case NotificationEvent.RATE_LIMITED:
+      return { title: "Rate limited by the API", text: `${job} was rate limited and continues at ${details.until}.` };
+    case NotificationEvent.JOB_COMPLETED: {
+      const totals = `${details.deleted} deleted, ${details.failed} failed, ${details.skipped} protected`;
+      return details.interrupted
+        ? { title: `Deletion job ${details.interrupted}`, text: `${job} was ${details.interrupted}: ${totals}.` }
+        : { title: "Deletion job completed", text: `${job} finished: ${totals}.` };
+    }
+    case NotificationEvent.JOB_FAILED:
+      return { title: "Deletion job failed", text: `${job} stopped with an error: ${details.error}. ${details.deleted} deleted before it stopped.` };
+    default:
+      return { title: "Test notification", text: "Notifications from Twitter Tweet Deleter are working." };
+  }
+}
+
+// The channels a notification goes out on. Each one says whether the settings
+// configure it and sends a message: { event, title, text, details, at }.
+const SENDERS = {
+  // JSON POST; `text` is what Slack shows and `content` what Discord shows (the
+  // plain message is kept in `title` and `details`)
+  webhook: {
+    configured: settings => Boolean(settings.webhookUrl),
+    async send(settings, message) {
+      const response = await fetch(settings.webhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...message, text: `${message.title}: ${message.text}`, content: `**${message.title}**\n${message.text}` }),
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`webhook answered ${response.status} ${response.statusText}`);
+      }
+    }
+  },
+
+  email: {
+    configured: settings => Boolean(settings.smtpHost && settings.emailTo),
+    send(settings, message) {
+      return sendMail({
+        host: settings.smtpHost,
+        port: settings.smtpPort,
+        secure: settings.smtpSecure,
+        user: settings.smtpUser,
+        pass: settings.smtpPass,
+        from: settings.emailFrom || settings.smtpUser || `tweet-deleter@${settings.smtpHost}`,
+        to: settings.emailTo,
+        subject: `[Tweet Deleter] ${message.title}`,
+        text: `${message.text}\n\n${JSON.stringify(message.details, null, 2)}\n`,
+        timeoutMs: SEND_TIMEOUT_MS
+      });
+    }
+  },
+
+  // NOTIFY_COMMAND runs in a shell with the message in NOTIFY_* variables and
+  // as JSON on stdin; it fails on a non-zero exit or after 30 seconds
+  command: {
+    configured: settings => Boolean(settings.command),
+    send(settings, message) {
+      return new Promise((resolve, reject) => {
+        const child = spawn(settings.command, {
+          shell: true,
+          stdio: ["pipe", "ignore", "pipe"],
+          env: {
+            ...process.env,
+            NOTIFY_EVENT: message.event,
+            NOTIFY_TITLE: message.title,
+            NOTIFY_MESSAGE: message.text,
+            NOTIFY_ACCOUNT: message.details.account || "",
+            NOTIFY_JOB_ID: message.details.jobId || ""
+          }
+        });
+        let stderr = "";
+        const timer = setTimeout(() => child.kill(), SEND_TIMEOUT_MS);
+        child.stderr.on("data", chunk => { stderr = (stderr + chunk).slice(-500); });
+        child.stdin.on("error", () => {}); // The command may not read its input
+        child.on("error", error => {
+          clearTimeout(timer);
+          reject(error);
+        });
+        child.on("close", (code, signal) => {
+          clearTimeout(timer);
+          if (code === 0) {
+            resolve();
+          } else {
+            reject(new Error(`command ${signal ? `was stopped (${signal})` : `exited with ${code}`}${stderr.trim() ? `: ${stderr.trim()}` : ""}`));
+          }
+        });
+        child.stdin.end(JSON.stringify(message));
+      });
+    }
+  }
+};
+
+// Sends notifications on every configured channel. A channel that fails is
+// logged and reported in the results, never thrown: a notification must not
+// stop a deletion.
+class Notifier {
+  // Settings are read on each notification, so changes apply to running jobs
+  constructor({ settings, senders = SENDERS } = {}) {
+    this.settings = settings;
+    this.senders = senders;
+    this.pending = new Set();
+  }
+
+  // Resolves with { channel, ok, error } per configured channel; empty when the
+  // event isn't enabled or nothing is configured
+  notify(event, details = {}) {
+    const sending = this.send(event, details);
+    this.pending.add(sending);
+    sending.finally(() => this.pending.delete(sending)).catch(() => {});
+    return sending;
+  }
+
+  async send(event, details) {
+    const settings = await (this.settings || new NotificationSettings()).load();
+    if (event !== NotificationEvent.TEST && !settings.events.includes(event)) {
+      return [];
+    }
+    const message = { event, ...describe(event, details), details, at: new Date().toISOString() };
+    const channels = Object.keys(this.senders).filter(channel => this.senders[channel].configured(settings));
+
+    return Promise.all(channels.map(async channel => {
+      try {
+        await this.senders[channel].send(settings, message);
+        return { channel, ok: true };
+      } catch (error) {
+        console.error(`⚠️  ${channel} notification failed: ${error.message}`);
+        return { channel, ok: false, error: error.message };
+      }
+    }));
+  }
+
+  // Wait for notifications still on their way, before the process exits
+  async settle() {
+    await Promise.allSettled([...this.pending]);
+  }
+}
+
+module.exports = {
+  NotificationEvent,
+  NotificationSettings,
+  Notifier,
+  SENDERS,
+  describe,
+  publicSettings,
+  DEFAULT_NOTIFICATIONS_FILE
+};
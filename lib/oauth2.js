@@ -0,0 +1,140 @@
+const { TwitterApi } = require("twitter-api-v2");
+const { TokenStore } = require("./token-store");
+
+// offline.access is what gets us a refresh token; likes and bookmarks need their own scopes
+const OAUTH2_SCOPES = [
+  "tweet.read", "tweet.write", "users.read", "offline.access",
+  "like.read", "like.write", "bookmark.read", "bookmark.write"
+];
+const REFRESH_MARGIN_MS = 60 * 1000; // Refresh a minute early rather than fail mid-request
+const LOGIN_TIMEOUT_MS = 10 * 60 * 1000;
+
+function isOAuth2Configured() {
+  return Boolean(process.env.TWITTER_CLIENT_ID);
+}
+
+// App-level client (client id/secret), used to start logins and refresh tokens
+function createOAuth2App() {
+  if (!isOAuth2Configured()) {
+    throw new Error("Set TWITTER_CLIENT_ID (and TWITTER_CLIENT_SECRET for confidential apps) to enable Sign in with X");
+  }
+  return new TwitterApi({
+    clientId: process.env.TWITTER_CLIENT_ID,
+    clientSecret: process.env.TWITTER_CLIENT_SECRET || undefined
+  });
+}
+
+function toStoredTokens({ accessToken, refreshToken, expiresIn, scope }) {
+  return { accessToken, refreshToken, scope, expiresAt: Date.now() + expiresIn * 1000 };
+}
+
+// Authorization-code-with-PKCE logins waiting for their callback, keyed by `state`
+class PendingLogins {
+  constructor() {
+    this.logins = new Map();
+  }
+
+  start(app, redirectUri, details = {}) {
+    this.prune();
+    const { url, state, codeVerifier } = app.generateOAuth2AuthLink(redirectUri, { scope: OAUTH2_SCOPES });
+    this.logins.set(state, { ...details, codeVerifier, redirectUri, startedAt: Date.now() });
+    return url;
+  }
+
+  // Each state can be used once
+  take(state) {
+    this.prune();
+    const login = this.logins.get(state);
+    this.logins.delete(state);
+    return login || null;
+  }
+
+  prune() {
+    const cutoff = Date.now() - LOGIN_TIMEOUT_MS;
+    for (const [state, login] of this.logins) {
+      if (login.startedAt < cutoff) this.logins.delete(state);
+    }
+  }
+}
+
+// Exchange the callback's code for tokens and find out whose they are
+async function completeLogin(app, { code, codeVerifier, redirectUri }) {
+  const result = await app.loginWithOAuth2({ code, codeVerifier, redirectUri });
+  const user = await result.client.v2.me();
+  return { tokens: toStoredTokens(result), user: user.data };
+}
+
+// Backend for accounts connected with "Sign in with X". Looks like the
+// twitter-api-v2 client TweetDeleter expects, but loads the account's tokens
+// from the encrypted store and refreshes them whenever they are about to
+// expire or the API answers 401.
+class OAuth2Backend {
+  constructor(accountId, options = {}) {
+    this.accountId = accountId;
+    this.plugins = options.plugins || [];
+    this.tokenStore = options.tokenStore || new TokenStore();
+    this.createApp = options.createApp || createOAuth2App;
+    this.createUserClient = options.createUserClient || (accessToken => new TwitterApi(accessToken, { plugins: this.plugins }));
+    this.refreshing = null;
+
+    this.v2 = {
+      me: (...args) => this.call("me", args),
+      userTimeline: (...args) => this.call("userTimeline", args),
+      singleTweet: (...args) => this.call("singleTweet", args),
+      deleteTweet: (...args) => this.call("deleteTweet", args),
+      userLikedTweets: (...args) => this.call("userLikedTweets", args),
+      unlike: (...args) => this.call("unlike", args),
+      unretweet: (...args) => this.call("unretweet", args),
+      bookmarks: (...args) => this.call("bookmarks", args),
+      deleteBookmark: (...args) => this.call("deleteBookmark", args)
+    };
+  }
+
+  async tokens() {
+    const tokens = await this.tokenStore.get(this.accountId);
+    if (!tokens) {
+      throw new Error(`Account ${this.accountId} is not signed in; use Sign in with X`);
+    }
+    return tokens.expiresAt - REFRESH_MARGIN_MS <= Date.now() ? this.refresh(tokens) : tokens;
+  }
+
+  // One refresh at a time: refresh tokens are single-use
+  refresh(tokens) {
+    if (!this.refreshing) {
+      this.refreshing = (async () => {
+        // Another process may have refreshed already and used up our refresh token
+        const stored = await this.tokenStore.get(this.accountId);
+        if (stored && stored.accessToken !== tokens.accessToken) {
+          return stored;
+        }
+        if (!tokens.refreshToken) {
+          throw new Error(`Account ${this.accountId}'s session expired; sign in with X again`);
+        }
+        const result = await this.createApp().refreshOAuth2Token(tokens.refreshToken);
+        return this.tokenStore.set(this.accountId, toStoredTokens({
+          ...result,
+          refreshToken: result.refreshToken || tokens.refreshToken
+        }));
+      })().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async call(method, args) {
+    let tokens = await this.tokens();
+    try {
+      return await this.createUserClient(tokens.accessToken).v2[method](...args);
+    } catch (error) {
+      if (error.code !== 401) {
+        throw error;
+      }
+      // Revoked or expired early: refresh once and retry
+      tokens = await this.refresh(tokens);
+      return this.createUserClient(tokens.accessToken).v2[method](...args);
+    }
+  }
+}
+
+module.exports = { OAuth2Backend, PendingLogins, completeLogin, createOAuth2App, isOAuth2Configured, OAUTH2_SCOPES };
@@ -0,0 +1,83 @@
+// X API access tiers. The numbers are deliberately conservative: the free
+// tier in particular has a tiny monthly read cap, so it only reads one page,
+// and allows just 17 deletions per 24 hours, so we budget for 15.
+const PLANS = {
+  free: {
+    timeline: { pageSize: 10, maxTweets: 10 },
+    deletions: {
+      perDay: 15,
+      minDelaySeconds: 300,
+      batchSize: 5,
+      batchDelayMinutes: 90,
+      fallbackWaitMinutes: 24 * 60 // A 429 without a reset header means the daily cap
+    }
+  },
+  basic: {
+    timeline: { pageSize: 100, maxTweets: 1000 },
+    deletions: {
+      perDay: 400,
+      minDelaySeconds: 180,
+      batchSize: 50,
+      batchDelayMinutes: 15,
+      fallbackWaitMinutes: 15
+    }
+  },
+  pro: {
+    // The timeline endpoint never returns more than the 3200 most recent tweets
+    timeline: { pageSize: 100, maxTweets: 3200 },
+    deletions: {
+      perDay: 4000,
+      minDelaySeconds: 18,
+      batchSize: 100,
+      batchDelayMinutes: 5,
+      fallbackWaitMinutes: 15
+    }
+  }
+};
+
+function readInt(name) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+// "custom" starts from basic and takes its numbers from the environment
+function customPlan() {
+  const base = PLANS.basic;
+  return {
+    timeline: {
+      pageSize: readInt("TIMELINE_PAGE_SIZE") || base.timeline.pageSize,
+      maxTweets: readInt("TIMELINE_MAX_TWEETS") || base.timeline.maxTweets
+    },
+    deletions: {
+      perDay: readInt("MAX_DELETIONS_PER_DAY") || base.deletions.perDay,
+      minDelaySeconds: readInt("DELETION_DELAY_SECONDS") ?? base.deletions.minDelaySeconds,
+      batchSize: base.deletions.batchSize,
+      batchDelayMinutes: base.deletions.batchDelayMinutes,
+      fallbackWaitMinutes: readInt("RATE_LIMIT_FALLBACK_MINUTES") || base.deletions.fallbackWaitMinutes
+    }
+  };
+}
+
+// `overrides` ({ batchSize, batchDelayMinutes, minDelaySeconds }, from command-line
+// flags) take precedence over both the plan and the environment
+function getPlan(name = process.env.TWITTER_PLAN || "free", overrides = {}) {
+  const key = name.toLowerCase();
+  const plan = key === "custom" ? customPlan() : PLANS[key];
+  if (!plan) {
+    throw new Error(`Unknown plan "${name}" (expected one of: ${[...Object.keys(PLANS), "custom"].join(", ")})`);
+  }
+
+  // TWEETS_PER_BATCH and BATCH_DELAY_MINUTES have always overridden the batch settings
+  return {
+    name: key,
+    timeline: { ...plan.timeline },
+    deletions: {
+      ...plan.deletions,
+      batchSize: overrides.batchSize || readInt("TWEETS_PER_BATCH") || plan.deletions.batchSize,
+      batchDelayMinutes: overrides.batchDelayMinutes ?? readInt("BATCH_DELAY_MINUTES") ?? plan.deletions.batchDelayMinutes,
+      minDelaySeconds: overrides.minDelaySeconds ?? plan.deletions.minDelaySeconds
+    }
+  };
+}
+
+module.exports = { PLANS, getPlan };
@@ -0,0 +1,103 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEFAULT_PROTECT_FILE = path.join(__dirname, "..", "protect.json");
+
+const DEFAULT_CONFIG = {
+  ids: [],             // Tweet IDs that must never be deleted
+  keywords: [],        // Substrings, or "/pattern/flags" regular expressions
+  topByEngagement: 0,  // Keep the N tweets with the most likes + retweets + replies + quotes
+  protectPinned: true  // Keep the account's pinned tweet
+};
+
+function engagement(tweet) {
+  const metrics = tweet.public_metrics || {};
+  return (metrics.like_count || 0) + (metrics.retweet_count || 0) +
+    (metrics.reply_count || 0) + (metrics.quote_count || 0);
+}
+
+function keywordMatcher(keyword) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(keyword);
+  if (regex) {
+    // g and y make test() resume from the last match, so the same pattern would skip every other tweet
+    const pattern = new RegExp(regex[1], regex[2].replace(/[gy]/g, ""));
+    return text => pattern.test(text);
+  }
+  const needle = keyword.toLowerCase();
+  return text => text.toLowerCase().includes(needle);
+}
+
+// Keep-list consulted before every deleteTweet call
+class ProtectList {
+  constructor(filePath = process.env.TWEET_PROTECT_FILE || DEFAULT_PROTECT_FILE) {
+    this.filePath = filePath;
+    this.config = { ...DEFAULT_CONFIG };
+    this.pinnedTweetId = undefined; // Not looked up yet; null once we know there is none
+    this.topTweetIds = new Set();
+    this.matchers = [];
+  }
+
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, "utf8");
+      this.setConfig(JSON.parse(content));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+      this.setConfig({});
+    }
+    return this.config;
+  }
+
+  async save(config) {
+    this.setConfig(config);
+    await fs.writeFile(this.filePath, JSON.stringify(this.config, null, 2));
+    return this.config;
+  }
+
+  setConfig(config) {
+    const merged = { ...DEFAULT_CONFIG, ...config };
+    merged.ids = (merged.ids || []).map(String);
+    merged.keywords = merged.keywords || [];
+    merged.topByEngagement = parseInt(merged.topByEngagement) || 0;
+
+    this.matchers = merged.keywords.map(keyword => ({ keyword, test: keywordMatcher(keyword) }));
+    this.config = merged;
+  }
+
+  setPinnedTweet(tweetId) {
+    this.pinnedTweetId = tweetId || null;
+  }
+
+  // "Top N" is relative to the tweets we know about, so recompute it whenever that set changes
+  rankTweets(tweets) {
+    const ranked = tweets
+      .slice()
+      .sort((a, b) => engagement(b) - engagement(a))
+      .slice(0, this.config.topByEngagement);
+    this.topTweetIds = new Set(ranked.map(tweet => tweet.id));
+  }
+
+  // Returns why a tweet is protected, or null if it may be deleted
+  reason(tweet) {
+    if (this.config.ids.includes(String(tweet.id))) {
+      return "Protected by ID";
+    }
+    if (this.config.protectPinned && this.pinnedTweetId === tweet.id) {
+      return "Pinned tweet";
+    }
+    if (this.topTweetIds.has(tweet.id)) {
+      return `Top ${this.config.topByEngagement} by engagement`;
+    }
+    if (tweet.text) {
+      const match = this.matchers.find(matcher => matcher.test(tweet.text));
+      if (match) {
+        return `Matches protected keyword "${match.keyword}"`;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = { ProtectList, DEFAULT_PROTECT_FILE, engagement, keywordMatcher };
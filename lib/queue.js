@@ -0,0 +1,243 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { getContentType } = require("./content-types");
+const { parentId, orderLeafFirst } = require("./threads");
+const { withFileLock, writeFileAtomic } = require("./file-lock");
+
+const DEFAULT_QUEUE_FILE = path.join(__dirname, "..", "deletion_queue.json");
+
+const ItemStatus = {
+  PENDING: "pending",
+  DELETED: "deleted",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+  CANCELLED: "cancelled" // Removed from the queue before it was deleted
+};
+
+const JobStatus = {
+  RUNNING: "running",
+  PAUSED: "paused",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled"
+};
+
+const FINISHED_JOB_STATUSES = [JobStatus.COMPLETED, JobStatus.CANCELLED];
+
+const ALREADY_DELETED = "Already deleted in a previous job";
+
+// Ids that jobs removing the same way as `type` have dealt with: deleted, or
+// still pending in a job that isn't finished. A tweet deleted from the replies
+// tab is gone from the tweets tab too, but can still be unliked.
+function handledIds(data, type) {
+  const { removeEndpoint } = getContentType(type);
+  const deleted = new Set();
+  const pending = new Set();
+  data.jobs
+    .filter(job => getContentType(job.type).removeEndpoint === removeEndpoint)
+    .forEach(job => job.items.forEach(item => {
+      if (item.status === ItemStatus.DELETED) deleted.add(item.id);
+      if (item.status === ItemStatus.PENDING && !FINISHED_JOB_STATUSES.includes(job.status)) pending.add(item.id);
+    }));
+  return { deleted, pending };
+}
+
+// Adds a new job to the queue's data; see DeletionQueue#createJob
+function addJob(data, tweets, source, { notBefore, type = "tweets", startedBy, rule } = {}) {
+  // Removed by the same API call in an earlier job
+  const alreadyDeleted = handledIds(data, type).deleted;
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    source,
+    type,
+    started_by: startedBy,
+    rule,
+    status: JobStatus.RUNNING,
+    created_at: now,
+    updated_at: now,
+    not_before: notBefore ? new Date(notBefore).toISOString() : undefined,
+    items: orderLeafFirst(tweets).map(tweet => ({
+      id: tweet.id,
+      text: tweet.text,
+      created_at: tweet.created_at,
+      parent_id: parentId(tweet) || undefined,
+      status: alreadyDeleted.has(tweet.id) ? ItemStatus.SKIPPED : ItemStatus.PENDING,
+      reason: alreadyDeleted.has(tweet.id) ? ALREADY_DELETED : undefined
+    }))
+  };
+
+  data.jobs.push(job);
+  return job;
+}
+
+// The retry queue: failed items nobody has queued again, newest failure first
+function findFailedItems(data, type) {
+  const { deleted, pending } = handledIds(data, type);
+  const seen = new Set();
+  const failed = [];
+  data.jobs
+    .filter(job => (job.type || "tweets") === type)
+    .slice()
+    .reverse()
+    .forEach(job => job.items.forEach(item => {
+      if (item.status !== ItemStatus.FAILED || item.retried_in || deleted.has(item.id) || pending.has(item.id) || seen.has(item.id)) {
+        return;
+      }
+      seen.add(item.id);
+      failed.push({ ...item, job_id: job.id });
+    }));
+  return failed;
+}
+
+// Durable on-disk deletion queue. Every change is read-modify-write against
+// the JSON file so the CLI and the web server can share it and a crash
+// never loses more than the tweet currently being deleted.
+class DeletionQueue {
+  constructor(filePath = process.env.DELETION_QUEUE_FILE || DEFAULT_QUEUE_FILE) {
+    this.filePath = filePath;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      const content = await fs.readFile(this.filePath, "utf8");
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { jobs: [] };
+      }
+      throw error;
+    }
+  }
+
+  async write(data) {
+    await writeFileAtomic(this.filePath, JSON.stringify(data, null, 2));
+  }
+
+  // Read-modify-write under a lockfile, so a job in another process can't
+  // overwrite this one's changes; calls within this process are queued as well
+  update(mutate) {
+    const result = this.pendingWrite.then(() => withFileLock(this.filePath, async () => {
+      const data = await this.read();
+      const value = mutate(data);
+      await this.write(data);
+      return value;
+    }));
+    this.pendingWrite = result.catch(() => {});
+    return result;
+  }
+
+  // `type` is what the job removes (see lib/content-types.js); `notBefore`
+  // holds the job in a grace period: nothing is deleted before then.
+  // `startedBy` and `rule` are kept for the audit log. Items are queued
+  // leaf-first, so a thread's replies go before the tweets they reply to.
+  async createJob(tweets, source, options = {}) {
+    return this.update(data => addJob(data, tweets, source, options));
+  }
+
+  // Failed items not yet retried, one per tweet, for jobs removing `type`.
+  // Tweets removed by a later job, or waiting in an unfinished one, are left out.
+  async failedItems(type = "tweets") {
+    return findFailedItems(await this.read(), type);
+  }
+
+  // Queue the failed items of `type` again as a new job (with `options` as
+  // for createJob), marking the originals as retried. Null if there are none.
+  async retryFailed(type = "tweets", source, options = {}) {
+    return this.update(data => {
+      const failed = findFailedItems(data, type);
+      if (failed.length === 0) {
+        return null;
+      }
+      const job = addJob(data, failed, source, { ...options, type });
+      const retried = new Set(failed.map(item => `${item.job_id}/${item.id}`));
+      data.jobs.forEach(original => original.items.forEach(item => {
+        if (retried.has(`${original.id}/${item.id}`)) item.retried_in = job.id;
+      }));
+      return job;
+    });
+  }
+
+  async updateItem(jobId, tweetId, status, details = {}) {
+    return this.update(data => {
+      const job = data.jobs.find(j => j.id === jobId);
+      if (!job) {
+        throw new Error(`Unknown job ${jobId}`);
+      }
+
+      const item = job.items.find(i => i.id === tweetId);
+      if (item) {
+        Object.assign(item, details, { status, updated_at: new Date().toISOString() });
+      }
+      job.updated_at = new Date().toISOString();
+      return item;
+    });
+  }
+
+  async completeJob(jobId) {
+    return this.setJobStatus(jobId, JobStatus.COMPLETED);
+  }
+
+  async setJobStatus(jobId, status) {
+    return this.update(data => {
+      const job = data.jobs.find(j => j.id === jobId);
+      if (job) {
+        job.status = status;
+        job.updated_at = new Date().toISOString();
+      }
+      return job;
+    });
+  }
+
+  // Take pending tweets out of a job; returns the ids that were still pending
+  async cancelItems(jobId, tweetIds) {
+    return this.update(data => {
+      const job = data.jobs.find(j => j.id === jobId);
+      if (!job) {
+        throw new Error(`Unknown job ${jobId}`);
+      }
+
+      const ids = new Set(tweetIds);
+      const now = new Date().toISOString();
+      const cancelled = job.items.filter(item => ids.has(item.id) && item.status === ItemStatus.PENDING);
+      cancelled.forEach(item => Object.assign(item, { status: ItemStatus.CANCELLED, updated_at: now }));
+      job.updated_at = now;
+      return cancelled.map(item => item.id);
+    });
+  }
+
+  // Cancel everything still pending and close the job
+  async cancelJob(jobId) {
+    const job = await this.getJob(jobId);
+    if (job) {
+      await this.cancelItems(jobId, DeletionQueue.pendingItems(job).map(item => item.id));
+    }
+    return this.setJobStatus(jobId, JobStatus.CANCELLED);
+  }
+
+  async getJob(jobId) {
+    const data = await this.read();
+    return data.jobs.find(job => job.id === jobId);
+  }
+
+  async getUnfinishedJobs(source) {
+    const data = await this.read();
+    return data.jobs.filter(job => {
+      return !FINISHED_JOB_STATUSES.includes(job.status) && (!source || job.source === source);
+    });
+  }
+
+  static pendingItems(job) {
+    return job.items.filter(item => item.status === ItemStatus.PENDING);
+  }
+
+  static summarize(job) {
+    const summary = { total: job.items.length, pending: 0, deleted: 0, failed: 0, skipped: 0, cancelled: 0 };
+    job.items.forEach(item => summary[item.status]++);
+    return summary;
+  }
+}
+
+module.exports = { DeletionQueue, ItemStatus, JobStatus, ALREADY_DELETED, DEFAULT_QUEUE_FILE };
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const cliProgress = require("cli-progress");
+const { ControlState } = require("./job-control");
+const { NotificationEvent } = require("./notifications");
+
+// Progress reporters for JobEngine (lib/job-engine.js). A reporter is a
+// function that is given the engine before it starts and listens to its events.
+
+// The step-by-step events, as the web UI's progress stream knows them
+const STEP_EVENTS = [
+  "job-started", "grace", "paused", "resumed", "started", "deleted", "skipped",
+  "failed", "retrying", "rate-limited", "waiting", "batch-sleep"
+];
+
+// Console messages and a progress bar per batch, for the CLI and the retention daemon
+function progressBarReporter() {
+  return engine => {
+    const { deleter } = engine;
+    let bar = null;
+    const stopBar = () => {
+      if (bar) {
+        bar.stop();
+        bar = null;
+      }
+    };
+
+    engine.on("job-started", ({ pending }) => {
+      console.log(`📊 Processing ${pending} tweets (${deleter.plan.name} plan: max ${deleter.maxDeletionsPerDay}/day)`);
+    });
+    engine.on("batch", ({ batch, totalBatches, size }) => {
+      console.log(`\n🔄 Batch ${batch}/${totalBatches} (${size} tweets)`);
+      bar = new cliProgress.SingleBar({
+        format: "Deleting |{bar}| {percentage}% | {value}/{total} tweets",
+        barCompleteChar: "\u2588",
+        barIncompleteChar: "\u2591",
+      });
+      bar.start(size, 0);
+    });
+    ["deleted", "skipped", "failed"].forEach(outcome => engine.on(outcome, () => bar && bar.increment()));
+    engine.on("batch-sleep", stopBar);
+    engine.on("paused", () => console.log("\n⏸️  Paused after the current tweet"));
+    engine.on("resumed", () => console.log("\n▶️  Resumed"));
+    engine.on("rate-limited", () => console.log("\n⚠️  Rate limit hit - will retry after reset"));
+    engine.on("retrying", ({ id, attempt, error, until }) => {
+      const seconds = Math.round((Date.parse(until) - Date.now()) / 1000);
+      console.log(`\n🔁 Trying ${id} again in ${seconds}s (attempt ${attempt} failed: ${error})`);
+    });
+
+    engine.on("finished", ({ deleted, failed, skipped, interrupted, error }) => {
+      stopBar();
+      if (error) {
+        return;
+      }
+      if (interrupted === ControlState.CANCELLED) {
+        console.log(`\n🛑 Cancelled: ${deleted} deleted, ${failed} failed, the rest left alone`);
+      } else if (interrupted === ControlState.STOPPED) {
+        console.log(`\n⏸️  Stopped: ${deleted} deleted so far. Run again to resume the remaining tweets.`);
+      } else {
+        console.log(`\n✅ Completed: ${deleted} deleted, ${failed} failed, ${skipped} protected`);
+      }
+      if (deleted >= deleter.maxDeletionsPerDay) {
+        console.log(`⚠️  Daily limit reached. Wait 24 hours before running again.`);
+      }
+    });
+  };
+}
+
+// Hands each step to `send(type, details)`, the web server's Server-Sent
+// Events. A run that ends early is sent as "cancelled" or "error".
+function sseReporter(send) {
+  return engine => {
+    STEP_EVENTS.forEach(type => engine.on(type, (details = {}) => send(type, details)));
+    engine.on("finished", ({ interrupted, error }) => {
+      if (error) {
+        send("error", { error });
+      } else if (interrupted) {
+        send("cancelled");
+      }
+    });
+  };
+}
+
+// Appends every event to `file` as a line of JSON, to follow an unattended run
+// (tail -f) or look into it afterwards
+function logFileReporter(file) {
+  return engine => {
+    [...STEP_EVENTS, "batch", "finished"].forEach(type => engine.on(type, (details = {}) => {
+      const line = { type, at: new Date().toISOString(), jobId: engine.job.id, ...details };
+      fs.appendFileSync(file, JSON.stringify(line) + "\n");
+    }));
+  };
+}
+
+// Sends the notifications a long unattended job calls for through `notifier`
+// (lib/notifications.js): started, finished or failed, and the first time it
+// is rate limited or each time it has to wait for the next day's budget
+function notificationReporter(notifier) {
+  return engine => {
+    const job = { account: engine.deleter.account.id, jobId: engine.job.id, contentType: engine.type };
+    const notify = (event, details) => notifier.notify(event, { ...job, ...details });
+    let rateLimited = false;
+    let dailyUntil = null;
+
+    engine.on("job-started", ({ pending }) => notify(NotificationEvent.JOB_STARTED, { pending }));
+    engine.on("rate-limited", ({ until }) => {
+      if (!rateLimited) {
+        rateLimited = true;
+        notify(NotificationEvent.RATE_LIMITED, { until });
+      }
+    });
+    engine.on("waiting", ({ until, reason }) => {
+      if (/daily/i.test(reason) && until !== dailyUntil) {
+        dailyUntil = until;
+        notify(NotificationEvent.DAILY_LIMIT, { until, reason });
+      }
+    });
+    engine.on("finished", ({ deleted, failed, skipped, interrupted, error }) => {
+      notify(error ? NotificationEvent.JOB_FAILED : NotificationEvent.JOB_COMPLETED, { deleted, failed, skipped, interrupted, error });
+    });
+  };
+}
+
+module.exports = { STEP_EVENTS, progressBarReporter, sseReporter, logFileReporter, notificationReporter };
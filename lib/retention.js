@@ -0,0 +1,218 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { parseCron, nextRun } = require("./cron");
+const { isProcessAlive } = require("./file-lock");
+
+const DEFAULT_STATE_FILE = path.join(__dirname, "..", "retention_state.json");
+const DEFAULT_LOCK_FILE = path.join(__dirname, "..", "retention.lock");
+const MAX_TIMER_MS = 60 * 60 * 1000; // setTimeout overflows past ~24 days, so wake up hourly
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOCK_ATTEMPTS = 5; // Tries at taking over a stale lock before giving up
+
+// "Delete original posts older than RETENTION_DAYS", unless they did well enough to keep
+function retentionRuleFromEnv(env = process.env) {
+  const rule = {
+    and: [
+      { type: "olderThan", days: parseInt(env.RETENTION_DAYS) || 30 },
+      { type: "isReply", value: false },
+      { type: "isRetweet", value: false }
+    ]
+  };
+
+  const exemptions = [];
+  if (env.RETENTION_KEEP_MIN_LIKES) {
+    exemptions.push({ type: "likes", min: parseInt(env.RETENTION_KEEP_MIN_LIKES) });
+  }
+  if (env.RETENTION_KEEP_MIN_RETWEETS) {
+    exemptions.push({ type: "retweets", min: parseInt(env.RETENTION_KEEP_MIN_RETWEETS) });
+  }
+  if (exemptions.length > 0) {
+    rule.and.push({ not: { or: exemptions } });
+  }
+
+  return rule;
+}
+
+// Newest time a tweet can have and still match the rule's olderThan, or null if
+// it has none at the top level. Runs read the timeline backwards from there, so
+// an account posting more than a fetch's worth within the window still gets
+// its old tweets cleaned up.
+function retentionCutoff(rule, now = Date.now()) {
+  const days = (rule.and || [rule]).filter(condition => condition.type === "olderThan").map(condition => condition.days);
+  return days.length > 0 ? new Date(now - Math.max(...days) * DAY_MS) : null;
+}
+
+// PID lockfile so two schedulers never run against the same account at once
+class Lockfile {
+  constructor(filePath = DEFAULT_LOCK_FILE) {
+    this.filePath = filePath;
+    this.held = false;
+  }
+
+  async acquire() {
+    for (let attempt = 0; attempt < LOCK_ATTEMPTS; attempt++) {
+      try {
+        await fs.writeFile(this.filePath, String(process.pid), { flag: "wx" });
+        this.held = true;
+        return true;
+      } catch (error) {
+        if (error.code !== "EEXIST") {
+          throw error;
+        }
+      }
+
+      // Take over a lock left behind by a process that no longer exists
+      const owner = await this.owner();
+      if (owner && isProcessAlive(owner)) {
+        return false;
+      }
+      await fs.unlink(this.filePath).catch(() => {});
+    }
+    throw new Error(`Could not take over the stale lock ${this.filePath}`);
+  }
+
+  async owner() {
+    try {
+      return parseInt(await fs.readFile(this.filePath, "utf8")) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async isLocked() {
+    const owner = await this.owner();
+    return Boolean(owner && isProcessAlive(owner));
+  }
+
+  async release() {
+    if (this.held) {
+      this.held = false;
+      await fs.unlink(this.filePath).catch(() => {});
+    }
+  }
+}
+
+async function readState(stateFile = DEFAULT_STATE_FILE) {
+  try {
+    return JSON.parse(await fs.readFile(stateFile, "utf8"));
+  } catch (error) {
+    return {};
+  }
+}
+
+// Status for the web UI, readable whether or not the daemon runs in this process
+async function readRetentionStatus({ stateFile = DEFAULT_STATE_FILE, lockFile = DEFAULT_LOCK_FILE } = {}) {
+  const state = await readState(stateFile);
+  return {
+    schedule: state.schedule || process.env.RETENTION_SCHEDULE || null,
+    running: await new Lockfile(lockFile).isLocked(),
+    nextRun: state.nextRun || null,
+    lastRun: state.lastRun || null
+  };
+}
+
+// Standing retention policy: on every tick of the schedule, fetch recent tweets,
+// pick the ones the retention rule matches and queue them for deletion.
+class RetentionDaemon {
+  constructor(deleter, options = {}) {
+    this.deleter = deleter;
+    this.schedule = options.schedule || process.env.RETENTION_SCHEDULE || "0 3 * * *";
+    this.rule = options.rule || retentionRuleFromEnv();
+    this.stateFile = options.stateFile || DEFAULT_STATE_FILE;
+    this.lock = new Lockfile(options.lockFile);
+    this.stopped = false;
+
+    parseCron(this.schedule); // Fail fast on a bad expression
+  }
+
+  async saveState(changes) {
+    const state = { ...(await readState(this.stateFile)), schedule: this.schedule, ...changes };
+    await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2));
+  }
+
+  async withLock(task) {
+    if (!(await this.lock.acquire())) {
+      throw new Error(`Another scheduler is already running (lock: ${this.lock.filePath})`);
+    }
+
+    const release = () => this.lock.release().then(() => process.exit(0));
+    process.once("SIGINT", release);
+    process.once("SIGTERM", release);
+
+    try {
+      return await task();
+    } finally {
+      process.removeListener("SIGINT", release);
+      process.removeListener("SIGTERM", release);
+      await this.lock.release();
+    }
+  }
+
+  // The tweets the rule matches, read from the cutoff backwards
+  async fetchMatches() {
+    const until = retentionCutoff(this.rule);
+    return this.deleter.fetchUserTweets(this.deleter.plan.timeline.maxTweets, this.rule, until ? { until } : {});
+  }
+
+  async runOnce() {
+    const startedAt = new Date().toISOString();
+    console.log(`\n🗓️  Retention run started at ${startedAt}`);
+    await this.saveState({ currentRunStartedAt: startedAt });
+
+    let lastRun;
+    try {
+      const tweets = await this.fetchMatches();
+      let results = { deleted: 0, failed: 0, skipped: 0 };
+
+      if (tweets.length > 0) {
+        const job = await this.deleter.queue.createJob(tweets, "schedule", { startedBy: "retention daemon", rule: this.rule });
+        results = await this.deleter.deleteTweetsInBatches(tweets, job);
+      }
+
+      lastRun = { startedAt, finishedAt: new Date().toISOString(), matched: tweets.length, ...results };
+      console.log(`🗓️  Retention run finished: ${lastRun.matched} matched, ${lastRun.deleted} deleted`);
+    } catch (error) {
+      lastRun = { startedAt, finishedAt: new Date().toISOString(), error: error.message };
+      console.error("❌ Retention run failed:", error.message);
+    }
+
+    await this.saveState({ lastRun, currentRunStartedAt: null });
+    return lastRun;
+  }
+
+  // Dry run of the policy: what the next run would delete and when, without queueing anything
+  async preview() {
+    const tweets = await this.fetchMatches();
+    return this.deleter.simulateDeletion(tweets);
+  }
+
+  async waitUntil(time) {
+    while (!this.stopped && Date.now() < time) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(time - Date.now(), MAX_TIMER_MS)));
+    }
+  }
+
+  async start() {
+    return this.withLock(async () => {
+      // A restart mid-run leaves a queued job behind; finish it first
+      await this.deleter.resumeUnfinishedJobs("schedule");
+
+      while (!this.stopped) {
+        const next = nextRun(this.schedule);
+        await this.saveState({ nextRun: next.toISOString() });
+        console.log(`⏰ Next retention run: ${next.toLocaleString()} (${this.schedule})`);
+
+        await this.waitUntil(next);
+        if (!this.stopped) {
+          await this.runOnce();
+        }
+      }
+    });
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+}
+
+module.exports = { RetentionDaemon, Lockfile, retentionRuleFromEnv, readRetentionStatus };
@@ -0,0 +1,68 @@
+// What a failed API call means for the tweet it was about, and how long to
+// wait before trying a transient failure again.
+
+const ErrorKind = {
+  TRANSIENT: "transient",        // 5xx, timeouts, dropped connections: try again later
+  PERMANENT: "permanent",        // The API said no (not your tweet, bad request): trying again won't help
+  ALREADY_GONE: "already-gone",  // Deleted (or unliked...) already; nothing left to do
+  AUTH_REVOKED: "auth-revoked"   // The account's access is gone; every other call would fail too
+};
+
+// Node's codes for a connection that failed or was cut
+const NETWORK_CODES = ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "ENETUNREACH", "EHOSTUNREACH", "ENOTFOUND"];
+
+// twitter-api-v2 keeps the response on ApiResponseError (code = HTTP status,
+// data = the problem document) and the socket error on ApiRequestError
+function classifyError(error) {
+  const status = typeof error.code === "number" ? error.code : null;
+  const networkCode = (error.requestError && error.requestError.code) || (status === null ? error.code : null);
+  const data = error.data || {};
+  const problem = `${data.type || ""} ${data.title || ""} ${data.detail || ""} ${error.message || ""}`;
+
+  if (NETWORK_CODES.includes(networkCode) || (status === null && /socket hang up|network|timed? ?out/i.test(problem))) {
+    return ErrorKind.TRANSIENT;
+  }
+  if (status === 401 || (status === 403 && /unsupported-authentication|client-forbidden|token|suspended|locked/i.test(problem))) {
+    return ErrorKind.AUTH_REVOKED;
+  }
+  if (status === 404 || /resource-not-found|no status found/i.test(problem)) {
+    return ErrorKind.ALREADY_GONE;
+  }
+  if (status === 408 || (status >= 500 && status < 600)) {
+    return ErrorKind.TRANSIENT;
+  }
+  return ErrorKind.PERMANENT;
+}
+
+// RETRY_MAX_ATTEMPTS tries in all (default 4), the waits doubling from
+// RETRY_BASE_DELAY_SECONDS (default 5) up to RETRY_MAX_DELAY_SECONDS (default 300)
+function retryPolicy(env = process.env) {
+  const read = (name, fallback) => {
+    const value = Number(env[name]);
+    return env[name] !== undefined && env[name] !== "" && Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    maxAttempts: Math.max(1, Math.floor(read("RETRY_MAX_ATTEMPTS", 4))),
+    baseDelayMs: read("RETRY_BASE_DELAY_SECONDS", 5) * 1000,
+    maxDelayMs: read("RETRY_MAX_DELAY_SECONDS", 300) * 1000
+  };
+}
+
+// Wait before try number `attempt + 1`: exponential, with jitter so retries
+// from several processes don't land together (between half and all of the step)
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const step = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(step / 2 + (step / 2) * random());
+}
+
+// Stops a job when the account's access has been revoked; the job is left
+// paused with its remaining tweets queued, to resume after signing in again
+class AuthRevokedError extends Error {
+  constructor(message) {
+    super(`Access to the account was refused (${message}). Sign in again, then resume the job.`);
+    this.name = "AuthRevokedError";
+    this.kind = ErrorKind.AUTH_REVOKED;
+  }
+}
+
+module.exports = { ErrorKind, classifyError, retryPolicy, backoffDelay, AuthRevokedError };
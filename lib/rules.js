@@ -0,0 +1,67 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { DEFAULT_RULES, validateRule } = require("./filters");
+
+const DEFAULT_RULES_FILE = path.join(__dirname, "..", "rules.json");
+
+const hasRule = (rules, name) => Object.prototype.hasOwnProperty.call(rules, name);
+
+// Named selection rules, stored as { "<name>": rule } in rules.json
+class RuleStore {
+  constructor(filePath = process.env.TWEET_RULES_FILE || DEFAULT_RULES_FILE) {
+    this.filePath = filePath;
+  }
+
+  async list() {
+    try {
+      const content = await fs.readFile(this.filePath, "utf8");
+      return { ...DEFAULT_RULES, ...JSON.parse(content) };
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { ...DEFAULT_RULES };
+      }
+      throw error;
+    }
+  }
+
+  async get(name) {
+    const rules = await this.list();
+    if (!hasRule(rules, name)) {
+      throw new Error(`Unknown rule "${name}"`);
+    }
+    return rules[name];
+  }
+
+  async save(name, rule) {
+    validateRule(rule);
+    const rules = await this.readSaved();
+    rules[name] = rule;
+    await fs.writeFile(this.filePath, JSON.stringify(rules, null, 2));
+    return rule;
+  }
+
+  async remove(name) {
+    const rules = await this.readSaved();
+    if (!hasRule(rules, name)) {
+      return false;
+    }
+    delete rules[name];
+    await fs.writeFile(this.filePath, JSON.stringify(rules, null, 2));
+    return true;
+  }
+
+  // Only the user's own rules, without the built-in defaults. Without a prototype,
+  // so a rule named "__proto__" or "constructor" is stored like any other.
+  async readSaved() {
+    try {
+      return Object.assign(Object.create(null), JSON.parse(await fs.readFile(this.filePath, "utf8")));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return Object.create(null);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { RuleStore, DEFAULT_RULES_FILE };
@@ -0,0 +1,192 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { keywordMatcher } = require("./protect");
+
+const DEFAULT_SCAN_FILE = path.join(__dirname, "..", "scan.json");
+
+const DEFAULT_CONFIG = {
+  profanity: true,     // Built-in word list, plus extraProfanity
+  extraProfanity: [],  // More words; "word*" also matches anything starting with "word"
+  personalData: true,  // Phone numbers, email addresses and street addresses
+  deadLinks: true,     // Links to services that are gone, plus deadDomains
+  deadDomains: [],     // More domains that no longer work ("example.com" covers its subdomains)
+  terms: {},           // List name -> terms (substrings or "/pattern/flags"), or { weight, terms }
+  sentiment: false,    // Score the tone with the built-in word list
+  minScore: 20         // Tweets scoring at least this are suggested for deletion
+};
+
+const Category = {
+  PROFANITY: "profanity",
+  PERSONAL_DATA: "personal-data",
+  DEAD_LINK: "dead-link",
+  CUSTOM: "custom",
+  SENTIMENT: "sentiment"
+};
+
+const PROFANITY = [
+  "fuck*", "shit*", "bullshit", "bitch*", "bastard*", "asshole*", "arsehole*", "damn", "dammit", "crap",
+  "dick", "dickhead", "piss*", "cunt*", "slut*", "whore*", "wtf", "stfu", "bollocks", "douche*",
+  "jackass", "prick", "twat*", "wanker*", "motherfuck*"
+];
+
+// Link shorteners and sites that have shut down, so links to them are dead
+const DEAD_DOMAINS = [
+  "vine.co", "plus.google.com", "picasaweb.google.com", "goo.gl", "periscope.tv", "pscp.tv", "storify.com",
+  "posterous.com", "friendfeed.com", "path.com", "twitpic.com", "yfrog.com", "tinypic.com", "vid.me",
+  "gfycat.com", "mixer.com"
+];
+
+// A small tone word list in the style of AFINN: word -> -5 (very negative) .. 5
+const SENTIMENT = {
+  hate: -4, hated: -4, hating: -4, awful: -3, terrible: -3, horrible: -3, disgusting: -4, worst: -3,
+  stupid: -3, idiot: -4, idiots: -4, moron: -4, dumb: -3, pathetic: -3, useless: -2, loser: -3,
+  angry: -3, furious: -4, rage: -3, sucks: -3, suck: -3, kill: -3, die: -3, ugly: -3, trash: -3,
+  garbage: -3, liar: -3, lies: -2, fraud: -4, scam: -3, shame: -2, disgrace: -3, incompetent: -3,
+  annoying: -2, bad: -2, sad: -2, sick: -2, hell: -2, fail: -2, failed: -2, worthless: -3, crazy: -2,
+  love: 3, loved: 3, great: 3, awesome: 4, amazing: 4, happy: 3, thanks: 2, thank: 2, good: 2,
+  excellent: 3, wonderful: 4, beautiful: 3, proud: 2, fun: 3, excited: 3, glad: 3, best: 3, nice: 3
+};
+
+const WORD = /[\p{L}][\p{L}\p{N}'’]*/gu;
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi;
+const PHONE = /\+?\(?\d[\d\s().-]{7,}\d/g;
+const STREET = /\b\d{1,5}\s+(?:[A-Z][\w'-]*\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Place|Pl|Terrace|Way|Close|Square|Sq)\b\.?/g;
+const LINK = /https?:\/\/[^\s<>"']+/gi;
+// Dates and times, which would otherwise pass for phone numbers
+const DATE_TIME = /\b\d{4}[-/.]\d{1,2}[-/.]\d{1,2}\b|\b\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}\b|\b\d{1,2}:\d{2}\b/g;
+
+const words = text => (text.toLowerCase().match(WORD) || []).map(word => word.replace(/[’']s$/, ""));
+
+function wordMatcher(entry) {
+  const word = entry.toLowerCase();
+  return word.endsWith("*") ? token => token.startsWith(word.slice(0, -1)) : token => token === word;
+}
+
+// 9 to 15 digits, and not a number with thousands separators (1.000.000)
+function isPhoneNumber(candidate) {
+  const digits = candidate.replace(/\D/g, "").length;
+  return digits >= 9 && digits <= 15 && !/^\d{1,3}([.,\s]\d{3})+$/.test(candidate.trim());
+}
+
+function linkHosts(tweet) {
+  const urls = ((tweet.entities && tweet.entities.urls) || []).map(url => url.expanded_url || url.url);
+  const hosts = new Set();
+  [...urls, ...((tweet.text || "").match(LINK) || [])].forEach(url => {
+    try {
+      hosts.add(new URL(url).hostname.toLowerCase().replace(/^www\./, ""));
+    } catch (error) {
+      // Not a URL after all
+    }
+  });
+  return hosts;
+}
+
+// Flags tweets that could embarrass their author: profanity, personal data,
+// dead links, the user's own term lists and (optionally) a hostile tone.
+// Works offline; settings come from scan.json (see DEFAULT_CONFIG).
+class SensitiveScanner {
+  constructor(filePath = process.env.SCAN_CONFIG_FILE || DEFAULT_SCAN_FILE) {
+    this.filePath = filePath;
+    this.setConfig({});
+  }
+
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, "utf8");
+      this.setConfig(JSON.parse(content));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+      this.setConfig({});
+    }
+    return this.config;
+  }
+
+  setConfig(config) {
+    const merged = { ...DEFAULT_CONFIG, ...config };
+    merged.minScore = Number(merged.minScore) || 0;
+
+    this.profanity = [...PROFANITY, ...(merged.extraProfanity || [])].map(entry => ({ entry, test: wordMatcher(entry) }));
+    this.deadDomains = [...DEAD_DOMAINS, ...(merged.deadDomains || [])].map(domain => domain.toLowerCase());
+    this.termLists = Object.entries(merged.terms || {}).map(([name, list]) => {
+      const { weight = 30, terms = [] } = Array.isArray(list) ? { terms: list } : list;
+      return { name, weight: Number(weight), matchers: terms.map(term => ({ term, test: keywordMatcher(term) })) };
+    });
+    this.config = merged;
+  }
+
+  // { score, reasons: [{ category, detail, weight }] }; the score is capped at 100
+  scanTweet(tweet, { sentiment = this.config.sentiment } = {}) {
+    const text = tweet.text || "";
+    const reasons = [];
+    const add = (category, detail, weight) => reasons.push({ category, detail, weight });
+
+    if (this.config.profanity) {
+      const tokens = words(text);
+      const found = this.profanity.filter(({ test }) => tokens.some(test)).map(({ entry }) => entry.replace(/\*$/, ""));
+      if (found.length > 0) {
+        add(Category.PROFANITY, `Profanity: ${found.join(", ")}`, Math.min(50, 25 * found.length));
+      }
+    }
+
+    if (this.config.personalData) {
+      const emails = text.match(EMAIL) || [];
+      const rest = text.replace(EMAIL, " ").replace(LINK, " ");
+      const phones = (rest.replace(DATE_TIME, " ").match(PHONE) || []).filter(isPhoneNumber);
+      const streets = rest.match(STREET) || [];
+      if (emails.length > 0) add(Category.PERSONAL_DATA, `Email address: ${emails.join(", ")}`, 35);
+      if (phones.length > 0) add(Category.PERSONAL_DATA, `Phone number: ${phones.map(phone => phone.trim()).join(", ")}`, 35);
+      if (streets.length > 0) add(Category.PERSONAL_DATA, `Street address: ${streets.join(", ")}`, 30);
+    }
+
+    if (this.config.deadLinks) {
+      const dead = [...linkHosts(tweet)].filter(host => this.deadDomains.some(domain => host === domain || host.endsWith(`.${domain}`)));
+      if (dead.length > 0) {
+        add(Category.DEAD_LINK, `Link to a dead site: ${dead.join(", ")}`, Math.min(40, 20 * dead.length));
+      }
+    }
+
+    this.termLists.forEach(({ name, weight, matchers }) => {
+      const found = matchers.filter(({ test }) => test(text)).map(({ term }) => term);
+      if (found.length > 0) {
+        add(Category.CUSTOM, `Term list "${name}": ${found.join(", ")}`, weight);
+      }
+    });
+
+    if (sentiment) {
+      const scored = words(text).filter(word => SENTIMENT[word] !== undefined);
+      const tone = scored.reduce((sum, word) => sum + SENTIMENT[word], 0);
+      if (tone <= -3) {
+        const negative = [...new Set(scored.filter(word => SENTIMENT[word] < 0))];
+        add(Category.SENTIMENT, `Negative tone (${tone}): ${negative.join(", ")}`, Math.min(40, 4 * -tone));
+      }
+    }
+
+    return { score: Math.min(100, reasons.reduce((sum, reason) => sum + reason.weight, 0)), reasons };
+  }
+
+  // The tweets scoring at least minScore, highest score first (oldest first on
+  // a tie), each with its score, reasons and a one-line `reason`
+  scan(tweets, { minScore = this.config.minScore, sentiment = this.config.sentiment } = {}) {
+    const flagged = [];
+    tweets.forEach(tweet => {
+      const { score, reasons } = this.scanTweet(tweet, { sentiment });
+      if (reasons.length > 0 && score >= minScore) {
+        flagged.push({
+          id: tweet.id,
+          text: tweet.text,
+          created_at: tweet.created_at,
+          score,
+          reason: reasons.map(reason => reason.detail).join("; "),
+          reasons,
+          ...(tweet.protected ? { protected: tweet.protected } : {})
+        });
+      }
+    });
+    flagged.sort((a, b) => b.score - a.score || new Date(a.created_at) - new Date(b.created_at));
+    return { scanned: tweets.length, minScore, flagged };
+  }
+}
+
+module.exports = { SensitiveScanner, Category, DEFAULT_SCAN_FILE };
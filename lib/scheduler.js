@@ -0,0 +1,186 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { withFileLock, writeFileAtomic } = require("./file-lock");
+
+const DEFAULT_BUDGET_FILE = path.join(__dirname, "..", "rate_budget.json");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const Endpoints = {
+  DELETE_TWEET: "DELETE /2/tweets/:id",
+  USER_TIMELINE: "GET /2/users/:id/tweets",
+  LIKED_TWEETS: "GET /2/users/:id/liked_tweets",
+  UNLIKE: "DELETE /2/users/:id/likes/:id",
+  UNRETWEET: "DELETE /2/users/:id/retweets/:id",
+  BOOKMARKS: "GET /2/users/:id/bookmarks",
+  DELETE_BOOKMARK: "DELETE /2/users/:id/bookmarks/:id"
+};
+
+// Tweet deletions have always been counted in `deletions`; unlikes, unretweets
+// and bookmark removals each get their own rolling budget in `budgets`
+const DEFAULT_BUCKET = "tweets";
+
+function bucketName(budget) {
+  return budget === true ? DEFAULT_BUCKET : budget;
+}
+
+function budgetTimes(state, bucket) {
+  if (bucket === DEFAULT_BUCKET) {
+    return state.deletions;
+  }
+  state.budgets[bucket] = state.budgets[bucket] || [];
+  return state.budgets[bucket];
+}
+
+// "/2/users/1234567/tweets" -> "/2/users/:id/tweets", so limits are tracked per endpoint, not per tweet
+function endpointKey(method, url) {
+  const pathname = new URL(url).pathname.replace(/\/\d{4,}(?=\/|$)/g, "/:id");
+  return `${method.toUpperCase()} ${pathname}`;
+}
+
+// Single source of truth for when the next API call may be sent. State lives
+// on disk so the CLI and the web server share one rolling 24-hour deletion
+// budget and see each other's rate-limit headers.
+class RateLimitScheduler {
+  constructor(plan, filePath = process.env.RATE_BUDGET_FILE || DEFAULT_BUDGET_FILE) {
+    this.plan = plan;
+    this.filePath = filePath;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      const state = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      return { deletions: [], budgets: {}, endpoints: {}, ...state };
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { deletions: [], budgets: {}, endpoints: {} };
+      }
+      throw error;
+    }
+  }
+
+  // Read-modify-write under a lockfile, so other processes sharing the file
+  // wait their turn; calls within this process are queued as well
+  update(mutate) {
+    const result = this.pendingWrite.then(() => withFileLock(this.filePath, async () => {
+      const state = await this.read();
+      const value = mutate(state);
+      state.deletions = state.deletions.filter(time => time > Date.now() - DAY_MS);
+      Object.keys(state.budgets).forEach(bucket => {
+        state.budgets[bucket] = state.budgets[bucket].filter(time => time > Date.now() - DAY_MS);
+      });
+      await writeFileAtomic(this.filePath, JSON.stringify(state, null, 2));
+      return value;
+    }));
+    this.pendingWrite = result.catch(() => {});
+    return result;
+  }
+
+  // twitter-api-v2 plugin that records the rate-limit headers of every response
+  plugin() {
+    return {
+      onAfterRequest: async ({ url, params, response }) => {
+        if (response.rateLimit) {
+          await this.recordRateLimit(endpointKey(params.method, url.toString()), response.rateLimit);
+        }
+      }
+    };
+  }
+
+  async recordRateLimit(endpoint, rateLimit) {
+    return this.update(state => {
+      state.endpoints[endpoint] = rateLimit;
+    });
+  }
+
+  // A 429 blocks the endpoint until its reset, or for the plan's fallback when Twitter doesn't say
+  async recordRateLimited(endpoint, error) {
+    const fallbackReset = Math.ceil((Date.now() + this.plan.deletions.fallbackWaitMinutes * 60 * 1000) / 1000);
+    const rateLimit = error.rateLimit || {};
+    const day = rateLimit.day && rateLimit.day.remaining === 0 ? rateLimit.day : null;
+
+    return this.update(state => {
+      state.endpoints[endpoint] = {
+        ...rateLimit,
+        remaining: 0,
+        reset: day ? day.reset : rateLimit.reset || fallbackReset
+      };
+    });
+  }
+
+  // Earliest time the endpoint may be called, and why we'd have to wait until then.
+  // `budget` is true for tweet deletions or the name of another budget bucket.
+  // `now` can be moved forward to simulate a run without waiting (see dry runs).
+  nextSendTime(state, endpoint, { budget = false, now = Date.now() } = {}) {
+    let at = now;
+    let reason = null;
+
+    const later = (time, why) => {
+      if (time > at) {
+        at = time;
+        reason = why;
+      }
+    };
+
+    const limit = state.endpoints[endpoint];
+    if (limit && limit.remaining === 0 && limit.reset) {
+      later(limit.reset * 1000, "API rate limit");
+    }
+    if (limit && limit.day && limit.day.remaining === 0 && limit.day.reset) {
+      later(limit.day.reset * 1000, "API daily limit");
+    }
+
+    if (budget) {
+      const { perDay, minDelaySeconds } = this.plan.deletions;
+      const recent = budgetTimes(state, bucketName(budget)).filter(time => time > now - DAY_MS);
+      if (recent.length > 0) {
+        later(recent[recent.length - 1] + minDelaySeconds * 1000, "pacing between deletions");
+      }
+      if (recent.length >= perDay) {
+        later(recent[recent.length - perDay] + DAY_MS, `daily budget of ${perDay} deletions`);
+      }
+    }
+
+    return { at: new Date(at), reason };
+  }
+
+  // Wait until a call is allowed, then claim it. Deletions also claim a slot in
+  // the 24-hour budget; the check and the claim happen in one locked update, so
+  // two processes can't both take the last slot.
+  async acquire(endpoint, { budget = false, wait } = {}) {
+    while (true) {
+      const next = await this.update(state => {
+        const slot = this.nextSendTime(state, endpoint, { budget });
+        if (slot.at.getTime() <= Date.now()) {
+          if (budget) budgetTimes(state, bucketName(budget)).push(Date.now());
+          return null;
+        }
+        return slot;
+      });
+
+      if (!next) {
+        return;
+      }
+      await wait(next.at, next.reason);
+    }
+  }
+
+  // Budget and next slot for tweet deletions, or for another endpoint and bucket
+  async status({ endpoint = Endpoints.DELETE_TWEET, bucket = DEFAULT_BUCKET } = {}) {
+    const state = await this.read();
+    const now = Date.now();
+    const used = budgetTimes(state, bucket).filter(time => time > now - DAY_MS).length;
+    const next = this.nextSendTime(state, endpoint, { budget: bucket });
+
+    return {
+      plan: this.plan.name,
+      perDay: this.plan.deletions.perDay,
+      usedToday: used,
+      remainingToday: Math.max(0, this.plan.deletions.perDay - used),
+      nextDeletionAt: next.at.toISOString(),
+      waitingFor: next.reason
+    };
+  }
+}
+
+module.exports = { RateLimitScheduler, Endpoints, endpointKey, budgetTimes, DEFAULT_BUDGET_FILE, DEFAULT_BUCKET };
@@ -0,0 +1,171 @@
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const crypto = require("crypto");
+
+// Just enough SMTP to hand a plain-text message to a mail server: EHLO,
+// STARTTLS (or TLS from the start on port 465), AUTH PLAIN, MAIL, RCPT, DATA.
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP server ${host}:${port} timed out`)));
+    socket.once(secure ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+// One conversation with the server: commands go out one at a time and each
+// reply (possibly several "250-" lines) is read back in order
+class SmtpSession {
+  constructor(socket) {
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+    this.listen(socket);
+  }
+
+  listen(socket) {
+    this.socket = socket;
+    let buffer = "";
+    let lines = [];
+    socket.on("data", chunk => {
+      buffer += chunk.toString("utf8");
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        lines.push(line);
+        if (line[3] !== "-") {
+          this.deliver({ code: Number(line.slice(0, 3)), text: lines.map(part => part.slice(4)).join("\n") });
+          lines = [];
+        }
+      }
+    });
+    socket.on("error", error => this.fail(error));
+    socket.on("close", () => this.fail(new Error("SMTP server closed the connection")));
+  }
+
+  deliver(reply) {
+    if (this.waiting) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve(reply);
+    } else {
+      this.replies.push(reply);
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  read() {
+    if (this.replies.length > 0) {
+      return Promise.resolve(this.replies.shift());
+    }
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  // Send `line` (if any) and check the reply code. Errors name only the
+  // command, so AUTH never ends up in a log.
+  async expect(codes, line) {
+    if (line !== undefined) {
+      this.socket.write(`${line}\r\n`);
+    }
+    const reply = await this.read();
+    if (![].concat(codes).includes(reply.code)) {
+      const command = line === undefined ? "greeting" : line.split(/[ :]/)[0];
+      throw new Error(`SMTP ${command} refused: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  }
+
+  // Switch the connection to TLS after STARTTLS
+  upgrade(host) {
+    const plain = this.socket;
+    plain.removeAllListeners("data");
+    plain.removeAllListeners("close");
+    return new Promise((resolve, reject) => {
+      const secure = tls.connect({ socket: plain, servername: host }, () => resolve());
+      secure.once("error", reject);
+      this.listen(secure);
+    });
+  }
+}
+
+// =?UTF-8?B?...?= for headers that aren't plain ASCII
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+function formatMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body
+  ].join("\r\n");
+}
+
+const isLocal = host => ["localhost", "127.0.0.1", "::1"].includes(host);
+
+// `to` is one address or a comma-separated list. A password is only ever sent
+// over TLS, except to a server on this machine.
+async function sendMail({ host, port = 587, secure, user, pass, from, to, subject, text, timeoutMs = 30000 }) {
+  if (!host || !from || !to) {
+    throw new Error("Email needs an SMTP host, a from address and a to address");
+  }
+  const recipients = String(to).split(",").map(address => address.trim()).filter(Boolean);
+  const useTls = secure ?? Number(port) === 465;
+  const session = new SmtpSession(await connect({ host, port: Number(port), secure: useTls, timeoutMs }));
+
+  try {
+    await session.expect(220);
+    const hello = `EHLO ${os.hostname()}`;
+    const features = await session.expect(250, hello);
+    let encrypted = useTls;
+    if (!encrypted && /^STARTTLS\b/mi.test(features.text)) {
+      await session.expect(220, "STARTTLS");
+      await session.upgrade(host);
+      await session.expect(250, hello);
+      encrypted = true;
+    }
+
+    if (user) {
+      if (!encrypted && !isLocal(host)) {
+        throw new Error(`${host} doesn't offer TLS; not sending the SMTP password in the clear`);
+      }
+      await session.expect(235, `AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ""}`).toString("base64")}`);
+    }
+
+    await session.expect(250, `MAIL FROM:<${from}>`);
+    for (const recipient of recipients) {
+      await session.expect([250, 251], `RCPT TO:<${recipient}>`);
+    }
+    await session.expect(354, "DATA");
+    await session.expect(250, `${formatMessage({ from, to: recipients, subject, text })}\r\n.`);
+    await session.expect(221, "QUIT").catch(() => {});
+  } finally {
+    session.socket.end();
+  }
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,144 @@
+// Self-threads: our own tweets replying to each other. Shared by the deleter
+// (which removes replies before the tweets they reply to) and the browser,
+// where it is loaded as window.TweetThreads.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TweetThreads = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // The tweet this one replies to. Queue items keep it as `parent_id`.
+  function parentId(tweet) {
+    if (tweet.parent_id) {
+      return tweet.parent_id;
+    }
+    const reference = (tweet.referenced_tweets || []).find(ref => ref.type === "replied_to");
+    return reference ? reference.id : null;
+  }
+
+  // Threads among `tweets`: chains of at least two of them linked by replies.
+  // Returns { threads, threadOf } where each thread is { id, conversationId,
+  // members } with `members` in reading order ({ tweet, depth }, depth 0 being
+  // the tweet that starts the thread) and threadOf maps tweet id -> thread.
+  function buildThreads(tweets) {
+    const byId = new Map(tweets.map(tweet => [tweet.id, tweet]));
+    const children = new Map();
+    tweets.forEach(tweet => {
+      const parent = parentId(tweet);
+      if (parent && byId.has(parent)) {
+        children.set(parent, (children.get(parent) || []).concat(tweet));
+      }
+    });
+
+    const threads = [];
+    const threadOf = new Map();
+    tweets.forEach(tweet => {
+      const parent = parentId(tweet);
+      if ((parent && byId.has(parent)) || !children.has(tweet.id)) {
+        return; // Not the start of a thread
+      }
+
+      const thread = { id: tweet.id, conversationId: tweet.conversation_id || tweet.id, members: [] };
+      const visit = (member, depth) => {
+        thread.members.push({ tweet: member, depth });
+        threadOf.set(member.id, thread);
+        (children.get(member.id) || [])
+          .slice()
+          .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+          .forEach(child => visit(child, depth + 1));
+      };
+      visit(tweet, 0);
+      threads.push(thread);
+    });
+
+    return { threads, threadOf };
+  }
+
+  // `tweetId` and every reply below it in its thread ("from here down")
+  function descendantIds(thread, tweetId) {
+    const start = thread.members.findIndex(member => member.tweet.id === tweetId);
+    if (start === -1) {
+      return [];
+    }
+    const ids = [tweetId];
+    for (let i = start + 1; i < thread.members.length && thread.members[i].depth > thread.members[start].depth; i++) {
+      ids.push(thread.members[i].tweet.id);
+    }
+    return ids;
+  }
+
+  // Deletion order: each thread's replies before the tweets they reply to
+  // (deepest first), at the place of the thread's first tweet in `tweets`.
+  // Tweets outside threads keep their order.
+  function orderLeafFirst(tweets) {
+    const { threadOf } = buildThreads(tweets);
+    const ordered = [];
+    const placed = new Set();
+    tweets.forEach(tweet => {
+      const thread = threadOf.get(tweet.id);
+      if (!thread) {
+        ordered.push(tweet);
+      } else if (!placed.has(thread)) {
+        placed.add(thread);
+        thread.members
+          .map((member, index) => ({ ...member, index }))
+          .sort((a, b) => b.depth - a.depth || b.index - a.index)
+          .forEach(member => ordered.push(member.tweet));
+      }
+    });
+    return ordered;
+  }
+
+  // Rows for a list that shows each thread once, where its first tweet would
+  // be: collapsed as that one tweet, or expanded into all of its members.
+  // Rows are { tweet, depth, thread }; thread is null outside threads.
+  function threadedRows(tweets, { threadOf }, expanded = new Set()) {
+    const rows = [];
+    const shown = new Set();
+    tweets.forEach(tweet => {
+      const thread = threadOf.get(tweet.id);
+      if (!thread) {
+        rows.push({ tweet, depth: 0, thread: null });
+        return;
+      }
+      if (shown.has(thread.id)) {
+        return;
+      }
+      shown.add(thread.id);
+      const members = expanded.has(thread.id) ? thread.members : thread.members.slice(0, 1);
+      members.forEach(({ tweet: member, depth }) => rows.push({ tweet: member, depth, thread }));
+    });
+    return rows;
+  }
+
+  // Tracks, during a deletion, which tweets must stay up so no reply is left
+  // hanging: a reply that wasn't deleted (it failed, was protected or was
+  // taken out of the job) keeps every tweet above it.
+  class ThreadGuard {
+    constructor(items = []) {
+      this.parents = new Map();
+      items.forEach(item => {
+        const parent = parentId(item);
+        if (parent) this.parents.set(item.id, parent);
+      });
+      this.keptFor = new Map(); // tweet id -> the reply below it that stays
+    }
+
+    keep(tweetId) {
+      let parent = this.parents.get(tweetId);
+      while (parent && !this.keptFor.has(parent)) {
+        this.keptFor.set(parent, tweetId);
+        parent = this.parents.get(parent);
+      }
+    }
+
+    // Why `tweetId` must not be deleted, or null
+    reason(tweetId) {
+      const reply = this.keptFor.get(tweetId);
+      return reply ? `Reply ${reply} further down the thread is staying up` : null;
+    }
+  }
+
+  return { parentId, buildThreads, descendantIds, orderLeafFirst, threadedRows, ThreadGuard };
+});
@@ -0,0 +1,121 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { withFileLock, writeFileAtomic } = require("./file-lock");
+
+const DEFAULT_TOKEN_FILE = path.join(__dirname, "..", "oauth_tokens.enc");
+const ALGORITHM = "aes-256-gcm";
+
+// TOKEN_ENCRYPTION_KEY if set; otherwise a random key generated on first use
+// and kept next to the token file, readable only by this user
+function loadKey(keyFile) {
+  if (process.env.TOKEN_ENCRYPTION_KEY) {
+    return crypto.scryptSync(process.env.TOKEN_ENCRYPTION_KEY, "deletweet-token-store", 32);
+  }
+
+  try {
+    return Buffer.from(fsSync.readFileSync(keyFile, "utf8").trim(), "hex");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+
+  // Written in full to a temp file and then linked into place, so a process
+  // starting at the same time either wins or reads the complete key that did
+  const key = crypto.randomBytes(32);
+  const tmpFile = `${keyFile}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  fsSync.writeFileSync(tmpFile, key.toString("hex"), { mode: 0o600, flag: "wx" });
+  try {
+    fsSync.linkSync(tmpFile, keyFile);
+    return key;
+  } catch (error) {
+    if (error.code !== "EEXIST") {
+      throw error;
+    }
+    return Buffer.from(fsSync.readFileSync(keyFile, "utf8").trim(), "hex");
+  } finally {
+    fsSync.unlinkSync(tmpFile);
+  }
+}
+
+// OAuth 2.0 tokens per account, encrypted at rest with AES-256-GCM.
+// Stored as one encrypted { "<account id>": { accessToken, refreshToken, expiresAt, scope } }.
+class TokenStore {
+  constructor(filePath = process.env.TWITTER_TOKEN_FILE || DEFAULT_TOKEN_FILE) {
+    this.filePath = filePath;
+    this.keyFile = `${filePath}.key`;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  key() {
+    if (!this.cachedKey) {
+      this.cachedKey = loadKey(this.keyFile);
+    }
+    return this.cachedKey;
+  }
+
+  async read() {
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      throw error;
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.key(), Buffer.from(content.iv, "base64"));
+      decipher.setAuthTag(Buffer.from(content.tag, "base64"));
+      const plain = Buffer.concat([decipher.update(Buffer.from(content.data, "base64")), decipher.final()]);
+      return JSON.parse(plain.toString("utf8"));
+    } catch (error) {
+      throw new Error(`Cannot decrypt ${this.filePath}; was TOKEN_ENCRYPTION_KEY changed?`);
+    }
+  }
+
+  async write(tokens) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(tokens), "utf8"), cipher.final()]);
+    const content = { version: 1, iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+
+    await writeFileAtomic(this.filePath, JSON.stringify(content), { mode: 0o600 });
+  }
+
+  // The CLI and the web server share the token file, so updates hold its lock
+  update(mutate) {
+    const result = this.pendingWrite.then(() => withFileLock(this.filePath, async () => {
+      const tokens = await this.read();
+      const value = mutate(tokens);
+      await this.write(tokens);
+      return value;
+    }));
+    this.pendingWrite = result.catch(() => {});
+    return result;
+  }
+
+  async get(accountId) {
+    return (await this.read())[accountId] || null;
+  }
+
+  async set(accountId, tokens) {
+    return this.update(all => {
+      all[accountId] = tokens;
+      return tokens;
+    });
+  }
+
+  async remove(accountId) {
+    return this.update(all => {
+      const existed = Boolean(all[accountId]);
+      delete all[accountId];
+      return existed;
+    });
+  }
+}
+
+module.exports = { TokenStore };
@@ -0,0 +1,203 @@
+// Aggregates over the loaded tweets for the web UI's analytics view: posting
+// frequency, engagement distribution, top and bottom performers, and word and
+// hashtag counts. The server computes them (GET /api/stats); the browser loads
+// this file as window.TweetStats to turn a clicked chart segment back into
+// the tweets it stands for.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TweetStats = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const metric = (tweet, name) => (tweet.public_metrics && tweet.public_metrics[name]) || 0;
+  const time = tweet => new Date(tweet.created_at).getTime() || 0;
+
+  // Likes, retweets, replies and quotes together
+  function engagement(tweet) {
+    return metric(tweet, "like_count") + metric(tweet, "retweet_count") + metric(tweet, "reply_count") + metric(tweet, "quote_count");
+  }
+
+  // Lower bounds of the engagement distribution's buckets
+  const ENGAGEMENT_EDGES = [0, 1, 5, 10, 25, 50, 100, 500, 1000];
+
+  // Too common to say anything about a tweet
+  const STOP_WORDS = new Set((
+    "the and for are but not you your yours with this that these those from have has had was were will would " +
+    "can could should what when where which who whom why how all any both each few more most other some such " +
+    "than too very just don doesn didn isn aren wasn weren won its it's i'm i've i'll i'd you're we're they're " +
+    "our ours their theirs them they she her his him himself herself itself about into over after before then " +
+    "there here out off again once also only own same because while until being been does did doing get got " +
+    "one two amp via http https www com"
+  ).split(" "));
+
+  const URL = /https?:\/\/\S+/g;
+  const MENTION = /@\w+/g;
+  const HASHTAG = /#([\p{L}\p{N}_]+)/gu;
+  const WORD = /\p{L}[\p{L}\p{N}'’]*/gu;
+
+  // Distinct hashtags (without #) and words (3+ letters, no stop words,
+  // links, mentions or hashtags) of a tweet, lowercased
+  function terms(tweet) {
+    const text = (tweet.text || "").toLowerCase().replace(URL, " ").replace(MENTION, " ");
+    const hashtags = new Set(Array.from(text.matchAll(HASHTAG), match => match[1]));
+    const words = new Set((text.replace(HASHTAG, " ").match(WORD) || [])
+      .map(word => word.replace(/[’']s$/, ""))
+      .filter(word => word.length >= 3 && !STOP_WORDS.has(word)));
+    return { words, hashtags };
+  }
+
+  // day, week (from Monday) or month, in UTC
+  function periodStart(timestamp, bucket) {
+    const date = new Date(timestamp);
+    if (bucket === "month") {
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    }
+    const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    return bucket === "week" ? day - ((date.getUTCDay() + 6) % 7) * DAY_MS : day;
+  }
+
+  function nextPeriod(start, bucket) {
+    if (bucket === "month") {
+      const date = new Date(start);
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    }
+    return start + (bucket === "week" ? 7 : 1) * DAY_MS;
+  }
+
+  // Days for up to two months of tweets, weeks for up to two years, months beyond
+  function autoBucket(first, last) {
+    const span = last - first;
+    if (span <= 62 * DAY_MS) return "day";
+    return span <= 2 * 366 * DAY_MS ? "week" : "month";
+  }
+
+  // Tweets per period, empty periods included so the chart shows gaps
+  function postingFrequency(tweets, bucket = "auto") {
+    const times = tweets.map(time).filter(Boolean);
+    if (times.length === 0) {
+      return { bucket: bucket === "auto" ? "day" : bucket, periods: [] };
+    }
+    const first = times.reduce((a, b) => Math.min(a, b));
+    const last = times.reduce((a, b) => Math.max(a, b));
+    if (bucket === "auto") {
+      bucket = autoBucket(first, last);
+    }
+
+    const counts = new Map();
+    times.forEach(timestamp => {
+      const start = periodStart(timestamp, bucket);
+      counts.set(start, (counts.get(start) || 0) + 1);
+    });
+    const periods = [];
+    for (let start = periodStart(first, bucket); start <= last; start = nextPeriod(start, bucket)) {
+      const from = new Date(start).toISOString();
+      const to = new Date(nextPeriod(start, bucket)).toISOString();
+      periods.push({
+        label: bucket === "month" ? from.slice(0, 7) : from.slice(0, 10),
+        count: counts.get(start) || 0,
+        segment: { type: "period", from, to }
+      });
+    }
+    return { bucket, periods };
+  }
+
+  function engagementDistribution(tweets) {
+    return ENGAGEMENT_EDGES.map((min, index) => {
+      const next = ENGAGEMENT_EDGES[index + 1];
+      const max = next === undefined ? null : next - 1;
+      return {
+        label: max === null ? `${min}+` : min === max ? String(min) : `${min}–${max}`,
+        count: tweets.filter(tweet => engagement(tweet) >= min && (max === null || engagement(tweet) <= max)).length,
+        segment: { type: "engagement", min, max }
+      };
+    });
+  }
+
+  function performer(tweet) {
+    return {
+      id: tweet.id,
+      text: (tweet.text || "").slice(0, 140),
+      created_at: tweet.created_at,
+      engagement: engagement(tweet),
+      segment: { type: "ids", ids: [tweet.id] }
+    };
+  }
+
+  // Most engaging first (newest first on a tie), and least engaging first
+  // (oldest first on a tie)
+  function performers(tweets, count) {
+    const ranked = tweets
+      .map(tweet => ({ tweet, engagement: engagement(tweet), time: time(tweet) }))
+      .sort((a, b) => b.engagement - a.engagement || b.time - a.time)
+      .map(entry => entry.tweet);
+    const top = ranked.slice(0, count);
+    const bottom = ranked.slice(Math.max(count, ranked.length - count)).reverse();
+    return { top: top.map(performer), bottom: bottom.map(performer) };
+  }
+
+  // Terms by how many tweets use them
+  function termFrequency(tweets, limit) {
+    const words = new Map();
+    const hashtags = new Map();
+    const count = (counts, term) => counts.set(term, (counts.get(term) || 0) + 1);
+    tweets.forEach(tweet => {
+      const found = terms(tweet);
+      found.words.forEach(word => count(words, word));
+      found.hashtags.forEach(tag => count(hashtags, tag));
+    });
+    const ranked = (counts, type) => Array.from(counts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([term, uses]) => ({ term, count: uses, segment: { type, term } }));
+    return { words: ranked(words, "word"), hashtags: ranked(hashtags, "hashtag") };
+  }
+
+  // Everything the analytics view shows. `bucket`: auto, day, week or month;
+  // `top`: how many top and bottom performers; `terms`: how many words and hashtags.
+  function computeStats(tweets, { bucket = "auto", top = 10, terms: termLimit = 20 } = {}) {
+    const engagements = tweets.map(engagement).sort((a, b) => a - b);
+    const total = engagements.reduce((sum, value) => sum + value, 0);
+    return {
+      count: tweets.length,
+      engagement: {
+        total,
+        average: tweets.length > 0 ? Math.round((total / tweets.length) * 10) / 10 : 0,
+        median: tweets.length > 0 ? engagements[Math.floor((engagements.length - 1) / 2)] : 0
+      },
+      frequency: postingFrequency(tweets, bucket),
+      distribution: engagementDistribution(tweets),
+      ...performers(tweets, top),
+      ...termFrequency(tweets, termLimit)
+    };
+  }
+
+  // The tweets behind a chart segment: { type: period, from, to } (to excluded),
+  // { type: engagement, min, max } (max null for no upper bound),
+  // { type: word | hashtag, term } or { type: ids, ids }
+  function segmentMatcher(segment) {
+    switch (segment.type) {
+      case "period": {
+        const from = Date.parse(segment.from);
+        const to = Date.parse(segment.to);
+        return tweet => time(tweet) >= from && time(tweet) < to;
+      }
+      case "engagement":
+        return tweet => engagement(tweet) >= segment.min && (segment.max === null || engagement(tweet) <= segment.max);
+      case "word":
+        return tweet => terms(tweet).words.has(segment.term);
+      case "hashtag":
+        return tweet => terms(tweet).hashtags.has(segment.term);
+      case "ids": {
+        const ids = new Set(segment.ids);
+        return tweet => ids.has(tweet.id);
+      }
+      default:
+        throw new Error(`Unknown chart segment "${segment.type}"`);
+    }
+  }
+
+  return { BUCKETS: ["auto", "day", "week", "month"], engagement, terms, computeStats, segmentMatcher };
+});
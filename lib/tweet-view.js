@@ -0,0 +1,119 @@
+// Searching, filtering, sorting and windowing the loaded tweets, for the web
+// UI's tweet browser. Loaded by the browser as window.TweetView; plain
+// functions so they can be tested under Node as well.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TweetView = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const metric = name => tweet => (tweet.public_metrics && tweet.public_metrics[name]) || 0;
+  const time = tweet => new Date(tweet.created_at).getTime() || 0;
+
+  // name -> [label, key, direction]
+  const SORTS = {
+    newest: ["Newest first", time, -1],
+    oldest: ["Oldest first", time, 1],
+    "most-liked": ["Most liked", metric("like_count"), -1],
+    "least-liked": ["Least liked", metric("like_count"), 1],
+    "most-retweeted": ["Most retweeted", metric("retweet_count"), -1],
+    "least-retweeted": ["Least retweeted", metric("retweet_count"), 1]
+  };
+
+  // Words and "quoted phrases", all of which must appear (case-insensitively)
+  function searchTerms(query) {
+    const terms = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query || "")) !== null) {
+      terms.push((match[1] || match[2]).toLowerCase());
+    }
+    return terms;
+  }
+
+  function matchesSearch(tweet, terms) {
+    const text = (tweet.text || "").toLowerCase();
+    return terms.every(term => text.includes(term) || tweet.id === term);
+  }
+
+  const isSet = value => value !== undefined && value !== null && value !== "";
+
+  // A bare date from a date input is a day in the viewer's own time zone
+  const startOfDay = date => new Date(/^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00` : date).getTime();
+
+  // `filters`: { query, from, to, minLikes, maxLikes, minRetweets, maxRetweets }.
+  // from/to are dates ("2023-01-31"); both days are included.
+  function filterTweets(tweets, filters = {}) {
+    const terms = searchTerms(filters.query);
+    const from = isSet(filters.from) ? startOfDay(filters.from) : null;
+    const to = isSet(filters.to) ? startOfDay(filters.to) + DAY_MS : null;
+    const inRange = (value, min, max) => (!isSet(min) || value >= Number(min)) && (!isSet(max) || value <= Number(max));
+
+    return tweets.filter(tweet =>
+      (terms.length === 0 || matchesSearch(tweet, terms)) &&
+      (from === null || time(tweet) >= from) &&
+      (to === null || time(tweet) < to) &&
+      inRange(metric("like_count")(tweet), filters.minLikes, filters.maxLikes) &&
+      inRange(metric("retweet_count")(tweet), filters.minRetweets, filters.maxRetweets)
+    );
+  }
+
+  // A sorted copy; ties keep the API's order
+  function sortTweets(tweets, sort = "newest") {
+    const [, key, direction] = SORTS[sort] || SORTS.newest;
+    return tweets
+      .map((tweet, index) => ({ tweet, index, value: key(tweet) }))
+      .sort((a, b) => (a.value - b.value) * direction || a.index - b.index)
+      .map(entry => entry.tweet);
+  }
+
+  function viewTweets(tweets, { sort, ...filters } = {}) {
+    return sortTweets(filterTweets(tweets, filters), sort);
+  }
+
+  // Ids from `fromId` to `toId` inclusive, in the order shown (for shift-click)
+  function rangeIds(tweets, fromId, toId) {
+    const start = tweets.findIndex(tweet => tweet.id === fromId);
+    const end = tweets.findIndex(tweet => tweet.id === toId);
+    if (start === -1 || end === -1) {
+      return end === -1 ? [] : [toId];
+    }
+    return tweets.slice(Math.min(start, end), Math.max(start, end) + 1).map(tweet => tweet.id);
+  }
+
+  // Which rows of a fixed-height list are on screen, plus `overscan` rows either side
+  function visibleRange({ scrollTop, viewportHeight, rowHeight, count, overscan = 5 }) {
+    const first = Math.floor(scrollTop / rowHeight);
+    const last = Math.ceil((scrollTop + viewportHeight) / rowHeight);
+    return {
+      start: Math.max(0, first - overscan),
+      end: Math.min(count, last + overscan)
+    };
+  }
+
+  // Totals for the selection summary
+  function summarize(tweets) {
+    const times = tweets.map(time).filter(Boolean);
+    return {
+      count: tweets.length,
+      likes: tweets.reduce((sum, tweet) => sum + metric("like_count")(tweet), 0),
+      retweets: tweets.reduce((sum, tweet) => sum + metric("retweet_count")(tweet), 0),
+      oldest: times.length > 0 ? new Date(times.reduce((a, b) => Math.min(a, b))).toISOString() : null,
+      newest: times.length > 0 ? new Date(times.reduce((a, b) => Math.max(a, b))).toISOString() : null
+    };
+  }
+
+  return {
+    SORTS: Object.fromEntries(Object.entries(SORTS).map(([name, [label]]) => [name, label])),
+    searchTerms,
+    filterTweets,
+    sortTweets,
+    viewTweets,
+    rangeIds,
+    visibleRange,
+    summarize
+  };
+});
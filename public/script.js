@@ -1,5 +1,73 @@
 let tweets = [];
 let selectedTweets = new Set();
+let viewedTweets = []; // `tweets` as searched, filtered and sorted, in the order shown
+let selectionAnchor = null; // Last clicked tweet, where a shift-click range starts
+let threadIndex = { threads: [], threadOf: new Map() }; // Self-threads among `tweets`
+let expandedThreads = new Set();
+let displayRows = []; // What the list shows: tweets, with each thread collapsed or expanded
+// Tweets, replies, retweets, likes or bookmarks: one tab each
+let contentTypes = [{ name: 'tweets', label: 'Tweets', verb: 'delete' }];
+let currentType = 'tweets';
+// How the selection was made, recorded with the run in the audit log
+let selectionRule = null;
+let savedRules = {};
+let currentAccount = localStorage.getItem('account') || 'default';
+
+let csrfToken = null;
+
+// fetch() for our API: sends the CSRF token with every request and shows the
+// login form when the session has expired
+async function apiFetch(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), 'X-CSRF-Token': csrfToken || '' }
+    });
+    if (response.status === 401) {
+        showLogin();
+    }
+    return response;
+}
+
+function showLogin(message) {
+    document.getElementById('app-section').style.display = 'none';
+    document.getElementById('login-card').style.display = 'block';
+    if (message) document.getElementById('login-text').textContent = message;
+    document.getElementById('login-secret').focus();
+}
+
+async function login() {
+    const secret = document.getElementById('login-secret').value;
+    try {
+        const response = await fetch('/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: secret })
+        });
+        const result = await response.json();
+        if (!result.authenticated) throw new Error(result.error || 'Login failed');
+        
+        document.getElementById('login-secret').value = '';
+        csrfToken = result.csrfToken;
+        await startApp();
+    } catch (error) {
+        showLogin(`❌ ${error.message}`);
+    }
+}
+
+async function logout() {
+    await apiFetch('/auth/logout', { method: 'POST' });
+    csrfToken = null;
+    if (progressEvents) {
+        progressEvents.close();
+        progressEvents = null;
+    }
+    showLogin('Logged out.');
+}
+
+// Account-scoped API routes, e.g. accountUrl('/tweets') -> /api/accounts/default/tweets
+function accountUrl(route) {
+    return `/api/accounts/${encodeURIComponent(currentAccount)}${route}`;
+}
 
 // Initialize the application
 async function initialize() {
@@ -11,13 +79,15 @@ async function initialize() {
     statusText.textContent = 'Connecting to Twitter API...';
     
     try {
-        const response = await fetch('/api/initialize', { method: 'POST' });
+        const response = await apiFetch(accountUrl('/initialize'), { method: 'POST' });
         const result = await response.json();
         
         if (result.success) {
             statusText.textContent = '✅ Connected to Twitter API successfully!';
             document.getElementById('load-tweets-btn').disabled = false;
+            document.getElementById('import-archive-btn').disabled = false;
             btn.style.display = 'none';
+            loadAccounts();
         } else {
             throw new Error(result.message);
         }
@@ -28,97 +98,628 @@ async function initialize() {
     }
 }
 
-// Load tweets from the API
+function currentContentType() {
+    return contentTypes.find(type => type.name === currentType) || contentTypes[0];
+}
+
+async function loadContentTypes() {
+    try {
+        const response = await apiFetch('/api/content-types');
+        contentTypes = (await response.json()).types;
+    } catch (error) {
+        console.error('Error loading content types:', error);
+    }
+    renderContentTabs();
+}
+
+function renderContentTabs() {
+    document.getElementById('content-tabs').innerHTML = contentTypes.map(type => `
+        <button class="content-tab ${type.name === currentType ? 'active' : ''}" onclick="switchContentType('${type.name}')">
+            ${escapeHtml(type.label)}
+        </button>
+    `).join('');
+    
+    const { verb } = currentContentType();
+    document.getElementById('delete-verb').textContent = verb.charAt(0).toUpperCase() + verb.slice(1);
+}
+
+// Each tab lists its own items; the selection doesn't carry over
+function switchContentType(name) {
+    if (name === currentType) return;
+    currentType = name;
+    tweets = [];
+    suggestions = new Map();
+    document.getElementById('suggestions-panel').style.display = 'none';
+    restoreSelection();
+    renderContentTabs();
+    renderTweets();
+    document.getElementById('dry-run-section').style.display = 'none';
+    loadTweets();
+    refreshFailed();
+}
+
+// Load tweets (or the current tab's replies, retweets, likes or bookmarks) from the API
 async function loadTweets() {
     const btn = document.getElementById('load-tweets-btn');
     const statusText = document.getElementById('status-text');
     const tweetsSection = document.getElementById('tweets-section');
+    const label = currentContentType().label.toLowerCase();
     
     btn.disabled = true;
     btn.textContent = 'Loading...';
-    statusText.textContent = 'Fetching your tweets...';
+    statusText.textContent = `Fetching your ${label}...`;
     
     try {
-        const response = await fetch('/api/tweets');
+        const response = await apiFetch(accountUrl(`/tweets/stream?type=${currentType}`));
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || 'Failed to load tweets');
+        }
+        
+        tweets = [];
+        tweetsSection.style.display = 'block';
+        loadRules();
+        
+        // Each line is one timeline page, rendered as soon as it arrives
+        await readJsonLines(response, message => {
+            if (message.error) {
+                throw new Error(message.error);
+            }
+            if (message.tweets) {
+                tweets = tweets.concat(message.tweets);
+                statusText.textContent = `Fetching your ${label}... (${tweets.length} so far, page ${message.page})`;
+                renderTweets();
+            }
+            if (message.done) {
+                tweets = tweets.map(tweet => {
+                    const { protected: _, ...rest } = tweet;
+                    return message.protected[tweet.id] ? { ...rest, protected: message.protected[tweet.id] } : rest;
+                });
+                // Whatever was selected before a reload but is gone or protected now drops out
+                const loadedIds = new Set(selectableTweets().map(tweet => tweet.id));
+                selectedTweets = new Set([...selectedTweets].filter(id => loadedIds.has(id)));
+                saveSelection();
+                statusText.textContent = `✅ Loaded ${message.count} ${label} successfully!`;
+                renderTweets();
+                refreshAnalytics();
+                refreshSuggestions();
+                btn.style.display = 'none';
+            }
+        });
+    } catch (error) {
+        statusText.textContent = `❌ Failed to load ${label}: ${error.message}`;
+        btn.disabled = false;
+        btn.textContent = 'Retry Loading';
+    }
+}
+
+// Read a newline-delimited JSON response, calling onMessage for each line
+async function readJsonLines(response, onMessage) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+        
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.filter(line => line.trim()).forEach(line => onMessage(JSON.parse(line)));
+        
+        if (done) break;
+    }
+}
+
+// Import tweets from a Twitter/X archive file (data/tweets.js)
+async function importArchive(file) {
+    if (!file) return;
+    
+    const btn = document.getElementById('import-archive-btn');
+    const statusText = document.getElementById('status-text');
+    const tweetsSection = document.getElementById('tweets-section');
+    
+    btn.disabled = true;
+    statusText.textContent = `Reading archive ${file.name}...`;
+    
+    try {
+        const response = await apiFetch(accountUrl('/import-archive'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: await file.text()
+        });
         const result = await response.json();
         
         if (result.tweets) {
+            // Archives hold authored tweets
+            currentType = 'tweets';
+            renderContentTabs();
             tweets = result.tweets;
-            statusText.textContent = `✅ Loaded ${result.count} tweets successfully!`;
+            selectedTweets.clear();
+            saveSelection();
+            statusText.textContent = `✅ Imported ${result.count} tweets from archive!`;
             tweetsSection.style.display = 'block';
             renderTweets();
-            btn.style.display = 'none';
+            refreshAnalytics();
+            refreshSuggestions();
+            loadRules();
         } else {
-            throw new Error(result.error || 'Failed to load tweets');
+            throw new Error(result.error || 'Failed to import archive');
         }
     } catch (error) {
-        statusText.textContent = `❌ Failed to load tweets: ${error.message}`;
+        statusText.textContent = `❌ Failed to import archive: ${error.message}`;
+    } finally {
         btn.disabled = false;
-        btn.textContent = 'Retry Loading';
+        document.getElementById('archive-file').value = '';
     }
 }
 
-// Render tweets in the UI
+const ROW_HEIGHT = 150; // .tweet-row height plus the gap between cards
+
+function viewOptions() {
+    const value = id => document.getElementById(id).value;
+    return {
+        query: value('tweet-search'),
+        sort: value('tweet-sort'),
+        from: value('filter-from'),
+        to: value('filter-to'),
+        minLikes: value('filter-min-likes'),
+        maxLikes: value('filter-max-likes'),
+        minRetweets: value('filter-min-retweets'),
+        maxRetweets: value('filter-max-retweets')
+    };
+}
+
+function renderSortOptions() {
+    document.getElementById('tweet-sort').innerHTML = Object.entries(TweetView.SORTS)
+        .map(([name, label]) => `<option value="${name}">${escapeHtml(label)}</option>`)
+        .join('');
+}
+
+function clearFilters() {
+    ['tweet-search', 'filter-from', 'filter-to', 'filter-min-likes', 'filter-max-likes', 'filter-min-retweets', 'filter-max-retweets']
+        .forEach(id => { document.getElementById(id).value = ''; });
+    renderTweets();
+}
+
+// Render the tweet browser. Only the rows on screen are in the DOM, so
+// thousands of tweets scroll as smoothly as a handful.
 function renderTweets() {
     const container = document.getElementById('tweets-container');
+    viewedTweets = TweetView.viewTweets(tweets, viewOptions());
+    threadIndex = TweetThreads.buildThreads(tweets);
+    displayRows = TweetThreads.threadedRows(viewedTweets, threadIndex, expandedThreads);
     
-    if (tweets.length === 0) {
-        container.innerHTML = '<p>No tweets found to delete.</p>';
+    if (tweets.length === 0 || viewedTweets.length === 0) {
+        const { label, verb } = currentContentType();
+        container.innerHTML = tweets.length === 0
+            ? `<p>No ${escapeHtml(label.toLowerCase())} found to ${escapeHtml(verb)}.</p>`
+            : `<p>No ${escapeHtml(label.toLowerCase())} match the search and filters.</p>`;
+        updateSelectedCount();
         return;
     }
     
-    const tweetsHTML = tweets.map(tweet => {
+    if (!document.getElementById('tweet-list')) {
+        container.innerHTML = `
+            <div id="tweet-list" class="tweet-list" onscroll="scheduleRowRender()">
+                <div id="tweet-list-rows" class="tweet-list-rows"></div>
+            </div>
+        `;
+        document.getElementById('tweet-list-rows').addEventListener('click', handleTweetRowsClick);
+    }
+    document.getElementById('tweet-list-rows').style.height = `${displayRows.length * ROW_HEIGHT}px`;
+    renderVisibleTweets();
+    updateSelectedCount();
+}
+
+let rowRenderPending = false;
+
+function scheduleRowRender() {
+    if (rowRenderPending) return;
+    rowRenderPending = true;
+    requestAnimationFrame(() => {
+        rowRenderPending = false;
+        renderVisibleTweets();
+    });
+}
+
+function renderVisibleTweets() {
+    const list = document.getElementById('tweet-list');
+    if (!list) return;
+    
+    const { start, end } = TweetView.visibleRange({
+        scrollTop: list.scrollTop,
+        viewportHeight: list.clientHeight,
+        rowHeight: ROW_HEIGHT,
+        count: displayRows.length
+    });
+    
+    document.getElementById('tweet-list-rows').innerHTML = displayRows.slice(start, end).map(({ tweet, depth, thread }, offset) => {
         const createdAt = new Date(tweet.created_at).toLocaleDateString();
         const isSelected = selectedTweets.has(tweet.id);
         
+        const cardOpen = tweet.protected
+            ? `<div class="tweet-card protected">
+                <span class="badge">🛡️ Protected: ${escapeHtml(tweet.protected)}</span>`
+            : `<div class="tweet-card ${isSelected ? 'selected' : ''}" data-id="${escapeHtml(tweet.id)}">`;
+        
         return `
-            <div class="tweet-card ${isSelected ? 'selected' : ''}" onclick="toggleTweet('${tweet.id}')">
-                <div class="tweet-text">${escapeHtml(tweet.text)}</div>
-                <div class="tweet-meta">
-                    <span>📅 ${createdAt}</span>
-                    <span>${tweet.public_metrics ? `❤️ ${tweet.public_metrics.like_count} 🔄 ${tweet.public_metrics.retweet_count}` : ''}</span>
+            <div class="tweet-row" style="top: ${(start + offset) * ROW_HEIGHT}px; padding-left: ${5 + Math.min(depth, 5) * 30}px;">
+                ${cardOpen}
+                    <div class="tweet-text" title="${escapeHtml(tweet.text)}">${escapeHtml(tweet.text)}</div>
+                    <div class="tweet-meta">
+                        <span>📅 ${createdAt}</span>
+                        ${suggestions.has(tweet.id) ? `<span class="badge badge-suggested" title="${escapeHtml(suggestions.get(tweet.id).reason)}">🚩 Suggested for deletion (${suggestions.get(tweet.id).score})</span>` : ''}
+                        ${thread ? threadActions(thread, tweet, depth) : ''}
+                        <span>${tweet.public_metrics ? `❤️ ${tweet.public_metrics.like_count} 🔄 ${tweet.public_metrics.retweet_count}` : ''}</span>
+                    </div>
                 </div>
             </div>
         `;
     }).join('');
+}
+
+// Thread controls on a thread's first tweet (collapsed or not) and, once
+// expanded, on each of its tweets
+function threadActions(thread, tweet, depth) {
+    const expanded = expandedThreads.has(thread.id);
+    const actions = [];
+    if (depth === 0) {
+        actions.push(`<button class="thread-btn" data-action="toggle-thread" data-thread="${escapeHtml(thread.id)}">🧵 ${expanded ? 'Hide' : 'Show'} thread (${thread.members.length})</button>`);
+        actions.push(`<button class="thread-btn thread-btn-danger" data-action="delete-thread" data-thread="${escapeHtml(thread.id)}">Delete entire thread</button>`);
+    } else {
+        actions.push(`<button class="thread-btn thread-btn-danger" data-action="delete-thread" data-thread="${escapeHtml(thread.id)}" data-from="${escapeHtml(tweet.id)}">Delete thread from here down</button>`);
+    }
+    return `<span class="thread-actions">${actions.join('')}</span>`;
+}
+
+function toggleThread(threadId) {
+    if (expandedThreads.has(threadId)) {
+        expandedThreads.delete(threadId);
+    } else {
+        expandedThreads.add(threadId);
+    }
+    renderTweets();
+}
+
+// Delete a whole thread, or one tweet and every reply below it. The server
+// deletes replies first and keeps any tweet whose replies can't all go.
+function deleteThread(threadId, fromTweetId) {
+    const thread = threadIndex.threads.find(t => t.id === threadId);
+    if (!thread) return;
     
-    container.innerHTML = `<div class="tweets-grid">${tweetsHTML}</div>`;
+    const tweetIds = fromTweetId
+        ? TweetThreads.descendantIds(thread, fromTweetId)
+        : thread.members.map(member => member.tweet.id);
+    const what = fromTweetId ? 'thread from here down' : 'entire thread';
+    startDeletion(tweetIds, what, `Permanently delete this ${what} (${tweetIds.length} tweets)? This action cannot be undone.`);
+}
+
+// Protected tweets can never be selected for deletion
+function selectableTweets(list = tweets) {
+    return list.filter(t => !t.protected);
+}
+
+// Selections are kept per account and tab, so they survive a reload
+function selectionKey() {
+    return `selection:${currentAccount}:${currentType}`;
+}
+
+function saveSelection() {
+    localStorage.setItem(selectionKey(), JSON.stringify({ ids: Array.from(selectedTweets), rule: selectionRule }));
+}
+
+function restoreSelection() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(selectionKey())) || {};
+    } catch (error) {
+        console.error('Ignoring unreadable saved selection:', error);
+    }
+    selectedTweets = new Set(saved.ids || []);
+    selectionRule = saved.rule || null;
+    selectionAnchor = null;
+}
+
+function selectionChanged() {
+    saveSelection();
+    renderVisibleTweets();
     updateSelectedCount();
 }
 
+// Click toggles a tweet; shift-click sets the whole range from the last
+// clicked tweet, as shown, to match the clicked one
+// One listener for every rendered row: ids travel in data attributes, never inside inline handlers
+function handleTweetRowsClick(event) {
+    const button = event.target.closest('.thread-btn');
+    if (button) {
+        if (button.dataset.action === 'toggle-thread') toggleThread(button.dataset.thread);
+        else deleteThread(button.dataset.thread, button.dataset.from);
+        return;
+    }
+    const card = event.target.closest('.tweet-card[data-id]');
+    if (card) handleTweetClick(event, card.dataset.id);
+}
+
+function handleTweetClick(event, tweetId) {
+    if (event.shiftKey && selectionAnchor) {
+        const select = !selectedTweets.has(tweetId);
+        const selectable = new Set(selectableTweets(viewedTweets).map(t => t.id));
+        TweetView.rangeIds(displayRows.map(row => row.tweet), selectionAnchor, tweetId)
+            .filter(id => selectable.has(id))
+            .forEach(id => select ? selectedTweets.add(id) : selectedTweets.delete(id));
+        markSelectionEdited();
+        selectionAnchor = tweetId;
+        selectionChanged();
+        return;
+    }
+    
+    selectionAnchor = tweetId;
+    toggleTweet(tweetId);
+}
+
+function markSelectionEdited() {
+    if (selectionRule && !selectionRule.endsWith('(edited)')) selectionRule += ' (edited)';
+}
+
 // Toggle tweet selection
 function toggleTweet(tweetId) {
+    const tweet = tweets.find(t => t.id === tweetId);
+    if (!tweet || tweet.protected) return;
+    
     if (selectedTweets.has(tweetId)) {
         selectedTweets.delete(tweetId);
     } else {
         selectedTweets.add(tweetId);
     }
-    renderTweets();
+    markSelectionEdited();
+    selectionChanged();
 }
 
-// Selection helper functions
+// Selection helper functions; "all" means all that the search and filters show
 function selectAll() {
-    selectedTweets = new Set(tweets.map(t => t.id));
-    renderTweets();
+    selectionRule = 'all';
+    selectedTweets = new Set(selectableTweets(viewedTweets).map(t => t.id));
+    selectionChanged();
 }
 
 function selectNone() {
+    selectionRule = null;
     selectedTweets.clear();
-    renderTweets();
+    selectionChanged();
 }
 
 function selectOld() {
-    const oneYearAgo = new Date();
-    oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+    selectMatching(TweetFilters.DEFAULT_RULES['older-than-1-year']);
+    selectionRule = 'older-than-1-year';
+    saveSelection();
+}
+
+function selectMatching(rule) {
+    const matches = TweetFilters.applyRule(selectableTweets(), rule);
+    selectedTweets = new Set(matches.map(t => t.id));
+    selectionChanged();
+}
+
+// Tweets the server's scanner flags as risky to keep (/api/scan), by id
+let suggestions = new Map();
+
+async function scanTweets() {
+    const panel = document.getElementById('suggestions-panel');
+    panel.style.display = 'block';
+    document.getElementById('suggestions-summary').textContent = 'Scanning...';
+    const sentiment = document.getElementById('scan-sentiment').checked ? 1 : 0;
     
-    selectedTweets.clear();
-    tweets.forEach(tweet => {
-        const tweetDate = new Date(tweet.created_at);
-        if (tweetDate < oneYearAgo) {
-            selectedTweets.add(tweet.id);
-        }
-    });
-    renderTweets();
+    try {
+        const response = await apiFetch(accountUrl(`/scan?type=${currentType}&sentiment=${sentiment}`));
+        const report = await response.json();
+        if (report.error) throw new Error(report.error);
+        
+        suggestions = new Map(report.flagged.map(tweet => [tweet.id, tweet]));
+        renderSuggestions(report);
+        renderVisibleTweets();
+    } catch (error) {
+        document.getElementById('suggestions-summary').textContent = `❌ Scan failed: ${error.message}`;
+    }
+}
+
+function renderSuggestions(report) {
+    const label = currentContentType().label.toLowerCase();
+    document.getElementById('suggestions-summary').textContent =
+        `${report.flagged.length} of ${report.scanned} loaded ${label} scored ${report.minScore} or more (out of 100). Click one to select it.`;
+    document.getElementById('suggestions-list').innerHTML = report.flagged.map((tweet, index) => `
+        <div class="performer suggestion" onclick="toggleSuggestion(${index})">
+            <strong>${tweet.score}</strong> · ${escapeHtml((tweet.text || '').slice(0, 140))}
+            <span class="tweet-meta">${new Date(tweet.created_at).toLocaleDateString()}${tweet.protected ? ` · 🛡️ ${escapeHtml(tweet.protected)}` : ''}</span>
+            <div class="reason">${escapeHtml(tweet.reason)}</div>
+        </div>
+    `).join('');
+}
+
+// By position, so an id from an imported archive never lands inside an onclick attribute
+function toggleSuggestion(index) {
+    toggleTweet(Array.from(suggestions.keys())[index]);
+}
+
+function refreshSuggestions() {
+    if (document.getElementById('suggestions-panel').style.display === 'block') scanTweets();
+}
+
+function selectSuggested() {
+    selectionRule = 'suggested for deletion';
+    selectedTweets = new Set(selectableTweets().filter(tweet => suggestions.has(tweet.id)).map(tweet => tweet.id));
+    selectionChanged();
+}
+
+// Analytics over the loaded tweets, computed by the server (/api/stats).
+// Every clickable bar, tweet or word keeps its chart segment here, by index.
+let analyticsSegments = [];
+
+function toggleAnalytics() {
+    const panel = document.getElementById('analytics-panel');
+    panel.style.display = panel.style.display === 'block' ? 'none' : 'block';
+    if (panel.style.display === 'block') loadAnalytics();
+}
+
+function refreshAnalytics() {
+    if (document.getElementById('analytics-panel').style.display === 'block') loadAnalytics();
+}
+
+async function loadAnalytics() {
+    const bucket = document.getElementById('analytics-bucket').value;
+    try {
+        const response = await apiFetch(accountUrl(`/stats?type=${currentType}&bucket=${bucket}`));
+        const stats = await response.json();
+        if (stats.error) throw new Error(stats.error);
+        renderAnalytics(stats);
+    } catch (error) {
+        document.getElementById('analytics-summary').textContent = `❌ Failed to load analytics: ${error.message}`;
+    }
+}
+
+// A clickable chart element for `segment`, described as `label` when selected
+function segmentAttributes(segment, label) {
+    analyticsSegments.push({ segment, label });
+    return `onclick="selectSegment(${analyticsSegments.length - 1})" title="${escapeHtml(label)}"`;
+}
+
+function renderAnalytics(stats) {
+    analyticsSegments = [];
+    const { label } = currentContentType();
+    document.getElementById('analytics-summary').textContent = stats.count === 0
+        ? `No ${label.toLowerCase()} loaded yet.`
+        : `${stats.count} ${label.toLowerCase()} · ${stats.engagement.total} engagements · average ${stats.engagement.average}, median ${stats.engagement.median} · click a bar, tweet or word to select the matching ones`;
+    
+    const { periods } = stats.frequency;
+    const busiest = Math.max(1, ...periods.map(period => period.count));
+    document.getElementById('analytics-frequency').innerHTML = periods
+        .map(period => `<div class="bar" style="height: ${(period.count / busiest) * 100}%" ${segmentAttributes(period.segment, `${period.label}: ${period.count} posted`)}></div>`)
+        .join('');
+    document.getElementById('analytics-frequency-range').textContent = periods.length > 0
+        ? `${periods[0].label} – ${periods.at(-1).label}, per ${stats.frequency.bucket} · busiest: ${busiest}`
+        : '';
+    
+    const largest = Math.max(1, ...stats.distribution.map(bucket => bucket.count));
+    document.getElementById('analytics-distribution').innerHTML = stats.distribution
+        .map(bucket => `
+            <div class="bar-row" ${segmentAttributes(bucket.segment, `${bucket.label} engagements: ${bucket.count}`)}>
+                <span class="bar-label">${escapeHtml(bucket.label)}</span>
+                <span class="bar" style="width: ${(bucket.count / largest) * 70}%"></span>
+                <span>${bucket.count}</span>
+            </div>
+        `).join('');
+    
+    const performers = list => list.length === 0 ? '<p class="selection-summary">None</p>' : list
+        .map(tweet => `
+            <div class="performer" ${segmentAttributes(tweet.segment, `tweet ${tweet.id}`)}>
+                <strong>${tweet.engagement}</strong> · ${escapeHtml(tweet.text)}
+                <span class="tweet-meta">${new Date(tweet.created_at).toLocaleDateString()}</span>
+            </div>
+        `).join('');
+    document.getElementById('analytics-top').innerHTML = performers(stats.top);
+    document.getElementById('analytics-bottom').innerHTML = performers(stats.bottom);
+    
+    const chips = (list, prefix) => list.length === 0 ? '<p class="selection-summary">None</p>' : list
+        .map(entry => `<span class="term-chip" ${segmentAttributes(entry.segment, `${prefix}${entry.term}`)}>${escapeHtml(prefix + entry.term)} ${entry.count}</span>`)
+        .join('');
+    document.getElementById('analytics-words').innerHTML = chips(stats.words, '');
+    document.getElementById('analytics-hashtags').innerHTML = chips(stats.hashtags, '#');
+}
+
+// Select the loaded tweets behind a clicked chart segment
+function selectSegment(index) {
+    const { segment, label } = analyticsSegments[index];
+    const matching = tweets.filter(TweetStats.segmentMatcher(segment));
+    const selectable = selectableTweets(matching);
+    selectedTweets = new Set(selectable.map(tweet => tweet.id));
+    selectionRule = `analytics: ${label}`;
+    selectionChanged();
+    
+    const kept = matching.length - selectable.length;
+    document.getElementById('analytics-summary').textContent =
+        `Selected ${selectable.length} for "${label}"${kept > 0 ? ` (${kept} protected)` : ''}`;
+}
+
+// Saved selection rules (see lib/filters.js for the rule format)
+async function loadRules() {
+    try {
+        const response = await apiFetch('/api/rules');
+        const result = await response.json();
+        savedRules = result.rules || {};
+        
+        const select = document.getElementById('rule-select');
+        select.innerHTML = Object.keys(savedRules)
+            .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+            .join('');
+        showRule(select.value);
+    } catch (error) {
+        console.error('Error loading rules:', error);
+    }
+}
+
+function selectByRule() {
+    const name = document.getElementById('rule-select').value;
+    if (!savedRules[name]) return;
+    
+    try {
+        selectMatching(savedRules[name]);
+        selectionRule = name;
+        saveSelection();
+    } catch (error) {
+        alert(`Invalid rule: ${error.message}`);
+    }
+}
+
+function showRule(name) {
+    document.getElementById('rule-name').value = name || '';
+    document.getElementById('rule-json').value = savedRules[name] ? JSON.stringify(savedRules[name], null, 2) : '';
+}
+
+function toggleRuleEditor() {
+    const editor = document.getElementById('rule-editor');
+    editor.style.display = editor.style.display === 'block' ? 'none' : 'block';
+    showRule(document.getElementById('rule-select').value);
+}
+
+async function saveRule() {
+    const name = document.getElementById('rule-name').value.trim();
+    if (!name) {
+        alert('Please enter a rule name');
+        return;
+    }
+    
+    try {
+        const rule = JSON.parse(document.getElementById('rule-json').value);
+        TweetFilters.validateRule(rule);
+        
+        const response = await apiFetch(`/api/rules/${encodeURIComponent(name)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(rule)
+        });
+        const result = await response.json();
+        if (result.error) throw new Error(result.error);
+        
+        await loadRules();
+        document.getElementById('rule-select').value = name;
+        showRule(name);
+    } catch (error) {
+        alert(`Failed to save rule: ${error.message}`);
+    }
+}
+
+async function deleteRule() {
+    const name = document.getElementById('rule-name').value.trim();
+    if (!name || !confirm(`Delete rule "${name}"?`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/rules/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (result.error) throw new Error(result.error);
+        await loadRules();
+    } catch (error) {
+        alert(`Failed to delete rule: ${error.message}`);
+    }
 }
 
 // Update selected count display
@@ -126,102 +727,689 @@ function updateSelectedCount() {
     const count = selectedTweets.size;
     document.getElementById('selected-count').textContent = count;
     document.getElementById('delete-btn').disabled = count === 0;
+    document.getElementById('dry-run-btn').disabled = count === 0;
+    
+    const shown = `${viewedTweets.length} of ${tweets.length} shown`;
+    const selected = tweets.filter(tweet => selectedTweets.has(tweet.id));
+    if (selected.length === 0) {
+        document.getElementById('selection-summary').textContent = shown;
+        return;
+    }
+    
+    const summary = TweetView.summarize(selected);
+    const viewedIds = new Set(viewedTweets.map(tweet => tweet.id));
+    const hidden = selected.filter(tweet => !viewedIds.has(tweet.id)).length;
+    const date = iso => iso ? new Date(iso).toLocaleDateString() : '?';
+    document.getElementById('selection-summary').textContent = [
+        shown,
+        `${summary.count} selected${hidden > 0 ? ` (${hidden} hidden by the search or filters)` : ''}`,
+        `${date(summary.oldest)} – ${date(summary.newest)}`,
+        `❤️ ${summary.likes} 🔄 ${summary.retweets}`
+    ].join(' · ');
+}
+
+// Ask the server what deleting the selection would do, without deleting anything
+async function previewSelected() {
+    if (selectedTweets.size === 0) return;
+    
+    try {
+        const response = await apiFetch(accountUrl('/delete-tweets'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ tweetIds: Array.from(selectedTweets), type: currentType, dryRun: true })
+        });
+        const result = await response.json();
+        if (!result.report) throw new Error(result.error || 'Dry run failed');
+        
+        renderDryRunReport(result.report);
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+function renderDryRunReport(report) {
+    document.getElementById('dry-run-section').style.display = 'block';
+    document.getElementById('dry-run-summary').textContent =
+        `Would ${currentContentType().verb} ${report.toDelete} tweets in ${report.batches} batches (${report.protected} protected) on the ${report.plan} plan. ` +
+        `Estimated completion: ${new Date(report.estimatedCompletion).toLocaleString()}`;
+    
+    document.getElementById('dry-run-items').innerHTML = report.items.map(item => {
+        const text = escapeHtml((item.text || item.id).substring(0, 100));
+        const when = item.action === 'skip'
+            ? `🛡️ skipped: ${escapeHtml(item.reason)}`
+            : `${item.order}. ${new Date(item.estimatedAt).toLocaleString()}`;
+        return `<div class="dry-run-item"><span class="when">${when}</span><span>${text}</span></div>`;
+    }).join('');
 }
 
 // Delete selected tweets
 async function deleteSelected() {
     if (selectedTweets.size === 0) return;
     
-    const confirmed = confirm(`Are you sure you want to permanently delete ${selectedTweets.size} tweets? This action cannot be undone.`);
+    const { verb } = currentContentType();
+    const confirmed = confirm(currentType === 'tweets' || currentType === 'replies'
+        ? `Are you sure you want to permanently delete ${selectedTweets.size} tweets? This action cannot be undone.`
+        : `Are you sure you want to ${verb} ${selectedTweets.size} tweets?`);
     if (!confirmed) return;
     
-    const tweetIds = Array.from(selectedTweets);
+    startDeletion(Array.from(selectedTweets), selectionRule);
+}
+
+// `rule` is recorded in the audit log as what picked these tweets
+async function startDeletion(tweetIds, rule, question) {
+    if (question && !confirm(question)) return;
     
+    beginDeletion('/delete-tweets', tweetIds.length, {
+        tweetIds,
+        type: currentType,
+        rule: rule || undefined,
+        graceMinutes: Number(document.getElementById('grace-minutes').value) || 0
+    });
+}
+
+// Run the retry queue: the current tab's tweets that failed in earlier deletions
+async function retryFailed() {
+    const count = Number(document.getElementById('failed-count').textContent);
+    if (!confirm(`Try the ${count} ${currentContentType().label.toLowerCase()} that failed before again?`)) return;
+    
+    beginDeletion('/deletion/retry-failed', count, { type: currentType });
+}
+
+// Show the Retry Failed button while the current tab has failed tweets waiting
+async function refreshFailed() {
+    try {
+        const response = await apiFetch(accountUrl(`/deletion/failed?type=${currentType}`));
+        const { count } = await response.json();
+        document.getElementById('failed-count').textContent = count || 0;
+        document.getElementById('retry-failed-btn').style.display = count > 0 ? 'inline-block' : 'none';
+    } catch (error) {
+        console.error('Error loading failed tweets:', error);
+    }
+}
+
+// Start a deletion job on the server and follow its progress
+async function beginDeletion(path, total, body) {
     // Show progress section
     document.getElementById('progress-section').style.display = 'block';
-    document.getElementById('total-count').textContent = tweetIds.length;
+    document.getElementById('total-count').textContent = total;
     
     // Disable delete button
     document.getElementById('delete-btn').disabled = true;
+    document.getElementById('retry-failed-btn').disabled = true;
     
     try {
-        const response = await fetch('/api/delete-tweets', {
+        const response = await apiFetch(accountUrl(path), {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ tweetIds })
+            body: JSON.stringify(body)
         });
         
         const result = await response.json();
         
         if (result.message) {
-            // Start polling for progress
-            pollDeletionProgress();
+            watchDeletionProgress();
         } else {
             throw new Error(result.error || 'Failed to start deletion');
         }
     } catch (error) {
         alert(`Error: ${error.message}`);
         document.getElementById('delete-btn').disabled = false;
+        document.getElementById('retry-failed-btn').disabled = false;
+    }
+}
+
+// Follow the deletion over Server-Sent Events. The browser reconnects on its own
+// and the server replays the current state, so a dropped connection loses nothing.
+let progressEvents = null;
+let currentWait = null;
+let deletedIds = new Set();
+// Events that leave the wait in progress running
+const CONTROL_EVENTS = ['paused', 'resumed', 'removed'];
+
+function watchDeletionProgress() {
+    if (progressEvents) return;
+    
+    document.getElementById('progress-section').style.display = 'block';
+    progressEvents = new EventSource(accountUrl('/deletion-events'));
+    progressEvents.onmessage = message => handleProgressEvent(JSON.parse(message.data));
+}
+
+function handleProgressEvent(event) {
+    renderProgress(event);
+    
+    if (event.type === 'state') {
+        document.getElementById('activity-log').innerHTML = '';
+        event.activity.forEach(logActivity);
+        deletedIds = new Set(event.activity.filter(item => item.type === 'deleted').map(item => item.id));
+        currentWait = event.wait;
+        renderBudget(event.rateLimit);
+    } else {
+        logActivity(event);
+        if (event.type === 'deleted') deletedIds.add(event.id);
+        if (!CONTROL_EVENTS.includes(event.type)) currentWait = event.until ? event : null;
+    }
+    updateCountdown();
+    renderControls(event);
+    
+    if (event.type === 'grace' || event.type === 'removed' || (event.type === 'state' && event.graceUntil)) {
+        loadPendingTweets();
+    } else if (event.type !== 'state' && event.type !== 'paused' && event.type !== 'resumed') {
+        document.getElementById('pending-list').style.display = 'none';
+    }
+    
+    if (event.type === 'complete' || (event.type === 'state' && !event.inProgress && event.activity.length > 0)) {
+        finishDeletion(event.stats);
     }
 }
 
-// Poll deletion progress
-async function pollDeletionProgress() {
+function renderProgress({ stats, progress }) {
+    const processed = stats.deleted + stats.failed + stats.skipped;
+    document.getElementById('progress-fill').style.width = `${progress}%`;
+    document.getElementById('progress-text').textContent = `Progress: ${processed}/${stats.total} tweets processed`;
+    document.getElementById('deleted-count').textContent = stats.deleted;
+    document.getElementById('failed-count').textContent = stats.failed;
+    document.getElementById('skipped-count').textContent = stats.skipped;
+    document.getElementById('total-count').textContent = stats.total;
+}
+
+function renderControls({ inProgress, status }) {
+    const active = inProgress && status !== 'cancelled';
+    document.getElementById('pause-btn').style.display = active && status !== 'paused' ? '' : 'none';
+    document.getElementById('resume-btn').style.display = active && status === 'paused' ? '' : 'none';
+    document.getElementById('cancel-btn').style.display = active ? '' : 'none';
+}
+
+// Pause, resume or cancel the running deletion
+async function controlDeletion(action) {
+    if (action === 'cancel' && !confirm('Cancel the deletion? Tweets not deleted yet will be left alone.')) return;
+    
     try {
-        const response = await fetch('/api/deletion-progress');
-        const progress = await response.json();
+        const response = await apiFetch(accountUrl(`/deletion/${action}`), { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+// During the undo window, list the queued tweets so any of them can be taken back
+async function loadPendingTweets() {
+    const list = document.getElementById('pending-list');
+    try {
+        const response = await apiFetch(accountUrl('/deletion/pending'));
+        const pending = await response.json();
+        if (!pending.graceUntil || pending.tweets.length === 0) {
+            list.style.display = 'none';
+            return;
+        }
         
-        // Update progress bar
-        document.getElementById('progress-fill').style.width = `${progress.progress}%`;
-        document.getElementById('progress-text').textContent = 
-            `Progress: ${progress.stats.deleted + progress.stats.failed}/${progress.stats.total} tweets processed`;
+        list.innerHTML = pending.tweets.map(tweet => `
+            <div class="pending-item">
+                <span>${escapeHtml(tweet.text || tweet.id)}</span>
+                <button class="btn" data-id="${escapeHtml(tweet.id)}">Keep</button>
+            </div>
+        `).join('');
+        list.style.display = 'block';
+    } catch (error) {
+        console.error('Failed to load pending tweets:', error);
+    }
+}
+
+function handlePendingListClick(event) {
+    const button = event.target.closest('button[data-id]');
+    if (button) removePendingTweet(button.dataset.id);
+}
+
+async function removePendingTweet(tweetId) {
+    try {
+        const response = await apiFetch(accountUrl('/deletion/remove'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ tweetIds: [tweetId] })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        selectedTweets.delete(tweetId);
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+function describeActivity(event) {
+    const until = event.until ? new Date(event.until).toLocaleTimeString() : '';
+    switch (event.type) {
+        case 'job-started': {
+            const type = contentTypes.find(t => t.name === event.contentType);
+            return `🚀 Started: ${type ? type.verb : 'delete'} ${event.pending} tweets`;
+        }
+        case 'started': return `🗑️ Deleting ${event.id}...`;
+        case 'deleted': return event.alreadyGone
+            ? `✅ ${event.id} was already gone`
+            : `✅ Deleted ${event.id}${event.text ? `: ${event.text.substring(0, 60)}` : ''}`;
+        case 'failed': return `❌ Failed to delete ${event.id} (${event.kind}): ${event.error}`;
+        case 'retrying': return `🔁 ${event.id} failed (${event.error}), trying again at ${until}`;
+        case 'skipped': return `🛡️ Skipped ${event.id}: ${event.reason}`;
+        case 'rate-limited': return `⚠️ Rate limited, retrying ${event.id} at ${until}`;
+        case 'waiting': return `⏳ Waiting for ${event.reason} until ${until}`;
+        case 'batch-sleep': return `😴 Batch ${event.batch} done, next batch at ${until}`;
+        case 'grace': return `⏳ Deletion starts at ${until}; you can still keep or cancel tweets`;
+        case 'removed': return `↩️ Kept ${event.ids.length} tweet(s) out of the deletion`;
+        case 'paused': return '⏸️ Paused';
+        case 'resumed': return '▶️ Resumed';
+        case 'cancelled': return '🛑 Cancelled; the remaining tweets were left alone';
+        case 'error': return `❌ ${event.error}`;
+        case 'complete': return `🏁 Finished: ${event.stats.deleted} deleted, ${event.stats.failed} failed`;
+        default: return event.type;
+    }
+}
+
+function logActivity(event) {
+    // "started" is only interesting until its outcome arrives
+    const log = document.getElementById('activity-log');
+    const last = log.firstElementChild;
+    if (last && last.dataset.type === 'started') last.remove();
+    
+    const item = document.createElement('div');
+    item.className = 'activity-item';
+    item.dataset.type = event.type;
+    item.innerHTML = `<span class="when">${new Date(event.at).toLocaleTimeString()}</span><span>${escapeHtml(describeActivity(event))}</span>`;
+    log.prepend(item);
+}
+
+function updateCountdown() {
+    const text = document.getElementById('countdown-text');
+    const remaining = currentWait ? new Date(currentWait.until) - Date.now() : 0;
+    if (remaining <= 0) {
+        text.textContent = '';
+        return;
+    }
+    
+    const minutes = Math.floor(remaining / 60000);
+    const seconds = Math.floor((remaining % 60000) / 1000);
+    text.textContent = `⏳ Next deletion in ${minutes}:${String(seconds).padStart(2, '0')} (${currentWait.reason || currentWait.type})`;
+}
+
+setInterval(updateCountdown, 1000);
+
+function finishDeletion(stats) {
+    progressEvents.close();
+    progressEvents = null;
+    currentWait = null;
+    
+    document.getElementById('progress-text').textContent = 
+        `✅ Deletion complete! ${stats.deleted} deleted, ${stats.failed} failed`;
+    
+    // Remove deleted tweets from the display; cancelled or kept ones stay selectable
+    tweets = tweets.filter(tweet => !deletedIds.has(tweet.id));
+    deletedIds.forEach(id => selectedTweets.delete(id));
+    saveSelection();
+    renderTweets();
+    refreshAnalytics();
+    refreshSuggestions();
+    
+    // Re-enable delete button
+    document.getElementById('delete-btn').disabled = false;
+    document.getElementById('retry-failed-btn').disabled = false;
+    refreshBudget();
+    refreshFailed();
+    if (document.getElementById('history-runs').childElementCount > 0) loadHistory();
+}
+
+// Past runs from the audit log, filtered and searched on the server
+async function loadHistory() {
+    const container = document.getElementById('history-runs');
+    const params = new URLSearchParams();
+    [['source', 'history-source'], ['status', 'history-status'], ['outcome', 'history-outcome'], ['q', 'history-search']]
+        .forEach(([name, id]) => {
+            const value = document.getElementById(id).value.trim();
+            if (value) params.set(name, value);
+        });
+    
+    try {
+        const response = await apiFetch(accountUrl(`/history?${params}`));
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        renderHistory(result.runs);
+    } catch (error) {
+        container.innerHTML = `<p>❌ Failed to load history: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+const OUTCOME_ICONS = { deleted: '✅', failed: '❌', skipped: '🛡️', cancelled: '↩️' };
+
+function renderHistory(runs) {
+    const container = document.getElementById('history-runs');
+    if (runs.length === 0) {
+        container.innerHTML = '<p>No runs found.</p>';
+        return;
+    }
+    
+    container.innerHTML = runs.map(run => {
+        const summary = run.summary || {};
+        const rule = typeof run.rule === 'string' ? run.rule : run.rule ? JSON.stringify(run.rule) : 'manual selection';
+        const items = run.items.map(item => {
+            const details = [item.error, item.code && `code ${item.code}`, item.reason, item.durationMs !== undefined && `${item.durationMs} ms`]
+                .filter(Boolean).join(' · ');
+            return `<div class="activity-item">
+                <span class="when">${OUTCOME_ICONS[item.outcome] || ''} ${new Date(item.at).toLocaleTimeString()}</span>
+                <span>${escapeHtml(item.text || item.id)}${details ? ` <span class="when">(${escapeHtml(details)})</span>` : ''}</span>
+            </div>`;
+        }).join('');
         
-        // Update stats
-        document.getElementById('deleted-count').textContent = progress.stats.deleted;
-        document.getElementById('failed-count').textContent = progress.stats.failed;
+        return `<details class="history-run">
+            <summary>
+                <strong>${new Date(run.startedAt).toLocaleString()}</strong> · ${escapeHtml(run.status)} ·
+                ${summary.deleted || 0} ${escapeHtml(run.contentType || 'tweets')} removed, ${summary.failed || 0} failed, ${summary.skipped || 0} protected
+                <div class="meta">${escapeHtml(run.source)} by ${escapeHtml(run.startedBy || 'unknown')} · rule: ${escapeHtml(rule)}${run.error ? ` · ${escapeHtml(run.error)}` : ''}</div>
+            </summary>
+            <div class="history-items">${items || '<p>No tweets processed.</p>'}</div>
+        </details>`;
+    }).join('');
+}
+
+async function refreshBudget() {
+    try {
+        const response = await apiFetch(accountUrl(`/status?type=${currentType}`));
+        renderBudget((await response.json()).rateLimit);
+    } catch (error) {
+        console.error('Error loading rate limit status:', error);
+    }
+}
+
+// Retention daemon: next scheduled run and how the last one went
+async function loadSchedule() {
+    try {
+        const response = await apiFetch(accountUrl('/schedule'));
+        const schedule = await response.json();
+        if (!schedule.schedule && !schedule.lastRun) return;
         
-        if (progress.inProgress) {
-            // Continue polling
-            setTimeout(pollDeletionProgress, 2000);
-        } else {
-            // Deletion complete
-            document.getElementById('progress-text').textContent = 
-                `✅ Deletion complete! ${progress.stats.deleted} deleted, ${progress.stats.failed} failed`;
-            
-            // Remove deleted tweets from the display
-            tweets = tweets.filter(tweet => !selectedTweets.has(tweet.id));
-            selectedTweets.clear();
-            renderTweets();
-            
-            // Re-enable delete button
-            document.getElementById('delete-btn').disabled = false;
-        }
+        document.getElementById('schedule-card').style.display = 'block';
+        document.getElementById('schedule-text').textContent = schedule.running
+            ? `⏰ Running on "${schedule.schedule}" · next run ${schedule.nextRun ? new Date(schedule.nextRun).toLocaleString() : 'pending'}`
+            : `⏸️ Scheduler not running (schedule "${schedule.schedule || 'not set'}")`;
+        
+        const lastRun = schedule.lastRun;
+        document.getElementById('last-run-text').textContent = !lastRun ? 'No runs yet' : lastRun.error
+            ? `Last run ${new Date(lastRun.startedAt).toLocaleString()} failed: ${lastRun.error}`
+            : `Last run ${new Date(lastRun.startedAt).toLocaleString()}: ${lastRun.matched} matched, ${lastRun.deleted} deleted, ${lastRun.failed} failed, ${lastRun.skipped} protected`;
     } catch (error) {
-        console.error('Error polling progress:', error);
-        setTimeout(pollDeletionProgress, 5000); // Retry in 5 seconds
+        console.error('Error loading schedule:', error);
     }
 }
 
+// Show the shared 24-hour deletion budget from the rate-limit scheduler
+function renderBudget(rateLimit) {
+    if (!rateLimit) return;
+    
+    const next = new Date(rateLimit.nextDeletionAt);
+    const waiting = rateLimit.waitingFor && next > new Date()
+        ? ` · next deletion ${next.toLocaleString()} (${rateLimit.waitingFor})`
+        : '';
+    document.getElementById('budget-text').textContent =
+        `📊 ${rateLimit.plan} plan: ${rateLimit.usedToday}/${rateLimit.perDay} deletions used in the last 24h${waiting}`;
+}
+
 // Utility function to escape HTML
+// Safe in text and in quoted attributes: tweets in the likes and bookmarks tabs are other people's
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
-// Initialize on page load
-document.addEventListener('DOMContentLoaded', async () => {
-    // Check initial status
+// Accounts: each one has its own connection, tweets and deletion, so switching
+// only changes what this page shows; deletions on other accounts keep running.
+async function loadAccounts() {
+    try {
+        const response = await apiFetch('/api/accounts');
+        const { accounts, signInWithX } = await response.json();
+        document.getElementById('sign-in-btn').style.display = signInWithX ? '' : 'none';
+        if (!accounts.some(account => account.id === currentAccount)) {
+            currentAccount = 'default';
+        }
+        
+        document.getElementById('account-select').innerHTML = accounts.map(account => {
+            const badge = account.deletionInProgress ? ' ⏳' : account.initialized ? ' ✅' : '';
+            return `<option value="${escapeHtml(account.id)}" ${account.id === currentAccount ? 'selected' : ''}>${escapeHtml(account.name)}${badge}</option>`;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading accounts:', error);
+    }
+}
+
+async function switchAccount(accountId) {
+    if (progressEvents) {
+        progressEvents.close();
+        progressEvents = null;
+    }
+    currentAccount = accountId;
+    localStorage.setItem('account', accountId);
+    
+    tweets = [];
+    restoreSelection();
+    currentWait = null;
+    ['tweets-section', 'dry-run-section', 'progress-section', 'schedule-card'].forEach(id => {
+        document.getElementById(id).style.display = 'none';
+    });
+    document.getElementById('activity-log').innerHTML = '';
+    document.getElementById('history-runs').innerHTML = '';
+    
+    const initBtn = document.getElementById('init-btn');
+    initBtn.style.display = '';
+    initBtn.disabled = false;
+    initBtn.textContent = 'Initialize Connection';
+    const loadBtn = document.getElementById('load-tweets-btn');
+    loadBtn.style.display = '';
+    loadBtn.disabled = true;
+    loadBtn.textContent = 'Load Tweets';
+    document.getElementById('import-archive-btn').disabled = true;
+    document.getElementById('status-text').textContent = 'Not connected';
+    document.getElementById('budget-text').textContent = '';
+    
+    await loadAccountStatus();
+    await loadAccounts();
+    loadSchedule();
+}
+
+function toggleAccountForm() {
+    const form = document.getElementById('account-form');
+    form.style.display = form.style.display === 'block' ? 'none' : 'block';
+}
+
+async function saveAccount() {
+    const id = document.getElementById('account-id').value.trim();
+    const value = field => document.getElementById(field).value.trim();
+    
+    try {
+        const response = await apiFetch(`/api/accounts/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: value('account-name') || id,
+                plan: value('account-plan') || undefined,
+                credentials: {
+                    appKey: value('account-app-key'),
+                    appSecret: value('account-app-secret'),
+                    accessToken: value('account-access-token'),
+                    accessSecret: value('account-access-secret')
+                }
+            })
+        });
+        const result = await response.json();
+        if (!result.account) throw new Error(result.error || 'Failed to save account');
+        
+        document.querySelectorAll('#account-form input').forEach(input => { input.value = ''; });
+        toggleAccountForm();
+        await switchAccount(result.account.id);
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+async function removeAccount() {
+    if (currentAccount === 'default') {
+        alert('The default account is configured in .env and cannot be removed here.');
+        return;
+    }
+    if (!confirm(`Remove account "${currentAccount}"? Its queue, backups and logs stay on disk.`)) return;
+    
     try {
-        const response = await fetch('/api/status');
+        const response = await apiFetch(`/api/accounts/${encodeURIComponent(currentAccount)}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!result.removed) throw new Error(result.error || 'Failed to remove account');
+        await switchAccount('default');
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+async function loadAccountStatus() {
+    document.querySelectorAll('.backup-link').forEach(link => {
+        link.href = accountUrl(`/backup/export?format=${link.dataset.format}`);
+    });
+    
+    try {
+        const response = await apiFetch(accountUrl('/status'));
         const status = await response.json();
         
         if (status.initialized) {
             document.getElementById('status-text').textContent = '✅ Already connected to Twitter API';
             document.getElementById('init-btn').style.display = 'none';
             document.getElementById('load-tweets-btn').disabled = false;
+            document.getElementById('import-archive-btn').disabled = false;
+        }
+        renderBudget(status.rateLimit);
+        refreshFailed();
+        
+        // Pick up a deletion started before this page was (re)loaded
+        if (status.deletionInProgress) {
+            watchDeletionProgress();
         }
     } catch (error) {
         console.error('Error checking status:', error);
     }
-});
\ No newline at end of file
+}
+
+// Notifications for long-running jobs; the settings are shared by every account
+const NOTIFICATION_EVENTS = {
+    'job-started': 'Job started',
+    'daily-limit': 'Daily limit reached',
+    'rate-limited': 'Rate limited',
+    'job-completed': 'Job completed',
+    'job-failed': 'Job failed'
+};
+
+async function loadNotifications() {
+    try {
+        const response = await apiFetch('/api/notifications');
+        const settings = await response.json();
+        if (settings.error) throw new Error(settings.error);
+        
+        document.getElementById('notifications-text').textContent = settings.channels.length > 0
+            ? `Sending ${settings.events.length} kinds of event via ${settings.channels.join(', ')}`
+            : 'No notification channel configured';
+        document.getElementById('notification-events').innerHTML = settings.availableEvents
+            .map(event => `<label><input type="checkbox" value="${event}" ${settings.events.includes(event) ? 'checked' : ''}> ${NOTIFICATION_EVENTS[event] || event}</label>`)
+            .join(' ');
+        document.getElementById('notify-webhook-url').value = settings.webhookUrl;
+        document.getElementById('notify-email-to').value = settings.emailTo;
+        document.getElementById('notify-email-from').value = settings.emailFrom;
+        document.getElementById('notify-smtp-host').value = settings.smtpHost;
+        document.getElementById('notify-smtp-port').value = settings.smtpPort;
+        document.getElementById('notify-smtp-secure').checked = settings.smtpSecure;
+        document.getElementById('notify-smtp-user').value = settings.smtpUser;
+        document.getElementById('notify-smtp-pass').value = '';
+        document.getElementById('notify-smtp-pass').placeholder = settings.hasSmtpPass ? 'SMTP password (unchanged)' : 'SMTP password';
+        document.getElementById('notify-command-text').textContent = settings.command
+            ? `Command hook (NOTIFY_COMMAND in .env): ${settings.command}`
+            : 'A command hook can be set with NOTIFY_COMMAND in .env.';
+    } catch (error) {
+        console.error('Error loading notification settings:', error);
+    }
+}
+
+function toggleNotificationForm() {
+    const form = document.getElementById('notification-form');
+    form.style.display = form.style.display === 'block' ? 'none' : 'block';
+}
+
+async function saveNotifications() {
+    const value = field => document.getElementById(field).value.trim();
+    
+    try {
+        const response = await apiFetch('/api/notifications', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                events: [...document.querySelectorAll('#notification-events input:checked')].map(input => input.value),
+                webhookUrl: value('notify-webhook-url'),
+                emailTo: value('notify-email-to'),
+                emailFrom: value('notify-email-from'),
+                smtpHost: value('notify-smtp-host'),
+                smtpPort: Number(value('notify-smtp-port')) || undefined,
+                smtpSecure: document.getElementById('notify-smtp-secure').checked,
+                smtpUser: value('notify-smtp-user'),
+                smtpPass: document.getElementById('notify-smtp-pass').value
+            })
+        });
+        const result = await response.json();
+        if (result.error) throw new Error(result.error);
+        
+        toggleNotificationForm();
+        await loadNotifications();
+    } catch (error) {
+        alert(`Failed to save notifications: ${error.message}`);
+    }
+}
+
+async function sendTestNotification() {
+    try {
+        const response = await apiFetch('/api/notifications/test', { method: 'POST' });
+        const result = await response.json();
+        const lines = (result.results || []).map(({ channel, ok, error }) => ok ? `✅ ${channel}: sent` : `❌ ${channel}: ${error}`);
+        alert(lines.length > 0 ? lines.join('\n') : result.error);
+    } catch (error) {
+        alert(`Failed to send test notification: ${error.message}`);
+    }
+}
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', async () => {
+    document.getElementById('pending-list').addEventListener('click', handlePendingListClick);
+    
+    // Coming back from Sign in with X: ?account=<id> or ?error=<message>
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('account')) {
+        currentAccount = params.get('account');
+        localStorage.setItem('account', currentAccount);
+    }
+    if (params.has('account') || params.has('error')) {
+        history.replaceState(null, '', '/');
+    }
+    
+    const response = await fetch('/auth/session');
+    const session = await response.json();
+    if (!session.authenticated) {
+        showLogin(session.passwordLogin ? null : 'Enter the admin token printed in the server console when it started.');
+        return;
+    }
+    csrfToken = session.csrfToken;
+    await startApp();
+    
+    if (params.has('error')) {
+        document.getElementById('status-text').textContent = `❌ ${params.get('error')}`;
+    }
+});
+
+async function startApp() {
+    document.getElementById('login-card').style.display = 'none';
+    document.getElementById('app-section').style.display = 'block';
+    
+    renderSortOptions();
+    restoreSelection();
+    await loadAccounts();
+    await loadAccountStatus();
+    loadSchedule();
+    loadContentTypes();
+    loadNotifications();
+}
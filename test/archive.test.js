@@ -0,0 +1,84 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArchive, loadArchive } = require("../lib/archive");
+const { isReply, isRetweet } = require("../lib/filters");
+
+const archive = entries => `window.YTD.tweets.part0 = ${JSON.stringify(entries)}`;
+const entry = (fields = {}) => ({ tweet: { id_str: "1", full_text: "hi", created_at: "Mon Jan 01 12:00:00 +0000 2024", ...fields } });
+
+test("the window.YTD prefix is stripped, whatever the part or trailing semicolon", () => {
+  for (const prefix of ["window.YTD.tweets.part0 = ", "  window.YTD.tweet.part12=", "window.YTD.tweets.part0 =\n"]) {
+    const tweets = parseArchive(`${prefix}${JSON.stringify([entry()])};\n`);
+    assert.deepEqual(tweets.map(tweet => [tweet.id, tweet.text]), [["1", "hi"]], JSON.stringify(prefix));
+  }
+  assert.equal(parseArchive(JSON.stringify([entry()])).length, 1, "plain JSON works too");
+});
+
+test("entries become timeline-shaped tweets, newest first", () => {
+  const tweets = parseArchive(archive([
+    entry({ id_str: "10", retweet_count: "3", favorite_count: "7", lang: "en" }),
+    { id_str: "11", text: "no wrapper", created_at: "Tue Jan 02 12:00:00 +0000 2024" }
+  ]), { authorId: "1000" });
+
+  assert.deepEqual(tweets.map(tweet => tweet.id), ["11", "10"]);
+  assert.deepEqual(tweets[1], {
+    id: "10",
+    text: "hi",
+    created_at: "2024-01-01T12:00:00.000Z",
+    lang: "en",
+    entities: undefined,
+    author_id: "1000",
+    public_metrics: { retweet_count: 3, reply_count: 0, like_count: 7, quote_count: 0 }
+  });
+});
+
+test("id_str is preferred over the numeric id, which loses precision", () => {
+  const [tweet] = parseArchive(archive([entry({ id_str: "1234567890123456789", id: 1234567890123456800 })]));
+  assert.equal(tweet.id, "1234567890123456789");
+  const [numeric] = parseArchive(archive([entry({ id_str: undefined, id: 42 })]));
+  assert.equal(numeric.id, "42");
+});
+
+test("replies, retweets and quotes keep what identifies them", () => {
+  const [reply, retweet, quote] = parseArchive(archive([
+    entry({ id_str: "3", full_text: "@friend agreed", in_reply_to_status_id_str: "100", in_reply_to_user_id_str: "2000", created_at: "Wed Jan 03 12:00:00 +0000 2024" }),
+    entry({ id_str: "2", full_text: "RT @friend: big news", created_at: "Tue Jan 02 12:00:00 +0000 2024" }),
+    entry({ id_str: "1", full_text: "look at this", quoted_status_id_str: "200" })
+  ]), { authorId: "1000" });
+
+  assert.deepEqual(reply.referenced_tweets, [{ type: "replied_to", id: "100" }]);
+  assert.equal(reply.in_reply_to_user_id, "2000");
+  assert.deepEqual([isReply(reply), isRetweet(reply)], [true, false]);
+  assert.deepEqual([isReply(retweet), isRetweet(retweet)], [false, true]);
+  assert.deepEqual(quote.referenced_tweets, [{ type: "quoted", id: "200" }]);
+});
+
+test("input that isn't a list of tweets is refused", () => {
+  assert.throws(() => parseArchive("window.YTD.tweets.part0 = [{ broken"), SyntaxError);
+  assert.throws(() => parseArchive(""), SyntaxError);
+  assert.throws(() => parseArchive(`window.YTD.tweets.part0 = ${JSON.stringify({ tweet: entry().tweet })}`), /does not contain a list/);
+});
+
+test("tweet ids that aren't numeric are refused", () => {
+  for (const fields of [{ id_str: "1');alert(1);('" }, { id_str: "", id: "x" }, { in_reply_to_status_id_str: "1\"><img>" }, { quoted_status_id_str: "abc" }]) {
+    assert.throws(() => parseArchive(archive([entry(fields)])), /invalid id/, JSON.stringify(fields));
+  }
+});
+
+test("loadArchive reads every part of an unzipped archive once", async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "deletweet-archive-"));
+  fs.mkdirSync(path.join(root, "data"));
+  fs.writeFileSync(path.join(root, "data", "tweets.js"), archive([entry({ id_str: "1" }), entry({ id_str: "2", created_at: "Tue Jan 02 12:00:00 +0000 2024" })]));
+  fs.writeFileSync(path.join(root, "data", "tweets-part1.js"), archive([entry({ id_str: "2", created_at: "Tue Jan 02 12:00:00 +0000 2024" }), entry({ id_str: "3", created_at: "Wed Jan 03 12:00:00 +0000 2024" })]));
+  fs.writeFileSync(path.join(root, "data", "like.js"), archive([entry({ id_str: "99" })]));
+
+  const tweets = await loadArchive(root);
+
+  assert.deepEqual(tweets.map(tweet => tweet.id), ["3", "2", "1"]);
+  await assert.rejects(loadArchive(path.join(root, "data", "missing")), /ENOENT/);
+  fs.mkdirSync(path.join(root, "empty"));
+  await assert.rejects(loadArchive(path.join(root, "empty")), /No tweets.js found/);
+});
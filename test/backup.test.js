@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { TweetBackup, toCsv, toHtml } = require("../lib/backup");
+
+const tweet = (id, text, fields = {}) => ({ id, text, created_at: "2024-01-01T12:00:00.000Z", backed_up_at: "2024-02-01T00:00:00.000Z", ...fields });
+const textColumn = csv => csv.split("\n")[1].split(",").slice(2, -8).join(",");
+
+test("CSV cells with commas, quotes or newlines are quoted", () => {
+  const csv = toCsv([
+    tweet("3", "one, two"),
+    tweet("2", "she said \"hi\""),
+    tweet("1", "line one\nline two", { public_metrics: { like_count: 4 }, media: [{ url: "https://a.example/1.jpg" }, { url: "https://a.example/2.jpg" }] })
+  ]);
+
+  assert.equal(csv.split("\n")[0], "id,created_at,text,like_count,retweet_count,reply_count,quote_count,conversation_id,in_reply_to_user_id,media_urls,backed_up_at");
+  assert.ok(csv.includes("3,2024-01-01T12:00:00.000Z,\"one, two\",,"));
+  assert.ok(csv.includes(",\"she said \"\"hi\"\"\","));
+  assert.ok(csv.includes(",\"line one\nline two\",4,,,,,,https://a.example/1.jpg https://a.example/2.jpg,2024-02-01T00:00:00.000Z\n"));
+  assert.equal(textColumn(toCsv([tweet("4", "plain text")])), "plain text");
+});
+
+test("CSV cells that a spreadsheet would run as a formula are kept as text", () => {
+  for (const [text, cell] of [
+    ["=HYPERLINK(\"https://evil.example\")", "\"'=HYPERLINK(\"\"https://evil.example\"\")\""],
+    ["+1 for this", "'+1 for this"],
+    ["-2 degrees today", "'-2 degrees today"],
+    ["@friend thanks", "'@friend thanks"],
+    ["=1+2, really", "\"'=1+2, really\""]
+  ]) {
+    assert.equal(textColumn(toCsv([tweet("1", text)])), cell, text);
+  }
+  assert.equal(textColumn(toCsv([tweet("1", "1 = 1")])), "1 = 1", "only a leading sign counts");
+});
+
+test("the HTML export escapes tweet text, ids and media links", () => {
+  const html = toHtml([tweet("1\"><b>", "<script>alert('x')</script> & \"more\"", { media: [{ type: "<photo>", url: "https://a.example/\"onerror=\"x" }] })]);
+
+  assert.ok(!html.includes("<script>alert"));
+  assert.ok(html.includes("&lt;script&gt;alert('x')&lt;/script&gt; &amp; &quot;more&quot;"));
+  assert.ok(html.includes("#1&quot;&gt;&lt;b&gt;"));
+  assert.ok(html.includes("<a href=\"https://a.example/&quot;onerror=&quot;x\">&lt;photo&gt;</a>"));
+});
+
+test("export writes the newest snapshot of each tweet in the asked format", async () => {
+  const backup = new TweetBackup(fs.mkdtempSync(path.join(os.tmpdir(), "deletweet-backup-")));
+  await backup.append(tweet("1", "first draft"));
+  await backup.append(tweet("1", "=final"));
+
+  assert.deepEqual(JSON.parse(await backup.export("json")).map(saved => saved.text), ["=final"]);
+  assert.equal(textColumn(await backup.export("csv")), "'=final");
+  assert.ok((await backup.export("html")).includes(">=final</div>"));
+  await assert.rejects(backup.export("xml"), /Unknown export format/);
+});
@@ -0,0 +1,137 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { useTempState } = require("./helpers");
+const { parseArgs, exitCodeFor, ExitCode } = require("../lib/cli");
+const { AccountRegistry } = require("../lib/accounts");
+
+// Runs index.js against a mock account; its logs and backups stay in the temp dir
+function run(...args) {
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, [path.join(__dirname, "..", "index.js"), "--account", "cli", ...args], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+    child.stdin.end(); // Not a terminal, so nobody can answer a prompt
+  });
+}
+
+before(async () => {
+  useTempState();
+  await new AccountRegistry().save({ id: "cli", backend: "mock" });
+});
+
+test("parseArgs reads the command, its arguments and typed flags", () => {
+  assert.deepEqual(parseArgs(["delete", "--ids", "1,2", "--batch-size=5", "--delay", "0.5", "-y"]), {
+    command: "delete",
+    args: [],
+    options: { ids: ["1", "2"], batchSize: 5, delay: 0.5, yes: true }
+  });
+  assert.deepEqual(parseArgs(["--json", "import-archive", "./twitter-archive"]).args, ["./twitter-archive"]);
+  assert.equal(parseArgs(["--help", "list"]).command, "help");
+});
+
+test("parseArgs keeps the flags from before there were commands", () => {
+  assert.deepEqual(parseArgs([]), { command: "delete", args: [], options: { legacy: true } });
+  assert.equal(parseArgs(["--daemon"]).command, "retention");
+  assert.equal(parseArgs(["--export", "csv"]).command, "export");
+});
+
+test("parseArgs rejects what it can't make sense of", () => {
+  const usage = { name: "UsageError", exitCode: ExitCode.USAGE };
+  assert.throws(() => parseArgs(["purge"]), usage);
+  assert.throws(() => parseArgs(["list", "--colour"]), usage);
+  for (const inherited of ["--constructor", "--toString", "--__proto__", "-hasOwnProperty"]) {
+    assert.throws(() => parseArgs(["list", inherited]), { ...usage, message: `Unknown option "${inherited}"` });
+  }
+  assert.throws(() => parseArgs(["list", "--limit", "many"]), usage);
+  assert.throws(() => parseArgs(["list", "--since", "last tuesday"]), /--since must be a date/);
+  assert.throws(() => parseArgs(["list", "--rule"]), usage);
+  assert.throws(() => parseArgs(["delete"]), /--ids <id,id,...> or --rule/);
+  assert.throws(() => parseArgs(["delete", "--ids", "1", "--rule", "original-posts"]), usage);
+  assert.throws(() => parseArgs(["import-archive"]), usage);
+});
+
+test("exitCodeFor tells failures and interruptions apart", () => {
+  assert.equal(exitCodeFor({ deleted: 3, failed: 0 }), ExitCode.OK);
+  assert.equal(exitCodeFor({ deleted: 2, failed: 1 }), ExitCode.PARTIAL);
+  assert.equal(exitCodeFor({ deleted: 1, failed: 1, interrupted: "cancelled" }), ExitCode.INTERRUPTED);
+});
+
+test("list --json prints only the selected tweets on stdout", async () => {
+  const { code, stdout, stderr } = await run("list", "--rule", "original-posts", "--limit", "10", "--json");
+
+  assert.equal(code, ExitCode.OK);
+  const result = JSON.parse(stdout);
+  assert.equal(result.rule, "original-posts");
+  assert.equal(result.count, result.tweets.length);
+  assert.ok(result.tweets.every(tweet => !tweet.text.startsWith("@") && !tweet.text.startsWith("RT ")));
+  assert.match(stderr, /Connected as @mockuser/);
+});
+
+test("scan reports the tweets worth deleting, with their reasons", async () => {
+  const dir = path.dirname(process.env.SCAN_CONFIG_FILE);
+  const archive = path.join(dir, "tweets.js");
+  const tweet = (id, full_text, created_at) => ({ tweet: { id_str: id, full_text, created_at, favorite_count: "0", retweet_count: "0" } });
+  fs.writeFileSync(archive, `window.YTD.tweets.part0 = ${JSON.stringify([
+    tweet("11", "Lovely day for a walk", "Mon Jan 02 10:00:00 +0000 2017"),
+    tweet("12", "Text me on 0412 345 678", "Tue Jan 03 10:00:00 +0000 2017"),
+    tweet("13", "Interviewing at Globex today", "Wed Jan 04 10:00:00 +0000 2017"),
+    tweet("14", "This is stupid and I hate it", "Thu Jan 05 10:00:00 +0000 2017")
+  ])}`);
+  fs.writeFileSync(process.env.SCAN_CONFIG_FILE, JSON.stringify({ terms: { jobs: ["Globex"] } }));
+
+  const { code, stdout } = await run("scan", "--archive", archive, "--json", "--sentiment");
+
+  assert.equal(code, ExitCode.OK);
+  const report = JSON.parse(stdout);
+  assert.equal(report.scanned, 4);
+  assert.deepEqual(report.flagged.map(flagged => [flagged.id, flagged.reason]), [
+    ["12", "Phone number: 0412 345 678"],
+    ["13", "Term list \"jobs\": Globex"],
+    ["14", "Negative tone (-7): stupid, hate"]
+  ]);
+  assert.deepEqual(JSON.parse((await run("scan", "--archive", archive, "--json", "--min-score", "31")).stdout).flagged.map(flagged => flagged.id), ["12"]);
+  fs.unlinkSync(process.env.SCAN_CONFIG_FILE);
+});
+
+test("delete needs --yes when there is no terminal to confirm on", async () => {
+  const refused = await run("delete", "--ids", "1700000000000000025");
+  assert.equal(refused.code, ExitCode.USAGE);
+  assert.match(refused.stderr, /pass --yes/);
+
+  const { code, stdout } = await run("delete", "--ids", "1700000000000000025,1700000000000000024", "--yes", "--json");
+  assert.equal(code, ExitCode.OK);
+  const results = JSON.parse(stdout);
+  assert.equal(results.deleted, 2);
+
+  const status = JSON.parse((await run("status", "--json")).stdout);
+  assert.equal(status.account, "cli");
+  assert.equal(status.budgets.tweets.usedToday, 2);
+  assert.deepEqual(status.unfinishedJobs, []);
+  assert.equal(status.lastRun.jobId, results.jobId);
+});
+
+test("retry runs the retry queue and status counts what is waiting in it", async () => {
+  const { code, stdout } = await run("retry", "--type", "likes", "--json");
+  assert.equal(code, ExitCode.OK);
+  assert.equal(JSON.parse(stdout).jobId, null, "nothing failed, so nothing to run");
+
+  const status = JSON.parse((await run("status", "--json")).stdout);
+  assert.deepEqual(status.retryQueue, { tweets: 0, replies: 0, retweets: 0, likes: 0, bookmarks: 0 });
+});
+
+test("errors come back as exit codes, with --json as well", async () => {
+  const unknown = await run("list", "--type", "mentions", "--json");
+  assert.equal(unknown.code, ExitCode.USAGE);
+  const error = JSON.parse(unknown.stdout);
+  assert.equal(error.exitCode, ExitCode.USAGE);
+  assert.match(error.error, /Unknown content type "mentions"/);
+  const inherited = await run("list", "--type", "constructor", "--json");
+  assert.equal(inherited.code, ExitCode.USAGE);
+
+  const badFlag = await run("status", "--verbose");
+  assert.equal(badFlag.code, ExitCode.USAGE);
+  assert.match(badFlag.stderr, /Usage: tweet-deleter/);
+});
@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, nextRun } = require("../lib/cron");
+
+// Schedules are in local time, so are these dates
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+test("nextRun steps through ranges, steps and lists", () => {
+  assert.deepEqual(nextRun("*/15 * * * *", at(2024, 5, 6, 10, 7)), at(2024, 5, 6, 10, 15));
+  assert.deepEqual(nextRun("0-30/10 * * * *", at(2024, 5, 6, 10, 31)), at(2024, 5, 6, 11, 0));
+  assert.deepEqual(nextRun("0 0 1,15 * *", at(2024, 1, 2)), at(2024, 1, 15));
+  assert.deepEqual(nextRun("0 9-17 * * 1-5", at(2024, 3, 8, 17, 30)), at(2024, 3, 11, 9, 0), "Friday evening waits for Monday");
+  assert.deepEqual(nextRun("@daily", at(2024, 5, 6, 10, 0)), at(2024, 5, 7));
+});
+
+test("nextRun is strictly after the time it starts from", () => {
+  assert.deepEqual(nextRun("0 10 * * *", at(2024, 5, 6, 10, 0)), at(2024, 5, 7, 10, 0));
+});
+
+test("with both day fields restricted, either one is enough", () => {
+  const schedule = "0 12 13 * 5"; // The 13th, or any Friday
+  assert.deepEqual(nextRun(schedule, at(2024, 10, 8)), at(2024, 10, 11, 12, 0), "a Friday");
+  assert.deepEqual(nextRun(schedule, at(2024, 10, 12)), at(2024, 10, 13, 12, 0), "a Sunday the 13th");
+  assert.deepEqual(nextRun("0 12 * * 5", at(2024, 10, 12)), at(2024, 10, 18, 12, 0), "only Fridays when the day of month is *");
+});
+
+test("nextRun rolls over into the next month and year", () => {
+  assert.deepEqual(nextRun("30 6 31 * *", at(2024, 4, 1)), at(2024, 5, 31, 6, 30), "April has no 31st");
+  assert.deepEqual(nextRun("* * * * *", at(2024, 12, 31, 23, 59)), at(2025, 1, 1));
+  assert.deepEqual(nextRun("0 0 1 1 *", at(2024, 6, 1)), at(2025, 1, 1));
+  assert.deepEqual(nextRun("0 0 29 2 *", at(2025, 3, 1)), at(2028, 2, 29));
+  assert.throws(() => nextRun("0 0 31 2 *", at(2024, 1, 1)), /never runs/);
+});
+
+test("parseCron rejects fields it can't read", () => {
+  for (const expression of ["61 * * * *", "* 24 * * *", "*/0 * * * *", "5-1 * * * *", "* * *", "x * * * *"]) {
+    assert.throws(() => parseCron(expression), /schedule|fields/i, expression);
+  }
+});
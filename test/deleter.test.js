@@ -0,0 +1,294 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTempState, createTestDeleter, quietConsole } = require("./helpers");
+const { ItemStatus } = require("../lib/queue");
+const { JobControl } = require("../lib/job-control");
+const { keywordMatcher } = require("../lib/protect");
+
+beforeEach(t => {
+  useTempState();
+  quietConsole(t);
+});
+
+test("fetchUserTweets pages through the whole timeline", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 23 });
+  const pages = [];
+
+  const tweets = await deleter.fetchUserTweets(100, { and: [] }, { onPage: page => pages.push(page) });
+
+  assert.equal(tweets.length, 23);
+  assert.equal(backend.calls.filter(call => call.endpoint === "userTimeline").length, pages.length);
+  assert.equal(pages.length, 3);
+});
+
+test("fetchUserTweets applies the rule", async () => {
+  const { deleter } = createTestDeleter({ tweetCount: 14 });
+
+  const tweets = await deleter.fetchUserTweets(100, { type: "isReply", value: true });
+
+  assert.ok(tweets.length > 0);
+  assert.ok(tweets.every(tweet => tweet.text.startsWith("@")));
+});
+
+test("deleteTweetsInBatches deletes every tweet and completes the job", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 12 });
+  const tweets = backend.tweets.slice(0, 12);
+
+  const results = await deleter.deleteTweetsInBatches(tweets);
+
+  assert.deepEqual({ ...results, jobId: undefined }, { deleted: 12, failed: 0, skipped: 0, interrupted: null, jobId: undefined });
+  assert.deepEqual(backend.deleted.sort(), tweets.map(tweet => tweet.id).sort());
+
+  const job = await deleter.queue.getJob(results.jobId);
+  assert.equal(job.status, "completed");
+  assert.ok(job.items.every(item => item.status === ItemStatus.DELETED));
+  assert.equal((await deleter.backup.readAll()).length, 12);
+});
+
+test("a failing tweet is marked failed without stopping the run", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 5 });
+  const [broken] = backend.tweets;
+  backend.failTweet(broken.id);
+
+  const results = await deleter.deleteTweetsInBatches(backend.tweets);
+
+  assert.equal(results.deleted, 4);
+  assert.equal(results.failed, 1);
+  const item = (await deleter.queue.getJob(results.jobId)).items.find(i => i.id === broken.id);
+  assert.equal(item.status, ItemStatus.FAILED);
+  assert.match(item.error, /not allowed/);
+});
+
+test("every run is written to the audit log", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 4 });
+  const [broken] = backend.tweets;
+  backend.failTweet(broken.id);
+
+  const results = await deleter.deleteTweetsInBatches(backend.tweets);
+
+  const [run] = await deleter.audit.history();
+  assert.equal(run.jobId, results.jobId);
+  assert.equal(run.source, "cli");
+  assert.equal(run.status, "completed");
+  assert.equal(run.total, 4);
+  assert.deepEqual(run.summary, { deleted: 3, failed: 1, skipped: 0 });
+  assert.equal(run.items.length, 4);
+
+  const failed = run.items.find(item => item.id === broken.id);
+  assert.equal(failed.outcome, ItemStatus.FAILED);
+  assert.equal(failed.code, 403);
+  assert.equal(failed.text, broken.text);
+  assert.ok(run.items.every(item => typeof item.durationMs === "number"));
+
+  assert.deepEqual((await deleter.audit.history({ outcome: ItemStatus.FAILED })).length, 1);
+  assert.deepEqual(await deleter.audit.history({ source: "web" }), []);
+});
+
+test("a 429 waits for the reset and retries the same tweet", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 3 });
+  backend.rateLimitNext("deleteTweet", { resetInSeconds: 1 });
+
+  const started = Date.now();
+  const results = await deleter.deleteTweetsInBatches(backend.tweets);
+
+  assert.equal(results.deleted, 3);
+  assert.equal(results.failed, 0);
+  assert.equal(backend.calls.filter(call => call.endpoint === "deleteTweet").length, 4);
+  assert.ok(Date.now() - started >= 900, "should have waited for the reset");
+});
+
+test("protected tweets are skipped and never sent to the API", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 4 });
+  const [kept] = backend.tweets;
+  await deleter.protectList.save({ ids: [kept.id] });
+
+  const results = await deleter.deleteTweetsInBatches(backend.tweets);
+
+  assert.equal(results.skipped, 1);
+  assert.equal(results.deleted, 3);
+  assert.ok(!backend.deleted.includes(kept.id));
+  const item = (await deleter.queue.getJob(results.jobId)).items.find(i => i.id === kept.id);
+  assert.equal(item.status, ItemStatus.SKIPPED);
+});
+
+test("the pinned tweet is kept when only tweet IDs are known", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 3 });
+  const [pinned] = backend.tweets;
+  backend.user.pinned_tweet_id = pinned.id;
+
+  const results = await deleter.deleteTweetsInBatches(backend.tweets.map(tweet => ({ id: tweet.id })));
+
+  assert.deepEqual([results.deleted, results.skipped], [2, 1]);
+  assert.ok(!backend.deleted.includes(pinned.id));
+  assert.equal(deleter.protectList.pinnedTweetId, pinned.id);
+});
+
+test("top N by engagement ranks against the timeline when only tweet IDs are known", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 6 });
+  backend.tweets.forEach((tweet, i) => {
+    tweet.public_metrics = { retweet_count: 0, reply_count: 0, like_count: i, quote_count: 0 };
+  });
+  await deleter.protectList.save({ topByEngagement: 3 });
+  const ids = tweets => tweets.map(tweet => ({ id: tweet.id }));
+
+  const lowest = await deleter.deleteTweetsInBatches(ids(backend.tweets.slice(0, 3)));
+  const top = await deleter.deleteTweetsInBatches(ids(backend.tweets.slice(5)));
+
+  assert.deepEqual([lowest.deleted, lowest.skipped], [3, 0]);
+  assert.deepEqual([top.deleted, top.skipped], [0, 1]);
+});
+
+test("a keyword pattern matches every tweet it fits, whatever its flags", () => {
+  const texts = ["keep this", "KEEP that", "keep me too", "delete"];
+  assert.deepEqual(texts.map(keywordMatcher("/keep/gi")), [true, true, true, false]);
+  assert.deepEqual(texts.map(keywordMatcher("/keep/y")), [true, false, true, false]);
+});
+
+test("keyword protection applies when only tweet IDs are known", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 3 });
+  const [kept] = backend.tweets;
+  kept.text = "Our wedding day";
+  await deleter.protectList.save({ keywords: ["wedding"] });
+
+  const results = await deleter.deleteTweetsInBatches(backend.tweets.map(tweet => ({ id: tweet.id })));
+
+  assert.deepEqual([results.deleted, results.skipped], [2, 1]);
+  assert.ok(!backend.deleted.includes(kept.id));
+  const item = (await deleter.queue.getJob(results.jobId)).items.find(i => i.id === kept.id);
+  assert.equal(item.reason, "Matches protected keyword \"wedding\"");
+});
+
+test("a thread is deleted from its last reply up to the tweet that started it", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 2, threadLength: 3 });
+  const [last, middle, first] = backend.tweets;
+
+  const results = await deleter.deleteTweetsInBatches([first, middle, last]);
+
+  assert.equal(results.deleted, 3);
+  assert.deepEqual(backend.deleted, [last.id, middle.id, first.id]);
+});
+
+test("a reply that can't be deleted keeps the tweets above it", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 2, threadLength: 3 });
+  const [last, middle, first] = backend.tweets;
+  backend.failTweet(middle.id);
+
+  const results = await deleter.deleteTweetsInBatches(backend.tweets);
+
+  assert.deepEqual({ deleted: results.deleted, failed: results.failed, skipped: results.skipped }, { deleted: 3, failed: 1, skipped: 1 });
+  assert.ok(backend.deleted.includes(last.id));
+  assert.ok(!backend.deleted.includes(first.id));
+  const item = (await deleter.queue.getJob(results.jobId)).items.find(i => i.id === first.id);
+  assert.equal(item.status, ItemStatus.SKIPPED);
+  assert.match(item.reason, new RegExp(`Reply ${middle.id} further down`));
+});
+
+test("failed tweets wait in the retry queue until they are retried", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 4 });
+  const [broken] = backend.tweets;
+  backend.failTweet(broken.id, { times: 1 });
+  await deleter.deleteTweetsInBatches(backend.tweets);
+
+  const failed = await deleter.queue.failedItems();
+  assert.deepEqual(failed.map(item => item.id), [broken.id]);
+  assert.deepEqual(await deleter.queue.failedItems("likes"), []);
+
+  const job = await deleter.queue.retryFailed("tweets", "cli");
+  assert.deepEqual(job.items.map(item => item.id), [broken.id]);
+  assert.deepEqual(await deleter.queue.failedItems(), [], "queued again, so no longer waiting");
+
+  const results = await deleter.deleteTweetsInBatches([], job);
+  assert.equal(results.deleted, 1);
+  assert.equal(await deleter.queue.retryFailed("tweets", "cli"), null);
+});
+
+test("resumeUnfinishedJobs finishes only the pending items", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 4 });
+  const job = await deleter.queue.createJob(backend.tweets, "cli");
+  await deleter.queue.updateItem(job.id, backend.tweets[0].id, ItemStatus.DELETED);
+
+  await deleter.resumeUnfinishedJobs("cli");
+
+  assert.equal(backend.deleted.length, 3);
+  assert.ok(!backend.deleted.includes(backend.tweets[0].id));
+  assert.deepEqual(await deleter.queue.getUnfinishedJobs("cli"), []);
+});
+
+test("dry runs simulate the schedule without calling deleteTweet", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 6 }, { dryRun: true });
+
+  const report = await deleter.simulateDeletion(backend.tweets);
+
+  assert.equal(report.toDelete, 6);
+  assert.equal(backend.calls.filter(call => call.endpoint === "deleteTweet").length, 0);
+  await assert.rejects(deleter.deleteTweet(backend.tweets[0].id), /dry run/);
+});
+
+// Interrupt the run right after the first tweet is deleted
+function interruptAfterFirstDeletion(backend, interrupt) {
+  const deleteTweet = backend.v2.deleteTweet;
+  backend.v2.deleteTweet = async tweetId => {
+    const result = await deleteTweet(tweetId);
+    interrupt();
+    return result;
+  };
+}
+
+test("cancelling a run leaves the remaining tweets alone", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 5 });
+  const control = new JobControl();
+  interruptAfterFirstDeletion(backend, () => control.cancel());
+
+  const results = await deleter.deleteTweetsInBatches(backend.tweets, null, control);
+
+  assert.equal(results.interrupted, "cancelled");
+  assert.equal(results.deleted, 1);
+  assert.equal(backend.deleted.length, 1);
+  const job = await deleter.queue.getJob(results.jobId);
+  assert.equal(job.status, "cancelled");
+  assert.equal(job.items.filter(item => item.status === ItemStatus.CANCELLED).length, 4);
+});
+
+test("a stopped run is left paused and resumed on the next run", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 5 });
+  const control = new JobControl();
+  interruptAfterFirstDeletion(backend, () => control.stop());
+
+  const results = await deleter.deleteTweetsInBatches(backend.tweets, null, control);
+
+  assert.equal(results.interrupted, "stopped");
+  assert.equal((await deleter.queue.getJob(results.jobId)).status, "paused");
+
+  const resumed = await deleter.resumeUnfinishedJobs("cli");
+  assert.equal(resumed.deleted, 4);
+  assert.equal(backend.deleted.length, 5);
+  assert.deepEqual(await deleter.queue.getUnfinishedJobs("cli"), []);
+});
+
+test("likes, retweets and replies each have their own fetcher and removal call", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 14, likeCount: 3 });
+
+  const likes = await deleter.fetchUserTweets(100, undefined, { type: "likes" });
+  assert.equal(likes.length, 3);
+  const unliked = await deleter.deleteTweetsInBatches(likes, null, undefined, "likes");
+  assert.equal(unliked.deleted, 3);
+  assert.deepEqual(backend.unliked.sort(), backend.likes.map(tweet => tweet.id).sort());
+  assert.equal((await deleter.queue.getJob(unliked.jobId)).type, "likes");
+
+  const retweets = await deleter.fetchUserTweets(100, undefined, { type: "retweets" });
+  assert.ok(retweets.length > 0 && retweets.every(tweet => tweet.text.startsWith("RT ")));
+  await deleter.deleteTweetsInBatches(retweets, null, undefined, "retweets");
+  assert.deepEqual(backend.unretweeted, retweets.map(tweet => tweet.referenced_tweets[0].id));
+
+  const replies = await deleter.fetchUserTweets(100, undefined, { type: "replies" });
+  assert.ok(replies.length > 0 && replies.every(tweet => tweet.text.startsWith("@")));
+  await deleter.deleteTweetsInBatches(replies, null, undefined, "replies");
+  assert.deepEqual(backend.deleted.sort(), replies.map(tweet => tweet.id).sort());
+
+  // Nothing but the replies was backed up, and every type counted against its own budget
+  assert.equal((await deleter.backup.readAll()).length, replies.length);
+  const budget = await deleter.scheduler.read();
+  assert.equal(budget.deletions.length, replies.length);
+  assert.equal(budget.budgets.likes.length, 3);
+  assert.equal(budget.budgets.retweets.length, retweets.length);
+});
@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { matchesRule, validateRule, applyRule } = require("../lib/filters");
+const { RuleStore } = require("../lib/rules");
+
+const tweet = {
+  id: "1",
+  text: "Shipping the new release today #launch",
+  created_at: "2020-01-15T12:00:00.000Z",
+  lang: "en",
+  public_metrics: { like_count: 12, retweet_count: 3 }
+};
+
+test("conditions match on text, engagement and age", () => {
+  assert.equal(matchesRule(tweet, { type: "keyword", include: ["release"] }), true);
+  assert.equal(matchesRule(tweet, { type: "keyword", exclude: ["#launch"] }), false);
+  assert.equal(matchesRule(tweet, { type: "likes", min: 10 }), true);
+  assert.equal(matchesRule(tweet, { type: "retweets", max: 2 }), false);
+  assert.equal(matchesRule(tweet, { type: "olderThan", days: 365 }), true);
+});
+
+test("combinators nest", () => {
+  const rule = { and: [{ type: "language", languages: ["en"] }, { not: { or: [{ type: "likes", min: 100 }, { type: "isReply", value: true }] } }] };
+  assert.equal(matchesRule(tweet, rule), true);
+  assert.deepEqual(applyRule([tweet, { ...tweet, id: "2", lang: "de" }], rule).map(t => t.id), ["1"]);
+});
+
+test("replies within our own thread are not counted as replies", () => {
+  const selfReply = { ...tweet, author_id: "1000", in_reply_to_user_id: "1000", referenced_tweets: [{ type: "replied_to", id: "0" }] };
+
+  assert.equal(matchesRule(selfReply, { type: "isReply", value: true }), false);
+  assert.equal(matchesRule({ ...selfReply, in_reply_to_user_id: "2000" }, { type: "isReply", value: true }), true);
+});
+
+test("validateRule rejects unknown condition types", () => {
+  assert.throws(() => validateRule({ type: "nonsense" }));
+});
+
+test("rule names that exist on every object are ordinary names", async () => {
+  const store = new RuleStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "deletweet-rules-")), "rules.json"));
+  await assert.rejects(store.get("constructor"), /Unknown rule "constructor"/);
+  await assert.rejects(store.get("toString"), /Unknown rule/);
+  assert.equal(await store.remove("hasOwnProperty"), false);
+
+  const rule = { type: "likes", max: 0 };
+  await store.save("__proto__", rule);
+  await store.save("recent", { type: "olderThan", days: 1 });
+
+  assert.deepEqual(await store.get("__proto__"), rule);
+  assert.deepEqual(Object.keys(await store.readSaved()), ["__proto__", "recent"]);
+  assert.equal(await store.remove("__proto__"), true);
+  await assert.rejects(store.get("__proto__"), /Unknown rule/);
+});
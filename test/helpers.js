@@ -0,0 +1,54 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MockTwitterBackend } = require("../lib/mock-backend");
+
+// Point every on-disk store at a fresh temp dir and make pacing instant
+function useTempState() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deletweet-test-"));
+  Object.assign(process.env, {
+    DELETION_QUEUE_FILE: path.join(dir, "queue.json"),
+    RATE_BUDGET_FILE: path.join(dir, "rate_budget.json"),
+    TWEET_PROTECT_FILE: path.join(dir, "protect.json"),
+    TWEET_RULES_FILE: path.join(dir, "rules.json"),
+    TWEET_BACKUP_DIR: path.join(dir, "backups"),
+    ACCOUNTS_FILE: path.join(dir, "accounts.json"),
+    ACCOUNTS_DIR: path.join(dir, "accounts"),
+    TWITTER_TOKEN_FILE: path.join(dir, "oauth_tokens.enc"),
+    AUDIT_LOG_FILE: path.join(dir, "audit_log.jsonl"),
+    NOTIFICATIONS_FILE: path.join(dir, "notifications.json"),
+    SCAN_CONFIG_FILE: path.join(dir, "scan.json"),
+    TWITTER_PLAN: "custom",
+    TIMELINE_PAGE_SIZE: "10",
+    TWEETS_PER_BATCH: "10",
+    BATCH_DELAY_MINUTES: "0",
+    DELETION_DELAY_SECONDS: "0",
+    MAX_DELETIONS_PER_DAY: "1000",
+    RETRY_BASE_DELAY_SECONDS: "0.01"
+  });
+  delete process.env.DRY_RUN;
+  return dir;
+}
+
+// A TweetDeleter wired to a fresh mock backend
+function createTestDeleter(backendOptions = {}, deleterOptions = {}) {
+  const TweetDeleter = require("../index.js");
+  let backend;
+  const deleter = new TweetDeleter({
+    ...deleterOptions,
+    backend: ({ plugins }) => (backend = new MockTwitterBackend({ plugins, ...backendOptions }))
+  });
+  deleter.saveDeletionLog = async () => {}; // Keep test runs out of the project directory
+  return { deleter, backend };
+}
+
+// Silence the CLI's progress output for the duration of a test
+function quietConsole(t) {
+  for (const method of ["log", "error"]) {
+    const original = console[method];
+    console[method] = () => {};
+    t.after(() => { console[method] = original; });
+  }
+}
+
+module.exports = { useTempState, createTestDeleter, quietConsole };
@@ -0,0 +1,194 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { useTempState, createTestDeleter, quietConsole } = require("./helpers");
+const { JobEngine } = require("../lib/job-engine");
+const { logFileReporter, sseReporter } = require("../lib/reporters");
+const { JobControl } = require("../lib/job-control");
+const { ErrorKind, AuthRevokedError } = require("../lib/retry");
+const { DeletionQueue, ItemStatus, JobStatus } = require("../lib/queue");
+
+let dir;
+beforeEach(t => {
+  dir = useTempState();
+  quietConsole(t);
+});
+
+// Every event the engine emits, in order
+function recorder(events) {
+  return engine => {
+    const emit = engine.emit.bind(engine);
+    engine.emit = (type, details) => {
+      events.push({ type, ...details });
+      return emit(type, details);
+    };
+  };
+}
+
+test("a job runs batch by batch and reports each step", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 3 }, { pacing: { batchSize: 2 } });
+  const job = await deleter.queue.createJob(backend.tweets, "cli");
+  const events = [];
+
+  const results = await new JobEngine(deleter, job, { reporters: [recorder(events)] }).start();
+
+  assert.deepEqual(results, { deleted: 3, failed: 0, skipped: 0, interrupted: null, jobId: job.id });
+  assert.deepEqual(events.map(event => event.type), [
+    "job-started", "batch", "started", "deleted", "started", "deleted",
+    "batch-sleep", "batch", "started", "deleted", "finished"
+  ]);
+  assert.deepEqual(events[1], { type: "batch", batch: 1, totalBatches: 2, size: 2 });
+});
+
+test("a 429 retries the same tweet, not the batch", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 3 }, { pacing: { batchSize: 2 } });
+  const [first, second, third] = backend.tweets;
+  const job = await deleter.queue.createJob(backend.tweets, "cli");
+  const events = [];
+  // Rate limited on the second tweet of the first batch
+  const deleteTweet = backend.v2.deleteTweet;
+  backend.v2.deleteTweet = async tweetId => {
+    if (tweetId === second.id) {
+      backend.v2.deleteTweet = deleteTweet;
+      backend.rateLimitNext("deleteTweet", { resetInSeconds: 1 });
+    }
+    return deleteTweet(tweetId);
+  };
+
+  const results = await new JobEngine(deleter, job, { reporters: [recorder(events)] }).start();
+
+  assert.equal(results.deleted, 3);
+  assert.deepEqual(events.filter(event => event.type === "started").map(event => event.id), [first.id, second.id, second.id, third.id]);
+  assert.equal(events.find(event => event.type === "rate-limited").id, second.id);
+  assert.deepEqual(backend.deleted, [first.id, second.id, third.id]);
+});
+
+test("a 429 on an unlike reports when unliking may go on, not when deleting may", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 1, likeCount: 2 });
+  const job = await deleter.queue.createJob(backend.likes, "cli", { type: "likes" });
+  backend.rateLimitNext("unlike", { resetInSeconds: 2 });
+  const engine = new JobEngine(deleter, job);
+  const waits = [];
+  engine.on("rate-limited", ({ until }) => waits.push(Date.parse(until) - Date.now()));
+
+  const results = await engine.start();
+
+  assert.equal(results.deleted, 2);
+  assert.equal(waits.length, 1);
+  assert.ok(waits[0] > 1000, `the unlike endpoint's reset, got ${waits[0]}ms`);
+});
+
+test("transient failures are retried with backoff until the attempts run out", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 2 });
+  const [flaky, down] = backend.tweets;
+  backend.failTweet(flaky.id, { code: 503, message: "Service Unavailable", times: 2 });
+  backend.failTweet(down.id, { code: 502, message: "Bad Gateway" });
+  const job = await deleter.queue.createJob(backend.tweets, "cli");
+  const events = [];
+
+  const results = await new JobEngine(deleter, job, { retry: { maxAttempts: 3, baseDelayMs: 10, maxDelayMs: 10 }, reporters: [recorder(events)] }).start();
+
+  assert.deepEqual({ deleted: results.deleted, failed: results.failed }, { deleted: 1, failed: 1 });
+  assert.deepEqual(events.filter(event => event.type === "retrying").map(event => [event.id, event.attempt]),
+    [[flaky.id, 1], [flaky.id, 2], [down.id, 1], [down.id, 2]]);
+  const item = (await deleter.queue.getJob(job.id)).items.find(i => i.id === down.id);
+  assert.equal(item.kind, ErrorKind.TRANSIENT);
+});
+
+test("a tweet that is already gone counts as deleted", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 2 });
+  const [gone] = backend.tweets;
+  backend.failTweet(gone.id, { code: 404, message: "Not Found Error" });
+  const job = await deleter.queue.createJob(backend.tweets, "cli");
+
+  const results = await new JobEngine(deleter, job).start();
+
+  assert.deepEqual({ deleted: results.deleted, failed: results.failed }, { deleted: 2, failed: 0 });
+  const item = (await deleter.queue.getJob(job.id)).items.find(i => i.id === gone.id);
+  assert.equal(item.status, ItemStatus.DELETED);
+  assert.equal(item.reason, "Already gone");
+});
+
+test("revoked access halts the job with the rest still queued", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 3 });
+  const [first, revoked] = backend.tweets;
+  backend.failTweet(revoked.id, { code: 401, message: "Unauthorized" });
+  const job = await deleter.queue.createJob(backend.tweets, "cli");
+
+  await assert.rejects(new JobEngine(deleter, job).start(), AuthRevokedError);
+
+  assert.deepEqual(backend.deleted, [first.id]);
+  const halted = await deleter.queue.getJob(job.id);
+  assert.equal(halted.status, JobStatus.PAUSED);
+  assert.equal(DeletionQueue.pendingItems(halted).length, 2);
+});
+
+test("removed tweets are passed over", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 3 });
+  const [kept] = backend.tweets;
+  const job = await deleter.queue.createJob(backend.tweets, "web");
+  await deleter.queue.cancelItems(job.id, [kept.id]);
+  const engine = new JobEngine(deleter, job);
+
+  engine.remove([kept.id]);
+  const results = await engine.start();
+
+  assert.equal(results.deleted, 2);
+  assert.ok(!backend.deleted.includes(kept.id));
+});
+
+test("the SSE reporter sends steps and reports a cancel", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 3 });
+  const job = await deleter.queue.createJob(backend.tweets, "web");
+  const control = new JobControl();
+  const sent = [];
+  const engine = new JobEngine(deleter, job, {
+    control,
+    reporters: [sseReporter((type, details) => sent.push({ type, ...details }))]
+  });
+  engine.once("deleted", () => engine.cancel());
+
+  const results = await engine.start();
+
+  assert.equal(results.interrupted, "cancelled");
+  assert.deepEqual(sent.map(event => event.type), ["job-started", "started", "deleted", "cancelled"]);
+  assert.equal((await deleter.queue.getJob(job.id)).status, "cancelled");
+});
+
+test("the log file reporter appends a JSON line per event", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 2 });
+  const job = await deleter.queue.createJob(backend.tweets, "cli");
+  const file = path.join(dir, "progress.jsonl");
+
+  await new JobEngine(deleter, job, { reporters: [logFileReporter(file)] }).start();
+
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n").map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(line => line.type), ["job-started", "batch", "started", "deleted", "started", "deleted", "finished"]);
+  assert.ok(lines.every(line => line.jobId === job.id && line.at));
+  assert.equal(lines.at(-1).deleted, 2);
+});
+
+test("jobs in different processes sharing the queue file don't lose each other's updates", async () => {
+  // Queues a job of 20 tweets and marks them deleted one by one
+  const runJob = prefix => new Promise((resolve, reject) => {
+    const script = `
+      const { DeletionQueue, ItemStatus } = require(${JSON.stringify(path.join(__dirname, "..", "lib", "queue"))});
+      (async () => {
+        const queue = new DeletionQueue();
+        const tweets = Array.from({ length: 20 }, (_, i) => ({ id: "${prefix}" + i, text: "tweet " + i }));
+        const job = await queue.createJob(tweets, "${prefix}");
+        for (const tweet of tweets) await queue.updateItem(job.id, tweet.id, ItemStatus.DELETED);
+      })();
+    `;
+    execFile(process.execPath, ["-e", script], error => (error ? reject(error) : resolve()));
+  });
+
+  await Promise.all([runJob("cli"), runJob("web")]);
+
+  const { jobs } = await new DeletionQueue().read();
+  assert.deepEqual(jobs.map(job => job.source).sort(), ["cli", "web"]);
+  jobs.forEach(job => assert.equal(DeletionQueue.summarize(job).deleted, 20));
+  assert.deepEqual(fs.readdirSync(dir).filter(file => file.startsWith("queue.json")), ["queue.json"]);
+});
@@ -0,0 +1,190 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const path = require("path");
+const EventEmitter = require("events");
+const { useTempState, createTestDeleter, quietConsole } = require("./helpers");
+const { Notifier, NotificationSettings, NotificationEvent, publicSettings } = require("../lib/notifications");
+const { notificationReporter } = require("../lib/reporters");
+const { JobEngine } = require("../lib/job-engine");
+
+let dir;
+beforeEach(t => {
+  dir = useTempState();
+  quietConsole(t);
+});
+
+const settingsFrom = env => new NotificationSettings(path.join(dir, "notifications.json"), env);
+
+// A notifier whose only channel keeps what it is sent
+function recordingNotifier(sent, env = {}) {
+  const senders = { record: { configured: () => true, send: async (settings, message) => { sent.push(message); } } };
+  return new Notifier({ settings: settingsFrom(env), senders });
+}
+
+// Runs `handle(req, body, res)` for each request to a local HTTP server
+async function withServer(handle, run) {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => handle(req, body, res));
+  });
+  server.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}/hook`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test("the webhook gets a JSON payload Slack and Discord can show", async () => {
+  const received = [];
+  const results = await withServer((req, body, res) => {
+    received.push({ method: req.method, type: req.headers["content-type"], body: JSON.parse(body) });
+    res.end("ok");
+  }, url => new Notifier({ settings: settingsFrom({ NOTIFY_WEBHOOK_URL: url }) }).notify(NotificationEvent.TEST));
+
+  assert.deepEqual(results, [{ channel: "webhook", ok: true }]);
+  const [{ method, type, body }] = received;
+  assert.equal(method, "POST");
+  assert.equal(type, "application/json");
+  assert.equal(body.event, "test");
+  assert.match(body.text, /^Test notification: /);
+  assert.match(body.content, /^\*\*Test notification\*\*\n/);
+});
+
+test("a failing channel is reported, not thrown, and disabled events are not sent", async () => {
+  await withServer((req, body, res) => {
+    res.statusCode = 500;
+    res.end();
+  }, async url => {
+    const notifier = new Notifier({ settings: settingsFrom({ NOTIFY_WEBHOOK_URL: url, NOTIFY_EVENTS: "job-failed" }) });
+    assert.deepEqual(await notifier.notify(NotificationEvent.JOB_STARTED, { jobId: "job-1" }), []);
+    const [result] = await notifier.notify(NotificationEvent.JOB_FAILED, { jobId: "job-1", error: "boom", deleted: 0 });
+    assert.equal(result.ok, false);
+    assert.match(result.error, /500/);
+  });
+});
+
+test("email goes out through the SMTP server", async () => {
+  const commands = [];
+  let message = "";
+  const server = net.createServer(socket => {
+    let inData = false;
+    let buffer = "";
+    socket.write("220 test ESMTP\r\n");
+    socket.on("data", chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            socket.write("250 queued\r\n");
+          } else {
+            message += line + "\n";
+          }
+          continue;
+        }
+        commands.push(line.split(" ")[0]);
+        if (line.startsWith("EHLO")) socket.write("250-test\r\n250 AUTH PLAIN\r\n");
+        else if (line.startsWith("AUTH")) socket.write(line === `AUTH PLAIN ${Buffer.from("\0bot\0secret").toString("base64")}` ? "235 ok\r\n" : "535 no\r\n");
+        else if (line === "DATA") { inData = true; socket.write("354 go\r\n"); }
+        else if (line === "QUIT") socket.end("221 bye\r\n");
+        else socket.write("250 ok\r\n");
+      }
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+
+  try {
+    const notifier = new Notifier({
+      settings: settingsFrom({
+        SMTP_HOST: "127.0.0.1",
+        SMTP_PORT: String(server.address().port),
+        SMTP_USER: "bot",
+        SMTP_PASS: "secret",
+        NOTIFY_EMAIL_FROM: "bot@example.com",
+        NOTIFY_EMAIL_TO: "me@example.com"
+      })
+    });
+    assert.deepEqual(await notifier.notify(NotificationEvent.JOB_COMPLETED, { jobId: "job-1", deleted: 5, failed: 1, skipped: 0 }),
+      [{ channel: "email", ok: true }]);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  assert.deepEqual(commands, ["EHLO", "AUTH", "MAIL", "RCPT", "DATA", "QUIT"]);
+  assert.match(message, /^Subject: \[Tweet Deleter\] Deletion job completed$/m);
+  const body = Buffer.from(message.split("\n\n")[1].replace(/\n/g, ""), "base64").toString("utf8");
+  assert.match(body, /Job job-1 finished: 5 deleted, 1 failed, 0 protected/);
+});
+
+test("the command hook gets the message as JSON and in the environment", async () => {
+  const out = path.join(dir, "hook.txt");
+  const notifier = new Notifier({ settings: settingsFrom({ NOTIFY_COMMAND: `cat > "${out}" && echo "$NOTIFY_EVENT" >> "${out}"` }) });
+
+  assert.deepEqual(await notifier.notify(NotificationEvent.TEST), [{ channel: "command", ok: true }]);
+
+  const written = fs.readFileSync(out, "utf8");
+  const end = written.lastIndexOf("}") + 1;
+  assert.equal(JSON.parse(written.slice(0, end)).title, "Test notification");
+  assert.equal(written.slice(end).trim(), "test");
+  const [failed] = await new Notifier({ settings: settingsFrom({ NOTIFY_COMMAND: "echo nope >&2; exit 3" }) }).notify(NotificationEvent.TEST);
+  assert.deepEqual(failed, { channel: "command", ok: false, error: "command exited with 3: nope" });
+});
+
+test("settings saved from the UI keep the password and never show it", async () => {
+  const settings = settingsFrom({ SMTP_HOST: "smtp.example.com", SMTP_PASS: "from-env" });
+
+  await settings.save({ emailTo: "me@example.com", smtpPass: "saved", events: ["job-completed"] });
+  const saved = await settings.save({ smtpPort: 465, smtpPass: "" });
+
+  assert.equal(saved.smtpPass, "saved");
+  assert.equal(saved.smtpSecure, true);
+  const shown = publicSettings(saved);
+  assert.equal(shown.smtpPass, undefined);
+  assert.equal(shown.hasSmtpPass, true);
+  assert.deepEqual(shown.channels, ["email"]);
+  await assert.rejects(settings.save({ webhookUrl: "ftp://example.com" }), /http/);
+  await assert.rejects(settings.save({ events: ["job-exploded"] }), /Unknown notification event/);
+});
+
+test("a job notifies when it starts and when it is done", async () => {
+  const { deleter, backend } = createTestDeleter({ tweetCount: 2 });
+  const job = await deleter.queue.createJob(backend.tweets, "cli");
+  const sent = [];
+  const notifier = recordingNotifier(sent);
+
+  await new JobEngine(deleter, job, { reporters: [notificationReporter(notifier)] }).start();
+  await notifier.settle();
+
+  assert.deepEqual(sent.map(message => message.event), ["job-started", "job-completed"]);
+  assert.deepEqual(sent[1].details, { account: "default", jobId: job.id, contentType: "tweets", deleted: 2, failed: 0, skipped: 0, interrupted: null, error: undefined });
+  assert.equal(sent[1].text, `Job ${job.id} on account default finished: 2 deleted, 0 failed, 0 protected.`);
+});
+
+test("rate limits are notified once a job and daily limits once a day", async () => {
+  const sent = [];
+  const notifier = recordingNotifier(sent);
+  const engine = Object.assign(new EventEmitter(), { deleter: { account: { id: "default" } }, job: { id: "job-1" }, type: "tweets" });
+  notificationReporter(notifier)(engine);
+
+  engine.emit("rate-limited", { id: "1", until: "2026-01-01T00:15:00.000Z" });
+  engine.emit("rate-limited", { id: "2", until: "2026-01-01T00:30:00.000Z" });
+  engine.emit("waiting", { until: "2026-01-02T00:00:00.000Z", reason: "daily budget of 400 deletions" });
+  engine.emit("waiting", { until: "2026-01-02T00:00:00.000Z", reason: "daily budget of 400 deletions" });
+  engine.emit("waiting", { until: "2026-01-01T00:03:00.000Z", reason: "pacing between deletions" });
+  engine.emit("waiting", { until: "2026-01-03T00:00:00.000Z", reason: "API daily limit" });
+  engine.emit("finished", { deleted: 1, failed: 0, skipped: 0, interrupted: null, error: "Access was refused" });
+  await notifier.settle();
+
+  assert.deepEqual(sent.map(message => message.event), ["rate-limited", "daily-limit", "daily-limit", "job-failed"]);
+  assert.equal(sent[1].details.until, "2026-01-02T00:00:00.000Z");
+});
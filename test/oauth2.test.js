@@ -0,0 +1,126 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { useTempState } = require("./helpers");
+const { TokenStore } = require("../lib/token-store");
+const { OAuth2Backend, PendingLogins } = require("../lib/oauth2");
+const { MockTwitterBackend, MockApiError } = require("../lib/mock-backend");
+
+beforeEach(() => {
+  useTempState();
+});
+
+// Fake OAuth 2.0 app: hands out numbered tokens and remembers what it was asked
+function fakeApp() {
+  const app = { refreshed: [], issued: 0 };
+  app.generateOAuth2AuthLink = (redirectUri, { scope }) => ({
+    url: `https://x.example/authorize?redirect_uri=${encodeURIComponent(redirectUri)}&scope=${scope.join("+")}`,
+    state: `state-${++app.issued}`,
+    codeVerifier: `verifier-${app.issued}`
+  });
+  app.refreshOAuth2Token = async refreshToken => {
+    app.refreshed.push(refreshToken);
+    return { accessToken: `access-${app.refreshed.length + 1}`, refreshToken: `refresh-${app.refreshed.length + 1}`, expiresIn: 7200 };
+  };
+  return app;
+}
+
+test("tokens are encrypted at rest and survive a new store instance", async () => {
+  const store = new TokenStore();
+  await store.set("brand", { accessToken: "very-secret-access", refreshToken: "r", expiresAt: 1 });
+
+  const onDisk = fs.readFileSync(process.env.TWITTER_TOKEN_FILE, "utf8");
+  assert.ok(!onDisk.includes("very-secret-access"));
+  assert.equal((await new TokenStore().get("brand")).accessToken, "very-secret-access");
+  assert.equal(await store.remove("brand"), true);
+  assert.equal(await store.get("brand"), null);
+});
+
+// Saves tokens for ten accounts named after its argument
+const SAVE_TOKENS = `
+const { TokenStore } = require(${JSON.stringify(path.join(__dirname, "..", "lib", "token-store"))});
+const store = new TokenStore();
+(async () => {
+  for (let i = 0; i < 10; i++) {
+    await store.set(process.argv[1] + i, { accessToken: "a" });
+  }
+})();
+`;
+
+function saveTokens(prefix) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ["-e", SAVE_TOKENS, prefix], error => error ? reject(error) : resolve());
+  });
+}
+
+test("processes sharing the token file share its key and keep each other's tokens", async () => {
+  await Promise.all([saveTokens("cli"), saveTokens("web")]);
+
+  const saved = Object.keys(await new TokenStore().read());
+  assert.equal(saved.length, 20);
+  const dir = path.dirname(process.env.TWITTER_TOKEN_FILE);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ["oauth_tokens.enc", "oauth_tokens.enc.key"], "no temp or lock files are left behind");
+});
+
+test("a different encryption key cannot read the tokens", async () => {
+  process.env.TOKEN_ENCRYPTION_KEY = "first";
+  await new TokenStore().set("brand", { accessToken: "a" });
+  process.env.TOKEN_ENCRYPTION_KEY = "second";
+
+  await assert.rejects(new TokenStore().get("brand"), /Cannot decrypt/);
+  delete process.env.TOKEN_ENCRYPTION_KEY;
+});
+
+test("OAuth2Backend refreshes expired tokens before calling the API", async () => {
+  const tokenStore = new TokenStore();
+  await tokenStore.set("brand", { accessToken: "access-1", refreshToken: "refresh-1", expiresAt: Date.now() - 1000 });
+  const app = fakeApp();
+  const usedTokens = [];
+  const backend = new OAuth2Backend("brand", {
+    tokenStore,
+    createApp: () => app,
+    createUserClient: token => (usedTokens.push(token), new MockTwitterBackend())
+  });
+
+  await Promise.all([backend.v2.me(), backend.v2.me()]);
+
+  assert.deepEqual(app.refreshed, ["refresh-1"], "concurrent calls share one refresh");
+  assert.deepEqual(usedTokens, ["access-2", "access-2"]);
+  assert.equal((await tokenStore.get("brand")).refreshToken, "refresh-2");
+});
+
+test("OAuth2Backend refreshes and retries once on 401", async () => {
+  const tokenStore = new TokenStore();
+  await tokenStore.set("brand", { accessToken: "access-1", refreshToken: "refresh-1", expiresAt: Date.now() + 3600 * 1000 });
+  const app = fakeApp();
+  const backend = new OAuth2Backend("brand", {
+    tokenStore,
+    createApp: () => app,
+    createUserClient: token => {
+      const client = new MockTwitterBackend();
+      if (token === "access-1") client.v2.me = async () => { throw new MockApiError(401, "Unauthorized"); };
+      return client;
+    }
+  });
+
+  const me = await backend.v2.me();
+
+  assert.equal(me.data.username, "mockuser");
+  assert.deepEqual(app.refreshed, ["refresh-1"]);
+});
+
+test("accounts that never signed in get a clear error", async () => {
+  const backend = new OAuth2Backend("nobody", { createApp: fakeApp });
+  await assert.rejects(backend.v2.me(), /not signed in/);
+});
+
+test("PendingLogins hands out each state once", () => {
+  const logins = new PendingLogins();
+  const url = logins.start(fakeApp(), "http://localhost:3000/auth/twitter/callback", { accountId: "brand" });
+
+  assert.match(url, /offline\.access/);
+  assert.equal(logins.take("state-1").codeVerifier, "verifier-1");
+  assert.equal(logins.take("state-1"), null);
+});
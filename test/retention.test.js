@@ -0,0 +1,51 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { useTempState, createTestDeleter, quietConsole } = require("./helpers");
+const { RetentionDaemon, Lockfile, retentionRuleFromEnv } = require("../lib/retention");
+
+let dir;
+beforeEach(t => {
+  dir = useTempState();
+  quietConsole(t);
+});
+
+test("a run reads the timeline from the retention cutoff back, past the newest tweets", async () => {
+  // A tweet every 12 hours; the newest 5 are all within the 5 days kept
+  const { deleter, backend } = createTestDeleter({ tweetCount: 25 }, { reporters: [] });
+  deleter.plan.timeline.maxTweets = 5;
+  const daemon = new RetentionDaemon(deleter, {
+    rule: retentionRuleFromEnv({ RETENTION_DAYS: "5" }),
+    stateFile: path.join(dir, "retention_state.json"),
+    lockFile: path.join(dir, "retention.lock")
+  });
+
+  const lastRun = await daemon.runOnce();
+
+  assert.ok(lastRun.matched > 0, "old tweets were found");
+  assert.equal(lastRun.deleted, lastRun.matched);
+  const cutoff = Date.now() - 5 * 24 * 60 * 60 * 1000;
+  const deleted = backend.tweets.filter(tweet => backend.deleted.includes(tweet.id));
+  assert.ok(deleted.every(tweet => Date.parse(tweet.created_at) < cutoff));
+});
+
+test("a stale lock that can't be removed fails instead of retrying forever", async () => {
+  const lockFile = path.join(dir, "retention.lock");
+  fs.mkdirSync(lockFile); // Exists, has no owner and can't be unlinked
+
+  await assert.rejects(new Lockfile(lockFile).acquire(), /Could not take over the stale lock/);
+});
+
+test("a lock held by a live process is left alone, a dead one's is taken over", async () => {
+  const lockFile = path.join(dir, "retention.lock");
+  fs.writeFileSync(lockFile, String(process.pid));
+  assert.equal(await new Lockfile(lockFile).acquire(), false);
+
+  fs.writeFileSync(lockFile, "999999999");
+  const lock = new Lockfile(lockFile);
+  assert.equal(await lock.acquire(), true);
+  assert.equal(fs.readFileSync(lockFile, "utf8"), String(process.pid));
+  await lock.release();
+  assert.ok(!fs.existsSync(lockFile));
+});
@@ -0,0 +1,33 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ErrorKind, classifyError, retryPolicy, backoffDelay } = require("../lib/retry");
+const { MockApiError } = require("../lib/mock-backend");
+
+test("classifyError tells transient, permanent, gone and revoked apart", () => {
+  assert.equal(classifyError(new MockApiError(503, "Service Unavailable")), ErrorKind.TRANSIENT);
+  assert.equal(classifyError(Object.assign(new Error("socket hang up"), { requestError: { code: "ECONNRESET" } })), ErrorKind.TRANSIENT);
+  assert.equal(classifyError(Object.assign(new Error("connect ETIMEDOUT"), { code: "ETIMEDOUT" })), ErrorKind.TRANSIENT);
+  assert.equal(classifyError(new MockApiError(404, "Not Found Error")), ErrorKind.ALREADY_GONE);
+  assert.equal(classifyError(new MockApiError(403, "You are not allowed to delete this Tweet")), ErrorKind.PERMANENT);
+  assert.equal(classifyError(new MockApiError(400, "Invalid Request")), ErrorKind.PERMANENT);
+  assert.equal(classifyError(new MockApiError(401, "Unauthorized")), ErrorKind.AUTH_REVOKED);
+  const unsupported = new MockApiError(403, "Forbidden");
+  unsupported.data.type = "https://api.twitter.com/2/problems/unsupported-authentication";
+  assert.equal(classifyError(unsupported), ErrorKind.AUTH_REVOKED);
+});
+
+test("backoffDelay doubles up to the cap, with jitter in the upper half", () => {
+  const policy = { baseDelayMs: 1000, maxDelayMs: 5000 };
+  assert.equal(backoffDelay(1, policy, () => 0), 500);
+  assert.equal(backoffDelay(1, policy, () => 1), 1000);
+  assert.equal(backoffDelay(3, policy, () => 1), 4000);
+  assert.equal(backoffDelay(10, policy, () => 1), 5000);
+  assert.equal(backoffDelay(10, policy, () => 0), 2500);
+});
+
+test("retryPolicy reads the environment and falls back on bad values", () => {
+  assert.deepEqual(retryPolicy({}), { maxAttempts: 4, baseDelayMs: 5000, maxDelayMs: 300000 });
+  assert.deepEqual(retryPolicy({ RETRY_MAX_ATTEMPTS: "2", RETRY_BASE_DELAY_SECONDS: "0.5", RETRY_MAX_DELAY_SECONDS: "soon" }),
+    { maxAttempts: 2, baseDelayMs: 500, maxDelayMs: 300000 });
+  assert.equal(retryPolicy({ RETRY_MAX_ATTEMPTS: "0" }).maxAttempts, 1);
+});
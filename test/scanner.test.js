@@ -0,0 +1,90 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SensitiveScanner, Category } = require("../lib/scanner");
+
+const scanner = (config = {}) => {
+  const created = new SensitiveScanner(path.join(os.tmpdir(), "no-such-scan.json"));
+  created.setConfig(config);
+  return created;
+};
+const categories = result => result.reasons.map(reason => reason.category);
+
+test("profanity, personal data and dead links are flagged with a reason and a score", () => {
+  const check = text => scanner().scanTweet({ text });
+
+  const swearing = check("What the FUCK is this shit");
+  assert.deepEqual(swearing, { score: 50, reasons: [{ category: Category.PROFANITY, detail: "Profanity: fuck, shit", weight: 50 }] });
+
+  assert.deepEqual(categories(check("Call me on +1 (555) 123-4567 or jo@example.com")), [Category.PERSONAL_DATA, Category.PERSONAL_DATA]);
+  assert.match(check("Party at 221 Baker Street tonight").reasons[0].detail, /Street address: 221 Baker Street/);
+  assert.equal(check("Watch this https://vine.co/v/abc123").reasons[0].detail, "Link to a dead site: vine.co");
+  const expanded = scanner().scanTweet({ text: "https://t.co/x", entities: { urls: [{ url: "https://t.co/x", expanded_url: "http://www.twitpic.com/abc" }] } });
+  assert.deepEqual(categories(expanded), [Category.DEAD_LINK]);
+});
+
+test("ordinary tweets, dates and big numbers are not flagged", () => {
+  for (const text of ["Shipping the new release today", "Released 2023-04-05 at 12:30", "We passed 100.000.000 downloads", "Ping @friend about it", "Scunthorpe won 3-1"]) {
+    assert.deepEqual(scanner().scanTweet({ text }).reasons, [], text);
+  }
+});
+
+test("custom term lists, extra words and dead domains come from the config", () => {
+  const custom = scanner({
+    terms: { "old employer": ["Initech", "/tps reports?/i"], politics: { weight: 60, terms: ["election"] } },
+    extraProfanity: ["frak*"],
+    deadDomains: ["oldblog.example"]
+  });
+
+  const result = custom.scanTweet({ text: "Frakking TPS report at Initech again, see https://blog.oldblog.example/post, election soon" });
+  assert.deepEqual(result.reasons.map(reason => [reason.category, reason.detail, reason.weight]), [
+    [Category.PROFANITY, "Profanity: frak", 25],
+    [Category.DEAD_LINK, "Link to a dead site: blog.oldblog.example", 20],
+    [Category.CUSTOM, "Term list \"old employer\": Initech, /tps reports?/i", 30],
+    [Category.CUSTOM, "Term list \"politics\": election", 60]
+  ]);
+  assert.equal(result.score, 100, "scores are capped at 100");
+});
+
+test("a term pattern flags every tweet it fits, whatever its flags", () => {
+  const custom = scanner({ terms: { work: ["/boss/g"] } });
+  const report = custom.scan([{ id: "1", text: "my boss again" }, { id: "2", text: "the boss said no" }]);
+  assert.deepEqual(report.flagged.map(tweet => tweet.id).sort(), ["1", "2"]);
+});
+
+test("tone is only scored when asked", () => {
+  const text = "This update is stupid and I hate it";
+  assert.deepEqual(scanner().scanTweet({ text }).reasons, []);
+  const scored = scanner().scanTweet({ text }, { sentiment: true });
+  assert.deepEqual(scored.reasons, [{ category: Category.SENTIMENT, detail: "Negative tone (-7): stupid, hate", weight: 28 }]);
+  assert.deepEqual(scanner({ sentiment: true }).scanTweet({ text: "I hate mondays but love this team" }).reasons, []);
+});
+
+test("scan suggests tweets at or above the threshold, riskiest first", () => {
+  const tweets = [
+    { id: "1", text: "Nice weather", created_at: "2020-01-01T00:00:00.000Z" },
+    { id: "2", text: "Old link https://goo.gl/abc", created_at: "2019-01-01T00:00:00.000Z" },
+    { id: "3", text: "Mail me: me@example.com", created_at: "2021-01-01T00:00:00.000Z", protected: "Pinned tweet" },
+    { id: "4", text: "damn it", created_at: "2018-01-01T00:00:00.000Z" }
+  ];
+
+  const report = scanner().scan(tweets);
+  assert.equal(report.scanned, 4);
+  assert.deepEqual(report.flagged.map(tweet => [tweet.id, tweet.score]), [["3", 35], ["4", 25], ["2", 20]]);
+  assert.equal(report.flagged[0].reason, "Email address: me@example.com");
+  assert.equal(report.flagged[0].protected, "Pinned tweet");
+  assert.deepEqual(scanner().scan(tweets, { minScore: 30 }).flagged.map(tweet => tweet.id), ["3"]);
+});
+
+test("the config is read from its file", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "deletweet-scan-")), "scan.json");
+  fs.writeFileSync(file, JSON.stringify({ profanity: false, minScore: 10 }));
+  const fromFile = new SensitiveScanner(file);
+
+  const config = await fromFile.load();
+
+  assert.deepEqual([config.profanity, config.personalData, config.minScore], [false, true, 10]);
+  assert.deepEqual(fromFile.scanTweet({ text: "damn" }).reasons, []);
+});
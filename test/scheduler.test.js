@@ -0,0 +1,45 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { RateLimitScheduler } = require("../lib/scheduler");
+
+// Claims deletion slots until the daily budget is used up and prints how many it got
+const CLAIM_SLOTS = `
+const { RateLimitScheduler, Endpoints } = require(${JSON.stringify(path.join(__dirname, "..", "lib", "scheduler"))});
+const scheduler = new RateLimitScheduler({ name: "test", deletions: { perDay: 40, minDelaySeconds: 0 } }, process.argv[1]);
+(async () => {
+  let claimed = 0;
+  try {
+    while (true) {
+      await scheduler.acquire(Endpoints.DELETE_TWEET, { budget: true, wait: () => { throw new Error("full"); } });
+      claimed++;
+    }
+  } catch (error) {
+    if (error.message !== "full") throw error;
+  }
+  console.log(claimed);
+})();
+`;
+
+function claimSlots(budgetFile) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ["-e", CLAIM_SLOTS, budgetFile], (error, stdout) => {
+      if (error) reject(error);
+      else resolve(Number(stdout));
+    });
+  });
+}
+
+test("processes sharing a budget file never claim more than the daily budget", async () => {
+  const budgetFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "deletweet-budget-")), "rate_budget.json");
+
+  const claimed = await Promise.all([claimSlots(budgetFile), claimSlots(budgetFile)]);
+
+  assert.equal(claimed[0] + claimed[1], 40);
+  const status = await new RateLimitScheduler({ name: "test", deletions: { perDay: 40, minDelaySeconds: 0 } }, budgetFile).status();
+  assert.deepEqual([status.usedToday, status.remainingToday], [40, 0]);
+  assert.deepEqual(fs.readdirSync(path.dirname(budgetFile)), ["rate_budget.json"], "no temp or lock files are left behind");
+});
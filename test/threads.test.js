@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildThreads, descendantIds, orderLeafFirst, threadedRows, ThreadGuard } = require("../lib/threads");
+const { parseArchive } = require("../lib/archive");
+const { applyRule, DEFAULT_RULES } = require("../lib/filters");
+
+// 1 <- 2 <- 3, and 2 <- 4 (a branch); 5 stands alone; 6 replies to someone else
+const reply = (id, parent, created_at) => ({ id, text: `tweet ${id}`, created_at, referenced_tweets: [{ type: "replied_to", id: parent }] });
+const tweets = [
+  reply("4", "2", "2023-01-01T10:04:00.000Z"),
+  { id: "5", text: "tweet 5", created_at: "2023-01-01T10:03:30.000Z" },
+  reply("3", "2", "2023-01-01T10:03:00.000Z"),
+  reply("2", "1", "2023-01-01T10:02:00.000Z"),
+  { id: "1", text: "tweet 1", created_at: "2023-01-01T10:01:00.000Z" },
+  reply("6", "999", "2023-01-01T10:00:00.000Z")
+];
+const ids = list => list.map(tweet => tweet.id);
+
+test("buildThreads links our replies into threads in reading order", () => {
+  const { threads, threadOf } = buildThreads(tweets);
+
+  assert.equal(threads.length, 1);
+  assert.deepEqual(threads[0].members.map(({ tweet, depth }) => [tweet.id, depth]), [["1", 0], ["2", 1], ["3", 2], ["4", 2]]);
+  assert.equal(threadOf.get("4"), threads[0]);
+  assert.equal(threadOf.has("5"), false);
+  assert.equal(threadOf.has("6"), false, "a reply to a tweet we don't have is no thread");
+});
+
+test("descendantIds is a tweet and everything below it", () => {
+  const [thread] = buildThreads(tweets).threads;
+
+  assert.deepEqual(descendantIds(thread, "2"), ["2", "3", "4"]);
+  assert.deepEqual(descendantIds(thread, "3"), ["3"]);
+  assert.deepEqual(descendantIds(thread, "nope"), []);
+});
+
+test("orderLeafFirst puts replies before the tweets they reply to", () => {
+  assert.deepEqual(ids(orderLeafFirst(tweets)), ["4", "3", "2", "1", "5", "6"]);
+});
+
+test("threadedRows shows a collapsed thread as its first tweet", () => {
+  const index = buildThreads(tweets);
+  const [thread] = index.threads;
+
+  assert.deepEqual(threadedRows(tweets, index).map(row => row.tweet.id), ["1", "5", "6"]);
+  assert.deepEqual(threadedRows(tweets, index, new Set([thread.id])).map(row => row.tweet.id), ["1", "2", "3", "4", "5", "6"]);
+});
+
+test("ThreadGuard keeps every tweet above a reply that stays", () => {
+  const threads = new ThreadGuard(orderLeafFirst(tweets));
+
+  threads.keep("3");
+
+  assert.match(threads.reason("2"), /Reply 3 further down/);
+  assert.match(threads.reason("1"), /Reply 3 further down/);
+  assert.equal(threads.reason("4"), null);
+  assert.equal(threads.reason("5"), null);
+});
+
+test("a thread in an archive is one of our own, not replies to someone else", () => {
+  const entry = (id, parent, minute) => ({
+    tweet: {
+      id_str: id,
+      full_text: `tweet ${id}`,
+      created_at: `Sun Jan 01 10:0${minute}:00 +0000 2023`,
+      ...(parent ? { in_reply_to_status_id_str: parent, in_reply_to_user_id_str: "1000" } : {})
+    }
+  });
+  const archive = `window.YTD.tweets.part0 = ${JSON.stringify([entry("1", null, 1), entry("2", "1", 2), entry("3", "2", 3)])}`;
+
+  const selected = applyRule(parseArchive(archive, { authorId: "1000" }), DEFAULT_RULES["original-posts"]);
+
+  assert.deepEqual(ids(selected), ["3", "2", "1"]);
+  const { threads } = buildThreads(selected);
+  assert.deepEqual(threads[0].members.map(({ tweet }) => tweet.id), ["1", "2", "3"]);
+  assert.deepEqual(ids(orderLeafFirst(selected)), ["3", "2", "1"]);
+});
@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { computeStats, segmentMatcher, terms } = require("../lib/tweet-stats");
+
+const tweet = (id, created_at, text, likes = 0, retweets = 0) => ({
+  id, text, created_at, public_metrics: { like_count: likes, retweet_count: retweets, reply_count: 0, quote_count: 0 }
+});
+const tweets = [
+  tweet("1", "2023-01-02T10:00:00.000Z", "Shipping the new #release today https://t.co/x", 40, 10),
+  tweet("2", "2023-01-03T12:00:00.000Z", "Lunch with @sam was great", 3),
+  tweet("3", "2023-01-20T23:00:00.000Z", "Release notes for the #Release are up", 12, 9),
+  tweet("4", "2023-03-15T08:00:00.000Z", "Nobody's lunch")
+];
+const ids = (list, segment) => list.filter(segmentMatcher(segment)).map(t => t.id);
+
+test("posting frequency counts tweets per period, empty periods included", () => {
+  const { frequency } = computeStats(tweets, { bucket: "month" });
+  assert.equal(frequency.bucket, "month");
+  assert.deepEqual(frequency.periods.map(period => [period.label, period.count]), [["2023-01", 3], ["2023-02", 0], ["2023-03", 1]]);
+  assert.deepEqual(ids(tweets, frequency.periods[0].segment), ["1", "2", "3"]);
+
+  const weekly = computeStats(tweets).frequency;
+  assert.equal(weekly.bucket, "week", "over two months of tweets are shown per week");
+  assert.equal(weekly.periods[0].label, "2023-01-02", "weeks start on Monday");
+  assert.equal(weekly.periods[0].count, 2);
+});
+
+test("engagement is bucketed and each bucket selects its tweets", () => {
+  const { distribution, engagement } = computeStats(tweets);
+  const counts = Object.fromEntries(distribution.map(bucket => [bucket.label, bucket.count]));
+  assert.deepEqual(counts, { "0": 1, "1–4": 1, "5–9": 0, "10–24": 1, "25–49": 0, "50–99": 1, "100–499": 0, "500–999": 0, "1000+": 0 });
+  assert.deepEqual(engagement, { total: 74, average: 18.5, median: 3 });
+  assert.deepEqual(ids(tweets, distribution.find(bucket => bucket.label === "50–99").segment), ["1"]);
+  assert.deepEqual(ids(tweets, distribution.at(-1).segment), []);
+});
+
+test("top and bottom performers don't overlap", () => {
+  const { top, bottom } = computeStats(tweets, { top: 2 });
+  assert.deepEqual(top.map(t => [t.id, t.engagement]), [["1", 50], ["3", 21]]);
+  assert.deepEqual(bottom.map(t => t.id), ["4", "2"]);
+  assert.deepEqual(computeStats(tweets, { top: 3 }).bottom.map(t => t.id), ["4"]);
+});
+
+test("words and hashtags are counted per tweet, without links, mentions or stop words", () => {
+  assert.deepEqual([...terms(tweets[0]).words], ["shipping", "new", "today"]);
+  assert.deepEqual([...terms(tweets[3]).words], ["nobody", "lunch"]);
+  const { words, hashtags } = computeStats(tweets, { terms: 3 });
+  assert.deepEqual(words.map(word => [word.term, word.count]), [["lunch", 2], ["great", 1], ["new", 1]]);
+  assert.deepEqual(hashtags.map(tag => [tag.term, tag.count]), [["release", 2]]);
+  assert.deepEqual(ids(tweets, hashtags[0].segment), ["1", "3"]);
+  assert.deepEqual(ids(tweets, { type: "word", term: "release" }), ["3"], "a hashtag is not a word");
+});
+
+test("no tweets give empty stats", () => {
+  const stats = computeStats([]);
+  assert.equal(stats.count, 0);
+  assert.deepEqual(stats.frequency.periods, []);
+  assert.deepEqual(stats.top, []);
+  assert.throws(() => segmentMatcher({ type: "mood" }), /Unknown chart segment/);
+});
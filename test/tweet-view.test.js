@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { filterTweets, sortTweets, viewTweets, rangeIds, visibleRange, summarize } = require("../lib/tweet-view");
+
+const tweets = [
+  { id: "1", text: "Shipping the new release today", created_at: "2023-03-01T10:00:00.000Z", public_metrics: { like_count: 40, retweet_count: 2 } },
+  { id: "2", text: "Lunch was great", created_at: "2023-01-15T12:00:00.000Z", public_metrics: { like_count: 3, retweet_count: 0 } },
+  { id: "3", text: "Release notes are up: the NEW release", created_at: "2022-12-31T23:00:00.000Z", public_metrics: { like_count: 12, retweet_count: 9 } },
+  { id: "4", text: "Liked by nobody", created_at: "2023-02-10T08:00:00.000Z" }
+];
+const ids = list => list.map(tweet => tweet.id);
+
+test("search matches every word or quoted phrase, ignoring case", () => {
+  assert.deepEqual(ids(filterTweets(tweets, { query: "release" })), ["1", "3"]);
+  assert.deepEqual(ids(filterTweets(tweets, { query: "new RELEASE" })), ["1", "3"]);
+  assert.deepEqual(ids(filterTweets(tweets, { query: "\"new release\" notes" })), ["3"]);
+  assert.deepEqual(ids(filterTweets(tweets, { query: "4" })), ["4"], "tweet ids match too");
+});
+
+test("date and engagement filters include their bounds", () => {
+  assert.deepEqual(ids(filterTweets(tweets, { from: "2023-01-15", to: "2023-03-01" })), ["1", "2", "4"]);
+  assert.deepEqual(ids(filterTweets(tweets, { minLikes: "12" })), ["1", "3"]);
+  assert.deepEqual(ids(filterTweets(tweets, { maxLikes: 3, minRetweets: "" })), ["2", "4"]);
+  assert.deepEqual(ids(filterTweets(tweets, { minRetweets: 1, maxRetweets: 5 })), ["1"]);
+});
+
+test("sorting by date and engagement keeps ties in API order", () => {
+  assert.deepEqual(ids(sortTweets(tweets, "oldest")), ["3", "2", "4", "1"]);
+  assert.deepEqual(ids(sortTweets(tweets, "most-liked")), ["1", "3", "2", "4"]);
+  assert.deepEqual(ids(sortTweets(tweets, "least-retweeted")), ["2", "4", "1", "3"]);
+  assert.deepEqual(ids(viewTweets(tweets, { query: "release", sort: "newest" })), ["1", "3"]);
+});
+
+test("rangeIds spans the shown order in either direction", () => {
+  const shown = sortTweets(tweets, "oldest");
+  assert.deepEqual(rangeIds(shown, "2", "1"), ["2", "4", "1"]);
+  assert.deepEqual(rangeIds(shown, "1", "2"), ["2", "4", "1"]);
+  assert.deepEqual(rangeIds(shown, "gone", "4"), ["4"]);
+});
+
+test("visibleRange covers the viewport plus overscan", () => {
+  assert.deepEqual(visibleRange({ scrollTop: 0, viewportHeight: 600, rowHeight: 150, count: 3000 }), { start: 0, end: 9 });
+  assert.deepEqual(visibleRange({ scrollTop: 15000, viewportHeight: 600, rowHeight: 150, count: 3000, overscan: 2 }), { start: 98, end: 106 });
+  assert.deepEqual(visibleRange({ scrollTop: 449850, viewportHeight: 600, rowHeight: 150, count: 3000 }), { start: 2994, end: 3000 });
+});
+
+test("summarize totals engagement and the date range", () => {
+  assert.deepEqual(summarize(tweets), {
+    count: 4,
+    likes: 55,
+    retweets: 11,
+    oldest: "2022-12-31T23:00:00.000Z",
+    newest: "2023-03-01T10:00:00.000Z"
+  });
+  assert.deepEqual(summarize([]), { count: 0, likes: 0, retweets: 0, oldest: null, newest: null });
+});
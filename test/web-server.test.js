@@ -0,0 +1,555 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { useTempState, createTestDeleter, quietConsole } = require("./helpers");
+const { DeletionQueue, ItemStatus } = require("../lib/queue");
+const { MockTwitterBackend } = require("../lib/mock-backend");
+const { TokenStore } = require("../lib/token-store");
+
+useTempState(); // Before requiring the server, which opens its stores at load time
+process.env.WEB_ADMIN_PASSWORD = "test-password";
+const app = require("../web-server");
+
+let server;
+let baseUrl;
+let auth; // Session cookie and CSRF token of the logged-in test user
+let backend;
+const backends = {};
+const deleters = {};
+
+before(async () => {
+  app.locals.createDeleter = account => {
+    const created = createTestDeleter({ tweetCount: 12 }, { account });
+    backends[account.id] = created.backend;
+    deleters[account.id] = created.deleter;
+    backend = backends.default;
+    return created.deleter;
+  };
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const login = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ password: "test-password" })
+  });
+  auth = {
+    Cookie: login.headers.get("set-cookie").split(";")[0],
+    "X-CSRF-Token": (await login.json()).csrfToken
+  };
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function api(method, urlPath, body) {
+  const response = await fetch(baseUrl + urlPath, {
+    method,
+    headers: { ...auth, ...(body ? { "Content-Type": "application/json" } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Collect Server-Sent Events until `until(event)` is true
+async function readEvents(until) {
+  const response = await fetch(`${baseUrl}/api/deletion-events`, { headers: auth });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return events;
+
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split("\n\n");
+    buffer = messages.pop();
+    for (const message of messages) {
+      const data = message.split("\n").find(line => line.startsWith("data: "));
+      if (!data) continue;
+      events.push(JSON.parse(data.slice("data: ".length)));
+      if (until(events.at(-1))) {
+        await reader.cancel();
+        return events;
+      }
+    }
+  }
+}
+
+async function waitForDeletion(prefix = "/api") {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await api("GET", `${prefix}/deletion-progress`);
+    if (!body.inProgress) return body;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error("Deletion did not finish");
+}
+
+test("routes refuse to work before initialization", async () => {
+  const status = await api("GET", "/api/status");
+  assert.equal(status.body.initialized, false);
+
+  const tweets = await api("GET", "/api/tweets");
+  assert.equal(tweets.status, 400);
+});
+
+test("initialize validates credentials against the backend", async t => {
+  quietConsole(t);
+  const { body } = await api("POST", "/api/initialize");
+  assert.equal(body.success, true);
+
+  const status = await api("GET", "/api/status");
+  assert.equal(status.body.initialized, true);
+  assert.equal(status.body.rateLimit.plan, "custom");
+});
+
+test("GET /api/tweets returns the filtered timeline", async t => {
+  quietConsole(t);
+  const { status, body } = await api("GET", "/api/tweets?rule=original-posts");
+
+  assert.equal(status, 200);
+  assert.equal(body.count, body.tweets.length);
+  assert.ok(body.count > 0 && body.count < 12, "replies should be filtered out");
+});
+
+test("POST /api/delete-tweets validates its input", async () => {
+  const { status, body } = await api("POST", "/api/delete-tweets", { tweetIds: [] });
+  assert.equal(status, 400);
+  assert.match(body.error, /No tweet IDs/);
+});
+
+test("a dry run reports the plan without deleting anything", async t => {
+  quietConsole(t);
+  const ids = backend.tweets.slice(0, 3).map(tweet => tweet.id);
+
+  const { body } = await api("POST", "/api/delete-tweets", { tweetIds: ids, dryRun: true });
+
+  assert.equal(body.report.toDelete, 3);
+  assert.equal(backend.deleted.length, 0);
+});
+
+test("a client can't turn off the server's dry run", async t => {
+  quietConsole(t);
+  const ids = backend.tweets.slice(0, 2).map(tweet => tweet.id);
+  const deleter = deleters.default;
+  deleter.dryRun = true;
+  t.after(() => { deleter.dryRun = false; });
+
+  const { body } = await api("POST", "/api/delete-tweets", { tweetIds: ids, dryRun: false });
+
+  assert.equal(body.message, "Dry run complete");
+  assert.equal(body.report.toDelete, 2);
+  assert.equal(backend.deleted.length, 0);
+});
+
+test("POST /api/delete-tweets deletes in the background and reports progress", async t => {
+  quietConsole(t);
+  const ids = backend.tweets.slice(0, 4).map(tweet => tweet.id);
+  backend.failTweet(ids[1]);
+
+  const { body } = await api("POST", "/api/delete-tweets", { tweetIds: ids });
+  assert.equal(body.total, 4);
+
+  const progress = await waitForDeletion();
+  assert.deepEqual(progress.stats, { deleted: 3, failed: 1, skipped: 0, total: 4 });
+  assert.equal(progress.progress, 100);
+  assert.deepEqual(backend.deleted.sort(), [ids[0], ids[2], ids[3]].sort());
+
+  const job = await new DeletionQueue().getJob(body.jobId);
+  assert.equal(job.status, "completed");
+  assert.equal(job.items.find(item => item.id === ids[1]).status, ItemStatus.FAILED);
+});
+
+test("GET /api/deletion-events streams each step and replays state on reconnect", async t => {
+  quietConsole(t);
+  const ids = backend.tweets.slice(4, 7).map(tweet => tweet.id);
+  backend.failTweet(ids[2]);
+
+  const stream = readEvents(event => event.type === "complete");
+  await new Promise(resolve => setTimeout(resolve, 50)); // Let the stream connect first
+  await api("POST", "/api/delete-tweets", { tweetIds: ids });
+  const events = await stream;
+
+  assert.equal(events[0].type, "state");
+  const types = events.slice(1).map(event => event.type);
+  assert.deepEqual(types.filter(type => type !== "waiting"),
+    ["job-started", "started", "deleted", "started", "deleted", "started", "failed", "complete"]);
+  assert.match(events.find(event => event.type === "failed").error, /not allowed/);
+  assert.deepEqual(events.at(-1).stats, { deleted: 2, failed: 1, skipped: 0, total: 3 });
+
+  const [replay] = await readEvents(() => true);
+  assert.equal(replay.type, "state");
+  assert.equal(replay.inProgress, false);
+  assert.equal(replay.activity.at(-1).type, "complete");
+});
+
+test("accounts have their own connection, queue and deletions", async t => {
+  quietConsole(t);
+  const saved = await api("PUT", "/api/accounts/brand", { name: "Brand", backend: "mock", credentials: { appKey: "secret" } });
+  assert.equal(saved.body.account.hasCredentials, true);
+  assert.equal(saved.body.account.credentials, undefined);
+
+  const { body: list } = await api("GET", "/api/accounts");
+  assert.deepEqual(list.accounts.map(account => account.id), ["default", "brand"]);
+
+  const brand = await api("GET", "/api/accounts/brand/status");
+  assert.equal(brand.body.initialized, false, "initializing default must not initialize brand");
+  await api("POST", "/api/accounts/brand/initialize");
+
+  // Run both accounts at once
+  const defaultIds = backends.default.tweets.slice(8, 10).map(tweet => tweet.id);
+  const brandIds = backends.brand.tweets.slice(0, 3).map(tweet => tweet.id);
+  const [first, second] = await Promise.all([
+    api("POST", "/api/accounts/default/delete-tweets", { tweetIds: defaultIds }),
+    api("POST", "/api/accounts/brand/delete-tweets", { tweetIds: brandIds })
+  ]);
+  assert.equal(first.body.message, "Deletion started");
+  assert.equal(second.body.message, "Deletion started");
+
+  await waitForDeletion("/api/accounts/default");
+  const progress = await waitForDeletion("/api/accounts/brand");
+  assert.deepEqual(progress.stats, { deleted: 3, failed: 0, skipped: 0, total: 3 });
+  assert.deepEqual(backends.brand.deleted.sort(), brandIds.sort());
+  assert.ok(defaultIds.every(id => backends.default.deleted.includes(id)));
+
+  const job = await new DeletionQueue(path.join(process.env.ACCOUNTS_DIR, "brand", "deletion_queue.json")).getJob(second.body.jobId);
+  assert.equal(job.status, "completed");
+  assert.equal(await new DeletionQueue().getJob(second.body.jobId), undefined);
+});
+
+test("unknown accounts are rejected", async () => {
+  const { status } = await api("GET", "/api/accounts/nobody/status");
+  assert.equal(status, 404);
+
+  const invalid = await api("PUT", "/api/accounts/Bad%20Id", { backend: "mock" });
+  assert.equal(invalid.status, 400);
+});
+
+test("the tweets routes also list and remove bookmarks", async t => {
+  quietConsole(t);
+  const bookmarks = await api("GET", "/api/tweets?type=bookmarks");
+  assert.equal(bookmarks.status, 200);
+  assert.equal(bookmarks.body.count, 0, "the mock account has no bookmarks");
+
+  const unknown = await api("GET", "/api/tweets?type=mentions");
+  assert.equal(unknown.status, 400);
+  assert.equal((await api("GET", "/api/tweets?since=someday")).status, 400);
+  assert.equal((await api("GET", "/api/tweets/stream?since=someday")).status, 400);
+
+  backend.bookmarked.push({ id: "1650000000000000099", text: "Saved for later", created_at: new Date().toISOString() });
+  const { body } = await api("GET", "/api/tweets?type=bookmarks");
+  assert.deepEqual(body.tweets.map(tweet => tweet.id), ["1650000000000000099"]);
+
+  const started = await api("POST", "/api/delete-tweets", { tweetIds: ["1650000000000000099"], type: "bookmarks" });
+  assert.equal(started.body.type, "bookmarks");
+  const progress = await waitForDeletion();
+  assert.equal(progress.stats.deleted, 1);
+  assert.deepEqual(backend.unbookmarked, ["1650000000000000099"]);
+  assert.ok(!backend.deleted.includes("1650000000000000099"));
+  assert.equal((await api("GET", "/api/status?type=bookmarks")).body.rateLimit.usedToday, 1, "bookmarks have their own budget");
+});
+
+test("tweets can be kept out of a deletion during its grace period", async t => {
+  quietConsole(t);
+  await api("PUT", "/api/accounts/undo", { name: "Undo", backend: "mock", credentials: { appKey: "secret" } });
+  await api("POST", "/api/accounts/undo/initialize");
+  const ids = backends.undo.tweets.slice(0, 3).map(tweet => tweet.id);
+
+  const { body } = await api("POST", "/api/accounts/undo/delete-tweets", { tweetIds: ids, graceMinutes: 0.01 });
+  assert.ok(body.notBefore);
+
+  const pending = await api("GET", "/api/accounts/undo/deletion/pending");
+  assert.deepEqual(pending.body.tweets.map(tweet => tweet.id), ids);
+  assert.equal(pending.body.graceUntil, body.notBefore);
+  assert.equal(backends.undo.deleted.length, 0, "nothing is deleted during the grace period");
+
+  const removed = await api("POST", "/api/accounts/undo/deletion/remove", { tweetIds: [ids[1]] });
+  assert.deepEqual(removed.body.removed, [ids[1]]);
+
+  const progress = await waitForDeletion("/api/accounts/undo");
+  assert.deepEqual(progress.stats, { deleted: 2, failed: 0, skipped: 0, total: 2 });
+  assert.deepEqual(backends.undo.deleted.sort(), [ids[0], ids[2]].sort());
+
+  const job = await new DeletionQueue(path.join(process.env.ACCOUNTS_DIR, "undo", "deletion_queue.json")).getJob(body.jobId);
+  assert.equal(job.items.find(item => item.id === ids[1]).status, ItemStatus.CANCELLED);
+});
+
+test("a running deletion can be paused, resumed and cancelled", async t => {
+  quietConsole(t);
+  const queue = new DeletionQueue(path.join(process.env.ACCOUNTS_DIR, "undo", "deletion_queue.json"));
+  const ids = backends.undo.tweets.slice(3, 6).map(tweet => tweet.id);
+  const before = backends.undo.deleted.length;
+
+  const first = await api("POST", "/api/accounts/undo/delete-tweets", { tweetIds: ids, graceMinutes: 0.01 });
+  const paused = await api("POST", "/api/accounts/undo/deletion/pause");
+  assert.equal(paused.body.status, "paused");
+
+  await new Promise(resolve => setTimeout(resolve, 800)); // Past the grace period
+  assert.equal(backends.undo.deleted.length, before, "a paused job deletes nothing");
+  assert.equal((await queue.getJob(first.body.jobId)).status, "paused");
+
+  await api("POST", "/api/accounts/undo/deletion/resume");
+  const progress = await waitForDeletion("/api/accounts/undo");
+  assert.equal(progress.stats.deleted, 3);
+
+  const more = backends.undo.tweets.slice(6, 9).map(tweet => tweet.id);
+  const second = await api("POST", "/api/accounts/undo/delete-tweets", { tweetIds: more, graceMinutes: 0.01 });
+  const cancelled = await api("POST", "/api/accounts/undo/deletion/cancel");
+  assert.equal(cancelled.body.changed, true);
+  await waitForDeletion("/api/accounts/undo");
+
+  assert.ok(more.every(id => !backends.undo.deleted.includes(id)));
+  const job = await queue.getJob(second.body.jobId);
+  assert.equal(job.status, "cancelled");
+  assert.ok(job.items.every(item => item.status === ItemStatus.CANCELLED));
+
+  const idle = await api("POST", "/api/accounts/undo/deletion/pause");
+  assert.equal(idle.status, 400);
+});
+
+test("GET /api/history lists runs from the audit log", async t => {
+  quietConsole(t);
+  await api("PUT", "/api/accounts/audited", { name: "Audited", backend: "mock", credentials: { appKey: "secret" } });
+  await api("POST", "/api/accounts/audited/initialize");
+  const [first, second] = backends.audited.tweets;
+  backends.audited.failTweet(second.id);
+
+  const { body } = await api("POST", "/api/accounts/audited/delete-tweets", { tweetIds: [first.id, second.id], rule: "older-than-1-year" });
+  await waitForDeletion("/api/accounts/audited");
+
+  const { body: history } = await api("GET", "/api/accounts/audited/history?source=web");
+  assert.equal(history.runs.length, 1);
+  const [run] = history.runs;
+  assert.equal(run.jobId, body.jobId);
+  assert.equal(run.status, "completed");
+  assert.equal(run.rule, "older-than-1-year");
+  assert.match(run.startedBy, /^admin \(session/);
+  assert.deepEqual(run.items.map(item => [item.id, item.outcome]), [[first.id, "deleted"], [second.id, "failed"]]);
+
+  const found = await api("GET", `/api/accounts/audited/history?q=${encodeURIComponent(second.text.slice(0, 12))}`);
+  assert.equal(found.body.runs.length, 1);
+  const none = await api("GET", "/api/accounts/audited/history?source=cli");
+  assert.deepEqual(none.body.runs, []);
+});
+
+test("failed tweets can be retried with POST /api/deletion/retry-failed", async t => {
+  quietConsole(t);
+  await api("PUT", "/api/accounts/flaky", { name: "Flaky", backend: "mock", credentials: { appKey: "secret" } });
+  await api("POST", "/api/accounts/flaky/initialize");
+  const [first, second] = backends.flaky.tweets;
+  backends.flaky.failTweet(second.id, { times: 1 });
+  await api("POST", "/api/accounts/flaky/delete-tweets", { tweetIds: [first.id, second.id] });
+  await waitForDeletion("/api/accounts/flaky");
+
+  const { body: failed } = await api("GET", "/api/accounts/flaky/deletion/failed");
+  assert.equal(failed.count, 1);
+  assert.equal(failed.tweets[0].id, second.id);
+  assert.equal(failed.tweets[0].kind, "permanent");
+
+  const { body } = await api("POST", "/api/accounts/flaky/deletion/retry-failed", { type: "tweets" });
+  assert.equal(body.total, 1);
+  const progress = await waitForDeletion("/api/accounts/flaky");
+  assert.deepEqual(progress.stats, { deleted: 1, failed: 0, skipped: 0, total: 1 });
+  assert.ok(backends.flaky.deleted.includes(second.id));
+
+  const nothing = await api("POST", "/api/accounts/flaky/deletion/retry-failed", {});
+  assert.equal(nothing.status, 400);
+  assert.equal((await api("GET", "/api/accounts/flaky/deletion/failed")).body.count, 0);
+});
+
+test("GET /api/stats sums up the loaded tweets, less the deleted ones", async t => {
+  quietConsole(t);
+  await api("PUT", "/api/accounts/charts", { name: "Charts", backend: "mock", credentials: { appKey: "secret" } });
+  await api("POST", "/api/accounts/charts/initialize");
+  const before = await api("GET", "/api/accounts/charts/stats");
+  assert.deepEqual([before.body.loaded, before.body.count], [false, 0]);
+
+  const { body: loaded } = await api("GET", "/api/accounts/charts/tweets?rule=original-posts");
+  const { status, body: stats } = await api("GET", "/api/accounts/charts/stats?bucket=day&top=3");
+  assert.equal(status, 200);
+  assert.equal(stats.count, loaded.count);
+  assert.equal(stats.frequency.bucket, "day");
+  assert.equal(stats.frequency.periods.reduce((sum, period) => sum + period.count, 0), loaded.count);
+  assert.equal(stats.top.length, 3);
+  assert.equal(stats.words.find(word => word.term === "mock").count, loaded.count);
+
+  await api("POST", "/api/accounts/charts/delete-tweets", { tweetIds: [stats.top[0].id] });
+  await waitForDeletion("/api/accounts/charts");
+  const after = await api("GET", "/api/accounts/charts/stats");
+  assert.equal(after.body.count, loaded.count - 1);
+  assert.ok(!after.body.top.some(tweet => tweet.id === stats.top[0].id));
+
+  assert.equal((await api("GET", "/api/accounts/charts/stats?bucket=hour")).status, 400);
+});
+
+test("GET /api/scan suggests loaded tweets for deletion", async t => {
+  quietConsole(t);
+  await api("PUT", "/api/accounts/scanned", { name: "Scanned", backend: "mock", credentials: { appKey: "secret" } });
+  await api("POST", "/api/accounts/scanned/initialize");
+  const before = await api("GET", "/api/accounts/scanned/scan");
+  assert.deepEqual([before.status, before.body.loaded, before.body.scanned, before.body.flagged], [200, false, 0, []]);
+
+  const { body: loaded } = await api("GET", "/api/accounts/scanned/tweets?rule=original-posts");
+  const { status, body: report } = await api("GET", "/api/accounts/scanned/scan?sentiment=1");
+  assert.equal(status, 200);
+  assert.deepEqual([report.loaded, report.scanned, report.minScore], [true, loaded.count, 20]);
+  assert.deepEqual(report.flagged, [], "the mock timeline has nothing to hide");
+
+  assert.equal((await api("GET", "/api/accounts/scanned/scan?minScore=abc")).status, 400);
+  assert.equal((await api("GET", "/api/accounts/scanned/scan?type=mentions")).status, 400);
+});
+
+test("a store that can't be read answers 500 instead of hanging", async t => {
+  quietConsole(t);
+  await api("PUT", "/api/accounts/corrupt", { name: "Corrupt", backend: "mock", credentials: { appKey: "secret" } });
+  await api("POST", "/api/accounts/corrupt/initialize");
+  fs.writeFileSync(deleters.corrupt.scheduler.filePath, "{ not json");
+
+  for (const route of ["status", "deletion-progress", "deletion-events"]) {
+    const { status, body } = await api("GET", `/api/accounts/corrupt/${route}`);
+    assert.equal(status, 500, route);
+    assert.match(body.error, /JSON/, route);
+  }
+});
+
+test("Sign in with X creates an account and stores its tokens", async () => {
+  app.locals.createOAuth2App = () => ({
+    generateOAuth2AuthLink: (redirectUri, { scope }) => ({
+      url: `https://x.example/authorize?scope=${scope.join("+")}&redirect_uri=${encodeURIComponent(redirectUri)}`,
+      state: "login-state",
+      codeVerifier: "login-verifier"
+    }),
+    loginWithOAuth2: async ({ code, codeVerifier }) => {
+      assert.equal(code, "auth-code");
+      assert.equal(codeVerifier, "login-verifier");
+      const client = new MockTwitterBackend({ user: { id: "77", username: "BrandNews", name: "Brand News" } });
+      return { client, accessToken: "user-access", refreshToken: "user-refresh", expiresIn: 7200 };
+    }
+  });
+
+  const login = await fetch(`${baseUrl}/auth/twitter/login`, { headers: auth, redirect: "manual" });
+  assert.equal(login.status, 302);
+  assert.match(login.headers.get("location"), /callback/);
+
+  const callback = await fetch(`${baseUrl}/auth/twitter/callback?state=login-state&code=auth-code`, { headers: auth, redirect: "manual" });
+  assert.equal(callback.headers.get("location"), "/?account=brandnews");
+
+  const { body } = await api("GET", "/api/accounts");
+  const account = body.accounts.find(a => a.id === "brandnews");
+  assert.deepEqual([account.name, account.backend], ["@BrandNews", "oauth2"]);
+  assert.equal((await new TokenStore().get("brandnews")).refreshToken, "user-refresh");
+
+  const replayed = await fetch(`${baseUrl}/auth/twitter/callback?state=login-state&code=auth-code`, { headers: auth, redirect: "manual" });
+  assert.equal(replayed.status, 400);
+});
+
+test("Sign in with X never takes over an account that already has the handle's id", async () => {
+  await api("PUT", "/api/accounts/newsdesk", { name: "Newsdesk", backend: "mock", credentials: { appKey: "secret" } });
+  app.locals.createOAuth2App = () => ({
+    generateOAuth2AuthLink: () => ({ url: "https://x.example/authorize", state: "newsdesk-state", codeVerifier: "v" }),
+    loginWithOAuth2: async () => ({
+      client: new MockTwitterBackend({ user: { id: "78", username: "NewsDesk", name: "News Desk" } }),
+      accessToken: "other-access",
+      refreshToken: "other-refresh",
+      expiresIn: 7200
+    })
+  });
+
+  await fetch(`${baseUrl}/auth/twitter/login`, { headers: auth, redirect: "manual" });
+  const callback = await fetch(`${baseUrl}/auth/twitter/callback?state=newsdesk-state&code=c`, { headers: auth, redirect: "manual" });
+
+  assert.equal(callback.headers.get("location"), "/?account=newsdesk-2");
+  const { body } = await api("GET", "/api/accounts");
+  const original = body.accounts.find(a => a.id === "newsdesk");
+  assert.deepEqual([original.name, original.backend, original.hasCredentials], ["Newsdesk", "mock", true]);
+  assert.equal(await new TokenStore().get("newsdesk"), null);
+  assert.equal((await new TokenStore().get("newsdesk-2")).refreshToken, "other-refresh");
+});
+
+test("notification settings are saved and a test notification sent", async () => {
+  const received = [];
+  const hook = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      received.push(JSON.parse(body));
+      res.end();
+    });
+  });
+  hook.listen(0);
+  await new Promise(resolve => hook.once("listening", resolve));
+
+  try {
+    assert.equal((await api("POST", "/api/notifications/test")).status, 400);
+    const saved = await api("PUT", "/api/notifications", {
+      webhookUrl: `http://127.0.0.1:${hook.address().port}/hook`,
+      smtpPass: "hunter2",
+      events: ["job-completed", "job-failed"]
+    });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.channels, ["webhook"]);
+    assert.equal(saved.body.hasSmtpPass, true);
+    assert.equal(saved.body.smtpPass, undefined);
+    assert.equal((await api("PUT", "/api/notifications", { webhookUrl: "not a url" })).status, 400);
+
+    const sent = await api("POST", "/api/notifications/test");
+    assert.deepEqual(sent, { status: 200, body: { results: [{ channel: "webhook", ok: true }] } });
+    assert.equal(received[0].event, "test");
+  } finally {
+    await api("PUT", "/api/notifications", { webhookUrl: "" });
+    await new Promise(resolve => hook.close(resolve));
+  }
+});
+
+test("the API requires a login", async () => {
+  const anonymous = await fetch(`${baseUrl}/api/status`);
+  assert.equal(anonymous.status, 401);
+
+  const wrong = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ password: "guess" })
+  });
+  assert.equal(wrong.status, 401);
+
+  const signIn = await fetch(`${baseUrl}/auth/twitter/login`, { redirect: "manual" });
+  assert.equal(signIn.status, 401);
+});
+
+test("mutating requests need the session's CSRF token", async () => {
+  const withoutToken = await fetch(`${baseUrl}/api/delete-tweets`, {
+    method: "POST",
+    headers: { Cookie: auth.Cookie, "Content-Type": "application/json" },
+    body: JSON.stringify({ tweetIds: ["1"] })
+  });
+  assert.equal(withoutToken.status, 403);
+
+  const wrongToken = await fetch(`${baseUrl}/api/initialize`, {
+    method: "POST",
+    headers: { Cookie: auth.Cookie, "X-CSRF-Token": "forged" }
+  });
+  assert.equal(wrongToken.status, 403);
+});
+
+test("other origins get no CORS access", async () => {
+  const response = await fetch(`${baseUrl}/api/status`, { headers: { ...auth, Origin: "https://evil.example" } });
+  assert.equal(response.headers.get("access-control-allow-origin"), null);
+});
+
+test("logging out ends the session", async () => {
+  const login = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ password: "test-password" })
+  });
+  const session = { Cookie: login.headers.get("set-cookie").split(";")[0], "X-CSRF-Token": (await login.json()).csrfToken };
+
+  await fetch(`${baseUrl}/auth/logout`, { method: "POST", headers: session });
+
+  const after = await fetch(`${baseUrl}/api/status`, { headers: session });
+  assert.equal(after.status, 401);
+});
@@ -1,176 +1,936 @@
 const express = require('express');
 const cors = require('cors');
+const fs = require('fs');
 const path = require('path');
 const TweetDeleter = require('./index.js');
+const { parseArchive } = require('./lib/archive');
+const { DeletionQueue, JobStatus } = require('./lib/queue');
+const { JobControl, ControlState } = require('./lib/job-control');
+const { JobEngine } = require('./lib/job-engine');
+const { sseReporter, notificationReporter } = require('./lib/reporters');
+const { Notifier, NotificationSettings, NotificationEvent, publicSettings } = require('./lib/notifications');
+const { ContentType, CONTENT_TYPES, getContentType } = require('./lib/content-types');
+const { AuditLog } = require('./lib/audit-log');
+const { RuleStore } = require('./lib/rules');
+const { ProtectList } = require('./lib/protect');
+const { readRetentionStatus } = require('./lib/retention');
+const { TweetBackup, EXPORT_TYPES } = require('./lib/backup');
+const { computeStats, BUCKETS } = require('./lib/tweet-stats');
+const { SensitiveScanner } = require('./lib/scanner');
+const { AccountRegistry, DEFAULT_ACCOUNT_ID, accountPaths, publicAccount } = require('./lib/accounts');
+const { PendingLogins, completeLogin, createOAuth2App, isOAuth2Configured } = require('./lib/oauth2');
+const { TokenStore } = require('./lib/token-store');
+const { AccessControl, corsOptions, isLoopback } = require('./lib/access');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Localhost only unless HOST opts in to the network (e.g. HOST=0.0.0.0)
+const HOST = process.env.HOST || '127.0.0.1';
 
-app.use(cors());
+app.use(cors(corsOptions()));
 app.use(express.json());
-app.use(express.static('public'));
+app.use(express.static(path.join(__dirname, 'public')));
 
-let deleter = null;
-let deletionInProgress = false;
-let deletionStats = { deleted: 0, failed: 0, total: 0 };
+// Every API call, and starting Sign in with X, needs a logged-in admin
+const access = new AccessControl();
+access.routes(app);
+app.use('/api', access.requireAuth());
+app.use('/auth/twitter', access.requireAuth());
 
-// Initialize TweetDeleter
-async function initializeDeleter() {
+const rules = new RuleStore();
+const accounts = new AccountRegistry();
+const tokens = new TokenStore();
+const pendingLogins = new PendingLogins();
+const notificationSettings = new NotificationSettings();
+const notifier = new Notifier({ settings: notificationSettings });
+
+// Overridable so tests can build the deleter on top of the mock backend
+// and run Sign in with X against a fake OAuth 2.0 app
+app.locals.createDeleter = account => new TweetDeleter({ account });
+app.locals.createOAuth2App = createOAuth2App;
+
+// Recent activity and the wait in progress are kept per account so a client
+// that (re)connects to /deletion-events can be brought up to date.
+const ACTIVITY_LIMIT = 200;
+// Events that leave the wait in progress running
+const CONTROL_EVENTS = ['paused', 'resumed', 'removed'];
+
+// One workspace per account: its deleter and the state of its current deletion.
+// Accounts are independent, so deletions on different accounts run side by side.
+const workspaces = new Map();
+
+function getWorkspace(accountId) {
+  if (!workspaces.has(accountId)) {
+    workspaces.set(accountId, {
+      accountId,
+      deleter: null,
+      deletionInProgress: false,
+      deletionStats: { deleted: 0, failed: 0, skipped: 0, total: 0 },
+      activity: [],
+      currentWait: null,
+      progressClients: new Set(),
+      engine: null,        // The JobEngine running the current job
+      loaded: new Map()    // Content type -> the tweets last loaded or imported (id -> tweet), for /stats
+    });
+  }
+  return workspaces.get(accountId);
+}
+
+function progressSnapshot(workspace) {
+  const { deletionStats, engine } = workspace;
+  const processed = deletionStats.deleted + deletionStats.failed + deletionStats.skipped;
+  return {
+    inProgress: workspace.deletionInProgress,
+    status: engine ? engine.control.state : null,
+    graceUntil: engine && engine.job.not_before && Date.parse(engine.job.not_before) > Date.now()
+      ? engine.job.not_before
+      : null,
+    stats: deletionStats,
+    progress: deletionStats.total > 0 ? Math.round((processed / deletionStats.total) * 100) : 0
+  };
+}
+
+// Budget and next slot for the running job's content type, else for `type`
+// (the tab the UI is on), else for tweet deletions
+async function rateLimitStatus(workspace, type) {
+  if (!workspace.deleter) {
+    return null;
+  }
+  const name = workspace.engine ? workspace.engine.type : (type && isContentType(type) ? type : ContentType.TWEETS);
+  const { removeEndpoint, bucket } = getContentType(name);
+  return workspace.deleter.scheduler.status({ endpoint: removeEndpoint, bucket });
+}
+
+function sendEvent(res, event) {
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+function publish(workspace, type, details = {}) {
+  const event = { type, at: new Date().toISOString(), account: workspace.accountId, ...details, ...progressSnapshot(workspace) };
+  workspace.activity.push(event);
+  if (workspace.activity.length > ACTIVITY_LIMIT) {
+    workspace.activity.shift();
+  }
+  // Any event after a wait, other than pausing or removing tweets, means the wait is over
+  if (!CONTROL_EVENTS.includes(type)) {
+    workspace.currentWait = event.until ? event : null;
+  }
+
+  workspace.progressClients.forEach(res => sendEvent(res, event));
+}
+
+// Initialize the account's TweetDeleter
+async function initializeDeleter(workspace) {
   try {
-    deleter = new TweetDeleter();
-    const isValid = await deleter.validateCredentials();
+    workspace.deleter = app.locals.createDeleter(await accounts.get(workspace.accountId));
+    const isValid = await workspace.deleter.validateCredentials();
     if (!isValid) {
       throw new Error('Invalid Twitter API credentials');
     }
     return true;
   } catch (error) {
-    console.error('Failed to initialize:', error.message);
+    console.error(`Failed to initialize account ${workspace.accountId}:`, error.message);
+    workspace.deleter = null;
     return false;
   }
 }
 
-// API Routes
-app.get('/api/status', (req, res) => {
-  res.json({ 
-    initialized: deleter !== null,
-    deletionInProgress,
-    stats: deletionStats
-  });
+// Account registry
+app.get('/api/accounts', async (req, res) => {
+  try {
+    const list = await accounts.list();
+    res.json({
+      signInWithX: isOAuth2Configured(),
+      accounts: list.map(account => {
+        const workspace = workspaces.get(account.id);
+        return {
+          ...publicAccount(account),
+          initialized: Boolean(workspace && workspace.deleter),
+          deletionInProgress: Boolean(workspace && workspace.deletionInProgress)
+        };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/accounts/:accountId', async (req, res) => {
+  try {
+    const workspace = workspaces.get(req.params.accountId);
+    if (workspace && workspace.deletionInProgress) {
+      return res.status(409).json({ error: 'Cannot change an account while it is deleting' });
+    }
+
+    const account = await accounts.save({ ...req.body, id: req.params.accountId });
+    if (workspace) {
+      workspace.deleter = null; // Reconnect with the new settings
+    }
+    res.json({ account: publicAccount(account) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/accounts/:accountId', async (req, res) => {
+  try {
+    const workspace = workspaces.get(req.params.accountId);
+    if (workspace && workspace.deletionInProgress) {
+      return res.status(409).json({ error: 'Cannot remove an account while it is deleting' });
+    }
+
+    const removed = await accounts.remove(req.params.accountId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    await tokens.remove(req.params.accountId);
+    workspaces.delete(req.params.accountId);
+    res.json({ removed: req.params.accountId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.post('/api/initialize', async (req, res) => {
+// Sign in with X (OAuth 2.0 authorization code with PKCE). The callback must be
+// registered in the developer portal; TWITTER_OAUTH_CALLBACK_URL overrides the
+// URL derived from this request when the server sits behind a proxy.
+function oauthCallbackUrl(req) {
+  return process.env.TWITTER_OAUTH_CALLBACK_URL || `${req.protocol}://${req.get('host')}/auth/twitter/callback`;
+}
+
+app.get('/auth/twitter/login', (req, res) => {
   try {
-    const success = await initializeDeleter();
+    const url = pendingLogins.start(app.locals.createOAuth2App(), oauthCallbackUrl(req), { accountId: req.query.account });
+    res.redirect(url);
+  } catch (error) {
+    res.status(500).send(`Sign in with X is not available: ${error.message}`);
+  }
+});
+
+// A new sign-in never takes over another account, or the queue and backups a
+// removed one left behind: "name" is tried, then "name-2", "name-3" and so on
+async function unusedAccountId(base) {
+  const saved = await accounts.readSaved();
+  const taken = id => id === DEFAULT_ACCOUNT_ID
+    || Object.prototype.hasOwnProperty.call(saved, id)
+    || fs.existsSync(accountPaths({ id }).dir);
+  let id = base;
+  for (let n = 2; taken(id); n++) {
+    id = `${base.slice(0, 40 - String(n).length - 1)}-${n}`;
+  }
+  return id;
+}
+
+app.get('/auth/twitter/callback', async (req, res) => {
+  const login = pendingLogins.take(req.query.state);
+  if (!login) {
+    return res.status(400).send('This sign-in link has expired or was already used. Please try again.');
+  }
+  if (req.query.error || !req.query.code) {
+    return res.redirect(`/?error=${encodeURIComponent(req.query.error || 'Sign in was cancelled')}`);
+  }
+
+  try {
+    const { tokens: userTokens, user } = await completeLogin(app.locals.createOAuth2App(), {
+      code: req.query.code,
+      codeVerifier: login.codeVerifier,
+      redirectUri: login.redirectUri
+    });
+
+    // New accounts are named after the X handle; reconnecting keeps the chosen id and name
+    const accountId = login.accountId && login.accountId !== DEFAULT_ACCOUNT_ID
+      ? login.accountId
+      : await unusedAccountId(user.username.toLowerCase().replace(/[^a-z0-9_-]/g, '').replace(/^[_-]+/, '').slice(0, 40));
+    const existing = (await accounts.readSaved())[accountId] || {};
+    await accounts.save({ id: accountId, name: existing.name || `@${user.username}`, plan: existing.plan, backend: 'oauth2' });
+    await tokens.set(accountId, userTokens);
+
+    const workspace = workspaces.get(accountId);
+    if (workspace && !workspace.deletionInProgress) {
+      workspace.deleter = null; // Reconnect with the new tokens
+    }
+    res.redirect(`/?account=${encodeURIComponent(accountId)}`);
+  } catch (error) {
+    console.error('Sign in with X failed:', error.message);
+    res.redirect(`/?error=${encodeURIComponent(`Sign in with X failed: ${error.message}`)}`);
+  }
+});
+
+// Everything below is per account: /api/accounts/:accountId/<route>. The same
+// routes under /api/<route> act on the default (.env) account.
+const accountRoutes = express.Router({ mergeParams: true });
+
+accountRoutes.use(async (req, res, next) => {
+  const accountId = req.params.accountId || DEFAULT_ACCOUNT_ID;
+  try {
+    req.account = await accounts.get(accountId);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+  req.workspace = getWorkspace(accountId);
+  next();
+});
+
+accountRoutes.get('/status', async (req, res) => {
+  try {
+    const { deleter, deletionInProgress, deletionStats } = req.workspace;
+    res.json({
+      account: publicAccount(req.account),
+      initialized: deleter !== null,
+      deletionInProgress,
+      stats: deletionStats,
+      rateLimit: await rateLimitStatus(req.workspace, req.query.type)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+accountRoutes.post('/initialize', async (req, res) => {
+  try {
+    if (req.workspace.deletionInProgress) {
+      return res.status(400).json({ success: false, message: 'Deletion in progress' });
+    }
+    const success = await initializeDeleter(req.workspace);
     res.json({ success, message: success ? 'Initialized successfully' : 'Failed to initialize' });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-app.get('/api/tweets', async (req, res) => {
+// ?type= picks tweets, replies, retweets, likes or bookmarks; ?rule= narrows them
+// down (tweets default to original posts, the other types to all of their kind)
+function isContentType(type) {
+  return !type || Object.prototype.hasOwnProperty.call(CONTENT_TYPES, type);
+}
+
+// ?since= is optional, but has to be a date if given
+function isSinceDate(since) {
+  return !since || !Number.isNaN(Date.parse(since));
+}
+
+async function selectionRule(query) {
+  return query.rule ? rules.get(query.rule) : undefined;
+}
+
+accountRoutes.get('/tweets', async (req, res) => {
   try {
+    const { deleter } = req.workspace;
     if (!deleter) {
       return res.status(400).json({ error: 'Not initialized' });
     }
+    if (!isContentType(req.query.type)) {
+      return res.status(400).json({ error: `Unknown content type: ${req.query.type}` });
+    }
+    if (!isSinceDate(req.query.since)) {
+      return res.status(400).json({ error: `Invalid since date: ${req.query.since}` });
+    }
 
-    const tweets = await deleter.fetchUserTweets(100); // Max allowed for free tier
-    res.json({ tweets, count: tweets.length });
+    const rule = await selectionRule(req.query);
+    const limit = parseInt(req.query.limit) || deleter.plan.timeline.maxTweets;
+    const tweets = await deleter.fetchUserTweets(limit, rule, { since: req.query.since, type: req.query.type });
+    rememberLoaded(req.workspace, req.query.type, tweets);
+    res.json({ tweets: deleter.annotateProtection(tweets), count: tweets.length });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/delete-tweets', async (req, res) => {
+// Same as /tweets, but sends each timeline page as a line of JSON as soon as it arrives
+accountRoutes.get('/tweets/stream', async (req, res) => {
+  const { deleter } = req.workspace;
+  if (!deleter) {
+    return res.status(400).json({ error: 'Not initialized' });
+  }
+  if (!isContentType(req.query.type)) {
+    return res.status(400).json({ error: `Unknown content type: ${req.query.type}` });
+  }
+  if (!isSinceDate(req.query.since)) {
+    return res.status(400).json({ error: `Invalid since date: ${req.query.since}` });
+  }
+
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  const send = message => res.write(JSON.stringify(message) + '\n');
+
   try {
+    const rule = await selectionRule(req.query);
+    const limit = parseInt(req.query.limit) || deleter.plan.timeline.maxTweets;
+    const tweets = await deleter.fetchUserTweets(limit, rule, {
+      since: req.query.since,
+      type: req.query.type,
+      onPage: (pageTweets, page) => send({ page, tweets: deleter.annotateProtection(pageTweets) })
+    });
+
+    rememberLoaded(req.workspace, req.query.type, tweets);
+
+    // "Top N by engagement" can change as later pages arrive, so resend the final verdicts
+    const protectedTweets = {};
+    deleter.annotateProtection(tweets).forEach(tweet => {
+      if (tweet.protected) protectedTweets[tweet.id] = tweet.protected;
+    });
+    send({ done: true, count: tweets.length, protected: protectedTweets });
+  } catch (error) {
+    send({ error: error.message });
+  }
+  res.end();
+});
+
+// Accepts either the raw contents of data/tweets.js (text/plain upload)
+// or { path } pointing at an archive on the server's disk
+accountRoutes.post('/import-archive', express.text({ limit: '200mb' }), async (req, res) => {
+  try {
+    const { deleter } = req.workspace;
     if (!deleter) {
       return res.status(400).json({ error: 'Not initialized' });
     }
 
-    if (deletionInProgress) {
-      return res.status(400).json({ error: 'Deletion already in progress' });
+    const rule = await rules.get(req.query.rule || 'original-posts');
+    let tweets;
+    if (typeof req.body === 'string' && req.body.length > 0) {
+      tweets = deleter.filterTweets(parseArchive(req.body, { authorId: await deleter.currentUserId() }), rule);
+    } else if (req.body && req.body.path) {
+      tweets = await deleter.loadTweetsFromArchive(req.body.path, rule);
+    } else {
+      return res.status(400).json({ error: 'No archive provided' });
     }
 
-    const { tweetIds } = req.body;
+    rememberLoaded(req.workspace, ContentType.TWEETS, tweets);
+    res.json({ tweets: deleter.annotateProtection(tweets), count: tweets.length });
+  } catch (error) {
+    res.status(400).json({ error: `Failed to read archive: ${error.message}` });
+  }
+});
+
+// Analytics over the tweets last loaded or imported for a content type, less
+// the ones deleted since. Computed here so a large archive isn't crunched in
+// the browser.
+accountRoutes.get('/stats', (req, res) => {
+  if (!req.workspace.deleter) {
+    return res.status(400).json({ error: 'Not initialized' });
+  }
+  const type = req.query.type || ContentType.TWEETS;
+  if (!isContentType(type)) {
+    return res.status(400).json({ error: `Unknown content type: ${type}` });
+  }
+  const bucket = req.query.bucket || 'auto';
+  if (!BUCKETS.includes(bucket)) {
+    return res.status(400).json({ error: `Unknown bucket "${bucket}" (expected ${BUCKETS.join(', ')})` });
+  }
+
+  const loaded = req.workspace.loaded.get(type);
+  const stats = computeStats(loaded ? Array.from(loaded.values()) : [], {
+    bucket,
+    top: Math.min(parseInt(req.query.top) || 10, 100),
+    terms: Math.min(parseInt(req.query.terms) || 20, 100)
+  });
+  res.json({ type, loaded: Boolean(loaded), ...stats });
+});
+
+// "Suggested for deletion": the loaded tweets the scanner flags (lib/scanner.js,
+// configured in scan.json). ?sentiment=1 also scores the tone; ?minScore= overrides the threshold.
+accountRoutes.get('/scan', async (req, res) => {
+  try {
+    const { deleter } = req.workspace;
+    if (!deleter) {
+      return res.status(400).json({ error: 'Not initialized' });
+    }
+    const type = req.query.type || ContentType.TWEETS;
+    if (!isContentType(type)) {
+      return res.status(400).json({ error: `Unknown content type: ${type}` });
+    }
+
+    const scanner = new SensitiveScanner();
+    await scanner.load();
+    const loaded = req.workspace.loaded.get(type);
+    const tweets = deleter.annotateProtection(loaded ? Array.from(loaded.values()) : []);
+    const minScore = req.query.minScore !== undefined && req.query.minScore !== '' ? Number(req.query.minScore) : undefined;
+    if (Number.isNaN(minScore)) {
+      return res.status(400).json({ error: 'minScore must be a number' });
+    }
+    const sentiment = req.query.sentiment !== undefined ? ['1', 'true'].includes(req.query.sentiment) : undefined;
+    res.json({ type, loaded: Boolean(loaded), ...scanner.scan(tweets, { minScore, sentiment }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What can be cleaned up, for the UI's tabs
+app.get('/api/content-types', (req, res) => {
+  res.json({
+    types: Object.entries(CONTENT_TYPES).map(([name, type]) => ({ name, label: type.label, verb: type.verb }))
+  });
+});
+
+// Rules are shared by every account
+app.get('/api/rules', async (req, res) => {
+  try {
+    res.json({ rules: await rules.list() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/rules/:name', async (req, res) => {
+  try {
+    const rule = await rules.save(req.params.name, req.body);
+    res.json({ name: req.params.name, rule });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/rules/:name', async (req, res) => {
+  try {
+    const removed = await rules.remove(req.params.name);
+    if (!removed) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ removed: req.params.name });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Notification settings are shared by every account. The command hook is
+// shown but can only be set with NOTIFY_COMMAND.
+app.get('/api/notifications', async (req, res) => {
+  try {
+    res.json(publicSettings(await notificationSettings.load()));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/notifications', async (req, res) => {
+  try {
+    res.json(publicSettings(await notificationSettings.save(req.body || {})));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/notifications/test', async (req, res) => {
+  try {
+    const results = await notifier.notify(NotificationEvent.TEST);
+    if (results.length === 0) {
+      return res.status(400).json({ error: 'No notification channel is configured', results });
+    }
+    res.status(results.every(result => result.ok) ? 200 : 502).json({ results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+accountRoutes.get('/protect', async (req, res) => {
+  try {
+    const { deleter } = req.workspace;
+    const protectList = deleter ? deleter.protectList : new ProtectList(accountPaths(req.account).protect);
+    res.json({ config: await protectList.load() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+accountRoutes.put('/protect', async (req, res) => {
+  try {
+    const { deleter } = req.workspace;
+    const protectList = deleter ? deleter.protectList : new ProtectList(accountPaths(req.account).protect);
+    const config = await protectList.save(req.body);
+    if (deleter) {
+      await deleter.refreshProtection();
+    }
+    res.json({ config });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Retention daemon status (it runs separately: `npm run daemon -- --account <id>`)
+accountRoutes.get('/schedule', async (req, res) => {
+  try {
+    const paths = accountPaths(req.account);
+    res.json(await readRetentionStatus({ stateFile: paths.retentionState, lockFile: paths.retentionLock }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the archive of everything deleted so far as json, csv or html
+accountRoutes.get('/backup/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const content = await new TweetBackup(accountPaths(req.account).backups).export(format);
+    res.type(EXPORT_TYPES[format]);
+    res.attachment(`deleted_tweets.${format}`);
+    res.send(content);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+accountRoutes.post('/delete-tweets', async (req, res) => {
+  const { workspace } = req;
+  try {
+    const { deleter } = workspace;
+    if (!deleter) {
+      return res.status(400).json({ error: 'Not initialized' });
+    }
+
+    const { tweetIds, type = ContentType.TWEETS } = req.body;
     if (!tweetIds || !Array.isArray(tweetIds) || tweetIds.length === 0) {
       return res.status(400).json({ error: 'No tweet IDs provided' });
     }
+    if (!isContentType(type)) {
+      return res.status(400).json({ error: `Unknown content type: ${type}` });
+    }
+
+    // Dry run: same protection, batching and scheduling, reported instead of executed.
+    // A client can ask for one, but can't turn off the server's DRY_RUN.
+    if (req.body.dryRun || deleter.dryRun) {
+      const tweets = tweetIds.map(id => deleter.knownTweets.get(id) || { id });
+      const report = await deleter.simulateDeletion(tweets, type);
+      return res.json({ message: 'Dry run complete', report });
+    }
+
+    if (workspace.deletionInProgress) {
+      return res.status(400).json({ error: 'Deletion already in progress' });
+    }
+
+    // Grace period: the tweets wait as pending for a few minutes, so any of
+    // them (or the whole job) can still be taken back before deletion starts
+    const graceMinutes = Number(req.body.graceMinutes ?? process.env.DELETION_GRACE_MINUTES ?? 0);
+    if (!Number.isFinite(graceMinutes) || graceMinutes < 0) {
+      return res.status(400).json({ error: 'graceMinutes must be a non-negative number' });
+    }
 
-    deletionInProgress = true;
-    deletionStats = { deleted: 0, failed: 0, total: tweetIds.length };
+    workspace.deletionInProgress = true;
+    const notBefore = graceMinutes > 0 ? Date.now() + graceMinutes * 60 * 1000 : undefined;
+    const job = await deleter.queue.createJob(tweetIds.map(id => deleter.knownTweets.get(id) || { id }), 'web', {
+      notBefore,
+      type,
+      startedBy: `admin (${req.auth.via}, ${req.ip})`,
+      rule: req.body.rule
+    });
+    const { total, skipped } = DeletionQueue.summarize(job);
+    workspace.deletionStats = { deleted: 0, failed: 0, skipped: 0, total: total - skipped };
 
-    res.json({ message: 'Deletion started', total: tweetIds.length });
+    res.json({ message: 'Deletion started', total: workspace.deletionStats.total, skipped, jobId: job.id, type, notBefore: job.not_before || null });
 
     // Start deletion process in background
-    processDeletion(tweetIds);
+    processDeletion(workspace, job);
 
   } catch (error) {
-    deletionInProgress = false;
+    workspace.deletionInProgress = false;
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/deletion-progress', (req, res) => {
-  res.json({
-    inProgress: deletionInProgress,
-    stats: deletionStats,
-    progress: deletionStats.total > 0 ? 
-      Math.round(((deletionStats.deleted + deletionStats.failed) / deletionStats.total) * 100) : 0
-  });
+accountRoutes.get('/deletion-progress', async (req, res) => {
+  try {
+    res.json({
+      ...progressSnapshot(req.workspace),
+      rateLimit: await rateLimitStatus(req.workspace, req.query.type)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-async function processDeletion(tweetIds) {
-  try {
-    // Convert IDs to tweet objects for the existing deletion method
-    const tweets = tweetIds.map(id => ({ id }));
-    
-    // Use existing batch deletion with progress tracking
-    for (let i = 0; i < tweets.length; i += deleter.tweetsPerBatch) {
-      const batch = tweets.slice(i, i + deleter.tweetsPerBatch);
-      
-      for (const tweet of batch) {
-        try {
-          console.log(`🗑️ Attempting to delete tweet: ${tweet.id}`);
-          const result = await deleter.deleteTweet(tweet.id);
-          console.log(`📊 Deletion result for ${tweet.id}:`, result);
-          
-          if (result.success) {
-            deletionStats.deleted++;
-            deleter.deletedTweets.push({
-              id: tweet.id,
-              deleted_at: new Date().toISOString()
-            });
-            console.log(`✅ Successfully deleted tweet ${tweet.id}`);
-          } else {
-            deletionStats.failed++;
-            console.log(`❌ Failed to delete tweet ${tweet.id}:`, result.error);
-          }
-          
-          // Small delay between deletions
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-        } catch (error) {
-          if (error.code === 429) {
-            console.log('Rate limit hit, waiting...');
-            if (error.rateLimit?.reset) {
-              const resetTime = new Date(error.rateLimit.reset * 1000);
-              const minutesUntilReset = Math.ceil((resetTime - new Date()) / (1000 * 60));
-              await deleter.sleep(minutesUntilReset + 1);
-            } else {
-              await deleter.sleep(15);
-            }
-            // Retry this tweet
-            i--;
-            continue;
-          }
-          console.error(`Failed to delete tweet ${tweet.id}:`, error.message);
-          console.error('Error details:', error);
-          deletionStats.failed++;
-        }
-      }
+// Pause, resume or cancel the running deletion. Pausing takes effect after the
+// tweet being deleted; cancelling leaves the remaining tweets alone.
+const controlActions = {
+  pause: engine => engine.pause(),
+  resume: engine => engine.resume(),
+  cancel: engine => engine.cancel()
+};
 
-      // Wait between batches
-      if (i + deleter.tweetsPerBatch < tweets.length) {
-        await deleter.sleep(deleter.batchDelayMinutes);
-      }
+accountRoutes.post('/deletion/:action(pause|resume|cancel)', (req, res) => {
+  const { engine } = req.workspace;
+  if (!engine) {
+    return res.status(400).json({ error: 'No deletion in progress' });
+  }
+  const changed = controlActions[req.params.action](engine);
+  res.json({ changed, status: engine.control.state });
+});
+
+// Tweets of the current job still waiting to be deleted
+accountRoutes.get('/deletion/pending', async (req, res) => {
+  const { workspace } = req;
+  if (!workspace.engine) {
+    return res.json({ jobId: null, graceUntil: null, tweets: [] });
+  }
+  try {
+    const job = await workspace.deleter.queue.getJob(workspace.engine.job.id);
+    res.json({
+      jobId: job.id,
+      graceUntil: progressSnapshot(workspace).graceUntil,
+      tweets: DeletionQueue.pendingItems(job).map(item => {
+        const known = workspace.deleter.knownTweets.get(item.id) || {};
+        return { id: item.id, text: known.text, created_at: known.created_at };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Take tweets back out of the current job before they are deleted
+accountRoutes.post('/deletion/remove', async (req, res) => {
+  const { workspace } = req;
+  const { tweetIds } = req.body;
+  if (!tweetIds || !Array.isArray(tweetIds) || tweetIds.length === 0) {
+    return res.status(400).json({ error: 'No tweet IDs provided' });
+  }
+  if (!workspace.engine) {
+    return res.status(400).json({ error: 'No deletion in progress' });
+  }
+
+  try {
+    const removed = await workspace.deleter.queue.cancelItems(workspace.engine.job.id, tweetIds);
+    workspace.engine.remove(removed);
+    workspace.deletionStats.total -= removed.length;
+    if (removed.length > 0) {
+      publish(workspace, 'removed', { ids: removed });
+    }
+    res.json({ removed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The retry queue: tweets of ?type= (default tweets) that failed and haven't been queued again
+accountRoutes.get('/deletion/failed', async (req, res) => {
+  const type = req.query.type || ContentType.TWEETS;
+  if (!isContentType(type)) {
+    return res.status(400).json({ error: `Unknown content type: ${type}` });
+  }
+  try {
+    const queue = req.workspace.deleter ? req.workspace.deleter.queue : new DeletionQueue(accountPaths(req.account).queue);
+    const items = await queue.failedItems(type);
+    res.json({
+      type,
+      count: items.length,
+      tweets: items.map(item => ({ id: item.id, text: item.text, error: item.error, kind: item.kind, jobId: item.job_id }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue the failed tweets of `type` again and run them as a new job
+accountRoutes.post('/deletion/retry-failed', async (req, res) => {
+  const { workspace } = req;
+  const { deleter } = workspace;
+  const { type = ContentType.TWEETS } = req.body;
+  if (!deleter) {
+    return res.status(400).json({ error: 'Not initialized' });
+  }
+  if (!isContentType(type)) {
+    return res.status(400).json({ error: `Unknown content type: ${type}` });
+  }
+  if (deleter.dryRun) {
+    return res.status(400).json({ error: 'Failed tweets are never retried in a dry run' });
+  }
+  if (workspace.deletionInProgress) {
+    return res.status(400).json({ error: 'Deletion already in progress' });
+  }
+
+  workspace.deletionInProgress = true;
+  try {
+    const job = await deleter.queue.retryFailed(type, 'web', {
+      startedBy: `admin (${req.auth.via}, ${req.ip})`,
+      rule: 'retry failed'
+    });
+    if (!job) {
+      workspace.deletionInProgress = false;
+      return res.status(400).json({ error: 'No failed tweets to retry' });
     }
+    const { total, skipped } = DeletionQueue.summarize(job);
+    workspace.deletionStats = { deleted: 0, failed: 0, skipped: 0, total: total - skipped };
+
+    res.json({ message: 'Retry started', total: workspace.deletionStats.total, skipped, jobId: job.id, type });
 
-    // Save deletion log
-    await deleter.saveDeletionLog();
-    
+    processDeletion(workspace, job);
   } catch (error) {
+    workspace.deletionInProgress = false;
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Past runs from the audit log, newest first.
+// ?source=cli|web|schedule, ?status=completed|cancelled|stopped|error|running,
+// ?outcome=deleted|failed|skipped and ?q= (searches ids, text, errors and rules)
+accountRoutes.get('/history', async (req, res) => {
+  try {
+    const { source, status, outcome, q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const audit = req.workspace.deleter ? req.workspace.deleter.audit : new AuditLog(accountPaths(req.account).audit);
+    res.json({ runs: await audit.history({ source, status, outcome, search: q, limit }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Server-Sent Events: a "state" replay on connect, then one event per step of the deletion
+accountRoutes.get('/deletion-events', async (req, res) => {
+  const { workspace } = req;
+  // Read before the stream starts, so a failure can still be answered with a 500
+  let rateLimit;
+  try {
+    rateLimit = await rateLimitStatus(workspace, req.query.type);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  sendEvent(res, {
+    type: 'state',
+    account: workspace.accountId,
+    ...progressSnapshot(workspace),
+    wait: workspace.currentWait,
+    activity: workspace.activity,
+    rateLimit
+  });
+  workspace.progressClients.add(res);
+
+  // Comment lines keep proxies from closing an idle stream during long waits
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 30000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    workspace.progressClients.delete(res);
+  });
+});
+
+app.use('/api/accounts/:accountId', accountRoutes);
+app.use('/api', accountRoutes);
+
+// Runs a job on the shared JobEngine, streaming its progress to the account's clients
+async function processDeletion(workspace, job, control = new JobControl()) {
+  const engine = new JobEngine(workspace.deleter, job, {
+    control,
+    reporters: [
+      statsReporter(workspace),
+      sseReporter((type, details) => publish(workspace, type, details)),
+      notificationReporter(notifier)
+    ]
+  });
+  workspace.engine = engine;
+  workspace.activity = [];
+
+  try {
+    await engine.start();
+  } catch (error) {
+    // The engine has recorded the error and sent it to the progress stream
     console.error('Deletion process error:', error);
   } finally {
-    deletionInProgress = false;
+    workspace.engine = null;
+    workspace.deletionInProgress = false;
+    publish(workspace, 'complete');
   }
 }
 
+// Keeps the account's running totals, which every published event carries.
+// Comes before sseReporter so each event goes out with its outcome counted.
+// Deleted tweets also drop out of the loaded tweets /stats works on.
+function statsReporter(workspace) {
+  return engine => {
+    ['deleted', 'failed', 'skipped'].forEach(outcome => engine.on(outcome, () => workspace.deletionStats[outcome]++));
+    engine.on('deleted', ({ id }) => {
+      const loaded = workspace.loaded.get(engine.type);
+      if (loaded) loaded.delete(id);
+    });
+  };
+}
+
+function rememberLoaded(workspace, type, tweets) {
+  workspace.loaded.set(type || ContentType.TWEETS, new Map(tweets.map(tweet => [tweet.id, tweet])));
+}
+
+// Shared rule engine, loaded by the browser as window.TweetFilters
+app.get('/filters.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'lib', 'filters.js'));
+});
+
+// Search, sort and windowing for the tweet browser, loaded as window.TweetView
+app.get('/tweet-view.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'lib', 'tweet-view.js'));
+});
+
+// Thread grouping, loaded as window.TweetThreads
+app.get('/threads.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'lib', 'threads.js'));
+});
+
+// Analytics chart segments, loaded as window.TweetStats
+app.get('/tweet-stats.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'lib', 'tweet-stats.js'));
+});
+
 // Serve main page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`🌐 Twitter Tweet Deleter Web Interface`);
-  console.log(`📱 Open your browser to: http://localhost:${PORT}`);
-  console.log(`🔧 Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Pick up web jobs left unfinished by a crash or redeploy, account by account
+async function resumeUnfinishedJobs() {
+  for (const { id } of await accounts.list()) {
+    const account = await accounts.get(id);
+    const jobs = await new DeletionQueue(accountPaths(account).queue).getUnfinishedJobs('web');
+    if (jobs.length === 0) continue;
+
+    console.log(`♻️  Found ${jobs.length} unfinished deletion job(s) for account ${id}, resuming...`);
+    const workspace = getWorkspace(id);
+    if (!(await initializeDeleter(workspace))) {
+      console.error(`Cannot resume deletion jobs for account ${id} until credentials are valid`);
+      continue;
+    }
+    if (workspace.deleter.dryRun) {
+      console.log('🧪 DRY_RUN is set, leaving unfinished jobs for a real run');
+      continue;
+    }
+
+    // Accounts resume side by side; each one's jobs run in order
+    (async () => {
+      for (const job of jobs) {
+        const summary = DeletionQueue.summarize(job);
+        workspace.deletionInProgress = true;
+        workspace.deletionStats = { deleted: summary.deleted, failed: summary.failed, skipped: 0, total: summary.total - summary.skipped - summary.cancelled };
+        // A job paused from the UI stays paused until someone resumes it
+        await processDeletion(workspace, job, new JobControl(job.status === JobStatus.PAUSED ? ControlState.PAUSED : ControlState.RUNNING));
+      }
+    })().catch(error => console.error(`Failed to resume jobs for account ${id}:`, error.message));
+  }
+}
+
+// Also started by `node index.js serve`
+function startServer(port = PORT, host = HOST) {
+  return app.listen(port, host, () => {
+    const url = `http://${isLoopback(host) ? 'localhost' : host}:${port}`;
+    console.log(`🌐 Twitter Tweet Deleter Web Interface`);
+    console.log(`📱 Open your browser to: ${url}`);
+    console.log(`🔧 Server running on ${host}:${port}`);
+
+    if (access.generatedToken) {
+      console.log(`🔑 No WEB_ADMIN_PASSWORD set; log in with this admin link (it changes on every start):`);
+      console.log(`   ${url}/login?token=${access.token}`);
+    }
+    if (!isLoopback(host)) {
+      console.log(`⚠️  Listening on ${host}: anyone on the network can reach the login page`);
+    }
+
+    resumeUnfinishedJobs().catch(error => {
+      console.error('Failed to resume deletion jobs:', error.message);
+    });
+  });
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
+module.exports.startServer = startServer;